@@ -10,40 +10,82 @@ async function request(path, options = {}) {
         ...options,
         body: options.body ? JSON.stringify(options.body) : undefined
     });
-    if (!res.ok) throw new Error(`API error: ${res.status}`);
+    if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        const err = new Error(body?.error || `API error: ${res.status}`);
+        err.status = res.status;
+        err.body = body;
+        throw err;
+    }
     if (res.status === 204) return null;
     return res.json();
 }
 
+/**
+ * Query string for list endpoints: field filters (stage, tag, type, sourceId, …),
+ * createdAfter/updatedBefore-style date ranges, sort ('-updatedAt'), limit and cursor.
+ * With limit or cursor the server answers { items, nextCursor, total } instead of an array.
+ */
+function toQuery(options = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined || value === null || value === '') continue;
+        params.set(key, Array.isArray(value) ? value.join(',') : value);
+    }
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
 export const api = {
     // Kernel
     getStatus: () => request('/kernel/status'),
     getActivity: () => request('/kernel/activity'),
     inspect: (col, id) => request(`/kernel/inspect/${col}/${id}`),
     saveInspect: (col, id, data) => request(`/kernel/inspect/${col}/${id}`, { method: 'PUT', body: data }),
+    deleteEntity: (col, id, policy) => request(`/kernel/inspect/${col}/${id}${policy ? `?policy=${policy}` : ''}`, { method: 'DELETE' }),
+    getIntegrity: () => request('/kernel/integrity'),
+    repairIntegrity: () => request('/kernel/integrity/repair', { method: 'POST' }),
+    exportUrl: () => `${API_BASE}/kernel/export`,
+    importKernel: (bundle, { strategy = 'skip', dryRun = false } = {}) =>
+        request(`/kernel/import?strategy=${strategy}&dryRun=${dryRun}`, { method: 'POST', body: bundle }),
+    getHistory: (col, id) => request(`/kernel/history/${col}/${id}`),
+    getSchemas: () => request('/kernel/schemas'),
+    restoreRevision: (col, id, rev) => request(`/kernel/history/${col}/${id}/restore`, { method: 'POST', body: { rev } }),
 
     // Persons
-    getPersons: () => request('/persons'),
+    getPersons: (query) => request(`/persons${toQuery(query)}`),
     createPerson: (data) => request('/persons', { method: 'POST', body: data }),
     updatePerson: (id, data) => request(`/persons/${id}`, { method: 'PUT', body: data }),
-    deletePerson: (id) => request(`/persons/${id}`, { method: 'DELETE' }),
+    deletePerson: (id, policy) => request(`/persons/${id}${policy ? `?policy=${policy}` : ''}`, { method: 'DELETE' }),
 
     // Intents
-    getIntents: () => request('/intents'),
+    getIntents: (query) => request(`/intents${toQuery(query)}`),
     createIntent: (data) => request('/intents', { method: 'POST', body: data }),
     updateIntent: (id, data) => request(`/intents/${id}`, { method: 'PUT', body: data }),
+    previewIntentUpdate: (id, data) => request(`/intents/${id}?dryRun=true`, { method: 'PUT', body: data }),
+    batchIntents: (operations, { atomic = true, dryRun = false } = {}) =>
+        request('/intents/batch', { method: 'POST', body: { operations, atomic, dryRun } }),
+    revertIntent: (id, note) => request(`/intents/${id}/revert`, { method: 'POST', body: { note } }),
+    deleteIntent: (id, policy) => request(`/intents/${id}${policy ? `?policy=${policy}` : ''}`, { method: 'DELETE' }),
+    getMachines: () => request('/fsm/definitions'),
+
+    // Idle suggestions
+    getSuggestions: (query) => request(`/suggestions${toQuery(query)}`),
+    scanIdle: () => request('/suggestions/scan', { method: 'POST' }),
+    acceptSuggestion: (id, note) => request(`/suggestions/${id}/accept`, { method: 'POST', body: { note } }),
+    dismissSuggestion: (id, note) => request(`/suggestions/${id}/dismiss`, { method: 'POST', body: { note } }),
 
     // Relations & Graph
-    getRelations: () => request('/relations'),
+    getRelations: (query) => request(`/relations${toQuery(query)}`),
     getGraph: () => request('/relations/graph/full'),
     createRelation: (data) => request('/relations', { method: 'POST', body: data }),
 
     // Thinking Chains
-    getChains: () => request('/thinking-chains'),
+    getChains: (query) => request(`/thinking-chains${toQuery(query)}`),
     getChain: (id) => request(`/thinking-chains/${id}`),
 
     // Trajectories
-    getTrajectories: () => request('/trajectories'),
+    getTrajectories: (query) => request(`/trajectories${toQuery(query)}`),
 
     // Cognitive Stages
     getStages: () => request('/kernel/status').then(async () => {
@@ -53,9 +95,24 @@ export const api = {
 
     // MCP
     getMcpStatus: () => request('/mcp/status'),
-    getMcpLogs: () => request('/mcp/logs'),
+    getMcpLogs: (query) => request(`/mcp/logs${toQuery(query)}`),
     mcpContextQuery: (data) => request('/mcp/context', { method: 'POST', body: data }),
 
+    // Orchestrator tasks
+    getTasks: (query) => request(`/orchestrator/tasks${toQuery(query)}`),
+    getTask: (id) => request(`/orchestrator/tasks/${id}`),
+    cancelTask: (id, reason) => request(`/orchestrator/tasks/${id}/cancel`, { method: 'POST', body: { reason } }),
+    getDeadLetters: (query) => request(`/orchestrator/dead-letters${toQuery(query)}`),
+    retryDeadLetter: (id, note) => request(`/orchestrator/dead-letters/${id}/retry`, { method: 'POST', body: { note } }),
+    discardDeadLetter: (id, reason) => request(`/orchestrator/dead-letters/${id}/discard`, { method: 'POST', body: { reason } }),
+    getApprovals: (query) => request(`/orchestrator/approvals${toQuery(query)}`),
+    editApprovalPayload: (id, payload) => request(`/orchestrator/approvals/${id}/payload`, { method: 'PUT', body: payload }),
+    approveTask: (id, { note, payload } = {}) => request(`/orchestrator/approvals/${id}/approve`, { method: 'POST', body: { note, payload } }),
+    rejectTask: (id, note) => request(`/orchestrator/approvals/${id}/reject`, { method: 'POST', body: { note } }),
+
+    // Search
+    search: (q, { type, limit } = {}) => request(`/search${toQuery({ q, type, limit })}`),
+
     // Auto-Annotator
     ingest: (text, source) => request('/ingest', { method: 'POST', body: { text, source } }),
 };
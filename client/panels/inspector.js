@@ -12,6 +12,9 @@ const COLLECTIONS = [
     { key: 'thinking-chains', label: 'Thinking Chains', icon: '💭' },
     { key: 'trajectories', label: 'Trajectories', icon: '🛤️' },
     { key: 'cognitive-stages', label: 'Cognitive Stages', icon: '🧩' },
+    { key: 'state-machines', label: 'State Machines', icon: '⚙️' },
+    { key: 'suggestions', label: 'Suggestions', icon: '🕸️' },
+    { key: 'tasks', label: 'Tasks', icon: '🚀' },
     { key: 'mcp-logs', label: 'MCP Logs', icon: '📋' },
 ];
 
@@ -34,6 +37,10 @@ export async function renderInspector(container) {
           <span class="inspector-path" id="inspector-path">Select an entity to inspect</span>
           <div class="inspector-actions" id="inspector-actions"></div>
         </div>
+        <div class="inspector-tabs" id="inspector-tabs" style="display: none;">
+          <button class="inspector-tab active" data-tab="json">{ } JSON</button>
+          <button class="inspector-tab" data-tab="history">🕘 History</button>
+        </div>
         <div class="inspector-editor" id="inspector-editor">
           <pre style="color: var(--text-muted); padding: 40px; text-align: center;">← Choose a collection and entity to inspect its raw data.</pre>
         </div>
@@ -41,9 +48,24 @@ export async function renderInspector(container) {
     </div>
   `;
 
+    document.querySelectorAll('.inspector-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            if (!currentEntityId) return;
+            if (tab.dataset.tab === 'history') loadHistory(currentCollection, currentEntityId);
+            else loadEntity(currentCollection, currentEntityId);
+        });
+    });
+
     await loadCollections(container);
 }
 
+function setActiveTab(name) {
+    document.getElementById('inspector-tabs').style.display = 'flex';
+    document.querySelectorAll('.inspector-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+}
+
 async function loadCollections(container) {
     const sidebar = document.getElementById('inspector-sidebar');
     let html = '';
@@ -71,8 +93,30 @@ async function loadCollections(container) {
         }
     }
 
+    html += `
+    <div class="inspector-collection inspector-bundle">
+      <div class="inspector-collection-title">📦 Kernel Bundle</div>
+      <div class="inspector-bundle-actions">
+        <a class="btn btn-sm" href="${api.exportUrl()}" download>⬇️ Export</a>
+        <select id="bundle-strategy" title="When an imported ID already exists">
+          <option value="skip">skip existing</option>
+          <option value="newest">keep newest</option>
+          <option value="overwrite">overwrite</option>
+          <option value="rekey">re-key</option>
+        </select>
+        <label class="btn btn-sm">⬆️ Import<input type="file" id="bundle-file" accept=".json,application/json" hidden></label>
+      </div>
+    </div>
+  `;
+
     sidebar.innerHTML = html;
 
+    document.getElementById('bundle-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) previewImport(container, file);
+    });
+
     // Toggle collection lists
     sidebar.querySelectorAll('.inspector-collection-title').forEach(title => {
         title.addEventListener('click', () => {
@@ -100,6 +144,20 @@ async function fetchCollection(key) {
         const r = await fetch(`http://localhost:3000/api/thinking-chains`);
         // Fallback: just list what's in there
     }
+    if (key === 'state-machines') {
+        // Only stored definitions are entities; the built-in default lives in code
+        const r = await fetch('http://localhost:3000/api/fsm/definitions');
+        if (!r.ok) return [];
+        return (await r.json()).filter(machine => !machine.builtIn);
+    }
+    if (key === 'tasks') {
+        // The task list leaves out dispatches held for approval; those come from the approvals inbox
+        const [r, held] = await Promise.all([
+            fetch('http://localhost:3000/api/orchestrator/tasks'),
+            fetch('http://localhost:3000/api/orchestrator/approvals')
+        ]);
+        return [...(held.ok ? await held.json() : []), ...(r.ok ? await r.json() : [])];
+    }
     const r = await fetch(`http://localhost:3000/api/${key.replace('cognitive-', '')}`);
     if (!r.ok) return [];
     return r.json();
@@ -115,16 +173,20 @@ async function loadEntity(collection, id) {
     const actionsEl = document.getElementById('inspector-actions');
 
     pathEl.textContent = `data/${collection}/${id}.json`;
+    setActiveTab('json');
 
     try {
         const data = await api.inspect(collection, id);
+        // Shown decrypted here; the file itself only holds ciphertext
+        if (data.encrypted) pathEl.textContent += '  🔒 encrypted at rest';
 
         actionsEl.innerHTML = `
       <button class="btn btn-sm" id="inspect-edit-btn">✏️ Edit</button>
       <button class="btn btn-sm btn-danger" id="inspect-delete-btn">🗑️ Delete</button>
     `;
 
-        editorEl.innerHTML = `<pre>${syntaxHighlight(JSON.stringify(data.content, null, 2))}</pre>`;
+        const invalid = new Map((data.errors || []).map(e => [e.pointer, e.message]));
+        editorEl.innerHTML = `${renderErrors(data.errors)}<pre>${renderJson(data.content, '', invalid)}</pre>`;
 
         document.getElementById('inspect-edit-btn').addEventListener('click', () => toggleEdit(data));
         document.getElementById('inspect-delete-btn').addEventListener('click', () => deleteEntity(collection, id));
@@ -134,6 +196,120 @@ async function loadEntity(collection, id) {
     }
 }
 
+async function loadHistory(collection, id) {
+    isEditing = false;
+    setActiveTab('history');
+
+    const editorEl = document.getElementById('inspector-editor');
+    const actionsEl = document.getElementById('inspector-actions');
+    actionsEl.innerHTML = '';
+    editorEl.innerHTML = '<pre style="color: var(--text-muted);">Loading history...</pre>';
+
+    try {
+        const { revisions } = await api.getHistory(collection, id);
+        if (revisions.length === 0) {
+            editorEl.innerHTML = '<pre style="color: var(--text-muted); padding: 40px; text-align: center;">No revisions yet — history starts with the next change to this entity.</pre>';
+            return;
+        }
+
+        const latest = revisions[revisions.length - 1].rev;
+        editorEl.innerHTML = `
+      <div class="history-list">
+        ${revisions.slice().reverse().map(r => `
+          <div class="history-revision">
+            <div class="history-header">
+              <span class="history-rev">#${r.rev}</span>
+              <span class="history-action">${r.action}${r.restoredFrom ? ` from #${r.restoredFrom}` : ''}</span>
+              <span class="history-time">${formatTimestamp(r.timestamp)}</span>
+              ${r.rev !== latest && r.snapshot ? `<button class="btn btn-sm history-restore-btn" data-rev="${r.rev}">↺ Restore</button>` : ''}
+            </div>
+            ${r.changes.length > 0 ? `
+              <ul class="history-changes">
+                ${r.changes.map(renderChange).join('')}
+              </ul>
+            ` : '<div class="history-empty">No field changes</div>'}
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+        editorEl.querySelectorAll('.history-restore-btn').forEach(btn => {
+            btn.addEventListener('click', () => restoreRevision(collection, id, Number(btn.dataset.rev)));
+        });
+    } catch (err) {
+        editorEl.innerHTML = `<pre style="color: var(--accent-danger);">Error loading history: ${err.message}</pre>`;
+    }
+}
+
+/** Dry-run an import and show what it would do before anything is written */
+async function previewImport(container, file) {
+    const strategy = document.getElementById('bundle-strategy').value;
+    const editorEl = document.getElementById('inspector-editor');
+    const actionsEl = document.getElementById('inspector-actions');
+    currentEntityId = null;
+    document.getElementById('inspector-tabs').style.display = 'none';
+    document.getElementById('inspector-path').textContent = `import ${file.name} (${strategy})`;
+    actionsEl.innerHTML = '';
+
+    try {
+        const bundle = JSON.parse(await file.text());
+        const report = await api.importKernel(bundle, { strategy, dryRun: true });
+        editorEl.innerHTML = renderImportReport(report);
+        if (report.errors.length > 0) return;
+        actionsEl.innerHTML = '<button class="btn btn-sm btn-primary" id="bundle-apply-btn">Apply import</button>';
+        document.getElementById('bundle-apply-btn').addEventListener('click', async () => {
+            try {
+                const applied = await api.importKernel(bundle, { strategy });
+                actionsEl.innerHTML = '';
+                await loadCollections(container);
+                editorEl.innerHTML = renderImportReport(applied);
+            } catch (err) {
+                alert('Import failed: ' + err.message);
+            }
+        });
+    } catch (err) {
+        editorEl.innerHTML = `<pre style="color: var(--accent-danger);">Import check failed: ${escapeHtml(err.message)}</pre>`;
+    }
+}
+
+function renderImportReport(report) {
+    const rows = Object.entries(report.collections)
+        .filter(([, c]) => c.created + c.overwritten + c.skipped + c.rekeyed > 0)
+        .map(([name, c]) => `<li><code class="history-path">${name}</code> +${c.created} new · ${c.overwritten} overwritten · ${c.skipped} skipped · ${c.rekeyed} re-keyed</li>`);
+    return `
+    <div class="history-list">
+      <div class="history-revision">
+        <div class="history-header">
+          <span class="history-action">${report.dryRun ? 'Dry run' : 'Imported'}</span>
+          <span class="history-time">from kernel ${escapeHtml(report.source.kernelId || 'unknown')}, exported ${formatTimestamp(report.source.exportedAt)}</span>
+        </div>
+        <ul class="history-changes">${rows.join('') || '<li>Nothing to import</li>'}</ul>
+        ${report.meta.length > 0 ? `<div class="history-empty">Kernel settings: ${report.meta.map(escapeHtml).join(', ')}</div>` : ''}
+        ${report.warnings.map(w => `<div class="history-empty">${escapeHtml(w)}</div>`).join('')}
+      </div>
+      ${report.errors.length > 0 ? renderErrors(report.errors.flatMap(e => e.errors.map(err => ({ ...err, pointer: `${e.collection}/${e.id}${err.pointer}` })))) : ''}
+    </div>
+  `;
+}
+
+function renderChange(change) {
+    const value = v => `<span class="history-value">${escapeHtml(truncateJson(v))}</span>`;
+    const path = `<code class="history-path">${escapeHtml(change.path)}</code>`;
+    if (change.op === 'add') return `<li>${path} <span class="history-op add">+</span> ${value(change.to)}</li>`;
+    if (change.op === 'remove') return `<li>${path} <span class="history-op remove">−</span> ${value(change.from)}</li>`;
+    return `<li>${path} ${value(change.from)} <span class="history-op">→</span> ${value(change.to)}</li>`;
+}
+
+async function restoreRevision(collection, id, rev) {
+    if (!confirm(`Restore revision #${rev}? The current version stays in the history.`)) return;
+    try {
+        await api.restoreRevision(collection, id, rev);
+        loadEntity(collection, id);
+    } catch (err) {
+        alert('Restore failed: ' + err.message);
+    }
+}
+
 function toggleEdit(data) {
     const editorEl = document.getElementById('inspector-editor');
     const editBtn = document.getElementById('inspect-edit-btn');
@@ -142,28 +318,68 @@ function toggleEdit(data) {
         isEditing = true;
         editBtn.textContent = '💾 Save';
         editBtn.classList.add('btn-primary');
-        editorEl.innerHTML = `<textarea id="inspector-textarea">${JSON.stringify(data.content, null, 2)}</textarea>`;
+        editorEl.innerHTML = `
+      <div id="inspector-edit-errors"></div>
+      <textarea id="inspector-textarea">${escapeHtml(JSON.stringify(data.content, null, 2))}</textarea>
+    `;
+        showRequiredFields(currentCollection);
     } else {
         const textarea = document.getElementById('inspector-textarea');
+        let parsed;
         try {
-            const parsed = JSON.parse(textarea.value);
-            api.saveInspect(currentCollection, currentEntityId, parsed).then(() => {
-                isEditing = false;
-                editBtn.textContent = '✏️ Edit';
-                editBtn.classList.remove('btn-primary');
-                loadEntity(currentCollection, currentEntityId);
-            });
+            parsed = JSON.parse(textarea.value);
         } catch (e) {
             alert('Invalid JSON: ' + e.message);
+            return;
         }
+        api.saveInspect(currentCollection, currentEntityId, parsed).then(() => {
+            isEditing = false;
+            editBtn.textContent = '✏️ Edit';
+            editBtn.classList.remove('btn-primary');
+            loadEntity(currentCollection, currentEntityId);
+        }).catch(err => {
+            // 422: keep the edit open and point at the offending fields
+            document.getElementById('inspector-edit-errors').innerHTML = err.body?.errors
+                ? renderErrors(err.body.errors)
+                : `<div class="inspector-errors">${escapeHtml(err.message)}</div>`;
+        });
     }
 }
 
+let schemasPromise = null;
+
+async function showRequiredFields(collection) {
+    schemasPromise = schemasPromise || api.getSchemas().catch(() => {
+        schemasPromise = null;
+        return {};
+    });
+    const schema = (await schemasPromise)[collection];
+    const errorsEl = document.getElementById('inspector-edit-errors');
+    if (!schema?.required || !errorsEl || errorsEl.innerHTML.trim()) return;
+    errorsEl.innerHTML = `<div class="inspector-schema-hint">${schema.title} schema — required: ${schema.required.join(', ')}</div>`;
+}
+
+function renderErrors(errors) {
+    if (!errors || errors.length === 0) return '';
+    return `
+    <div class="inspector-errors">
+      <strong>⚠️ ${errors.length} schema problem${errors.length === 1 ? '' : 's'}</strong>
+      <ul>
+        ${errors.map(e => `<li><code>${escapeHtml(e.pointer || '/')}</code> ${escapeHtml(e.message)}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
+
 async function deleteEntity(collection, id) {
-    if (!confirm(`Delete this ${collection} entity? This action cannot be undone.`)) return;
+    if (!confirm(`Delete this ${collection} entity? References to it are handled by the ${collection} delete policy.`)) return;
     try {
-        await fetch(`http://localhost:3000/api/${collection}/${id}`, { method: 'DELETE' });
-        document.getElementById('inspector-editor').innerHTML = '<pre style="color: var(--text-muted); padding: 40px; text-align: center;">Entity deleted.</pre>';
+        const report = await api.deleteEntity(collection, id);
+        const touched = [
+            ...report.removed.filter(key => key !== `${collection}/${id}`).map(key => `removed ${key}`),
+            ...report.updated.map(key => `detached ${key}`)
+        ];
+        document.getElementById('inspector-editor').innerHTML = `<pre style="color: var(--text-muted); padding: 40px; text-align: center;">Entity deleted (${report.policy}).${touched.length ? '\n\n' + escapeHtml(touched.join('\n')) : ''}</pre>`;
         document.getElementById('inspector-actions').innerHTML = '';
         // Refresh sidebar
         renderInspector(document.getElementById('panel-inspector'));
@@ -172,22 +388,40 @@ async function deleteEntity(collection, id) {
     }
 }
 
-function syntaxHighlight(json) {
-    return json
-        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
-        .replace(/("(\\u[a-zA-Z0-9]{4}|\\[^u]|[^\\"])*"(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?)/g, (match) => {
-            let cls = 'color: var(--accent-danger);';
-            if (/^"/.test(match)) {
-                if (/:$/.test(match)) {
-                    cls = 'color: var(--accent-primary);'; // key
-                } else {
-                    cls = 'color: var(--accent-success);'; // string
-                }
-            } else if (/true|false/.test(match)) {
-                cls = 'color: var(--accent-warning);';
-            } else if (/null/.test(match)) {
-                cls = 'color: var(--text-muted);';
-            }
-            return `<span style="${cls}">${match}</span>`;
-        });
+/** Syntax-highlighted JSON; values at pointers in `invalid` are marked with their schema error */
+function renderJson(value, pointer, invalid, depth = 0) {
+    const pad = '  '.repeat(depth + 1);
+    const end = '  '.repeat(depth);
+    let html;
+    if (Array.isArray(value)) {
+        html = value.length === 0 ? '[]'
+            : `[\n${value.map((v, i) => pad + renderJson(v, `${pointer}/${i}`, invalid, depth + 1)).join(',\n')}\n${end}]`;
+    } else if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        html = keys.length === 0 ? '{}'
+            : `{\n${keys.map(k => `${pad}<span style="color: var(--accent-primary);">${escapeHtml(JSON.stringify(k))}</span>: ${renderJson(value[k], `${pointer}/${String(k).replace(/~/g, '~0').replace(/\//g, '~1')}`, invalid, depth + 1)}`).join(',\n')}\n${end}}`;
+    } else {
+        let cls = 'color: var(--accent-danger);'; // number
+        if (typeof value === 'string') cls = 'color: var(--accent-success);';
+        else if (typeof value === 'boolean') cls = 'color: var(--accent-warning);';
+        else if (value === null) cls = 'color: var(--text-muted);';
+        html = `<span style="${cls}">${escapeHtml(JSON.stringify(value))}</span>`;
+    }
+    const message = invalid.get(pointer);
+    return message ? `<span class="json-invalid" title="${escapeHtml(message)}">${html}</span>` : html;
+}
+
+function truncateJson(value) {
+    const text = JSON.stringify(value);
+    if (text === undefined) return 'undefined';
+    return text.length > 120 ? text.slice(0, 120) + '…' : text;
+}
+
+function escapeHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatTimestamp(ts) {
+    if (!ts) return 'unknown time';
+    return new Date(ts).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
 }
@@ -4,14 +4,25 @@
 
 import { api } from '../api.js';
 
+// Task states an executor hasn't finished yet
+const OPEN_STATES = ['dispatched', 'acknowledged', 'running'];
+
 export async function renderMcp(container) {
   container.innerHTML = '<div class="panel-header"><h2>⌛ Loading MCP status...</h2></div>';
 
   try {
-    const [mcpStatus, logs] = await Promise.all([
+    const [mcpStatus, logPage, taskPage, intents, approvals] = await Promise.all([
       api.getMcpStatus(),
-      api.getMcpLogs()
+      api.getMcpLogs({ limit: 100 }),
+      api.getTasks({ limit: 50 }),
+      api.getIntents(),
+      api.getApprovals()
     ]);
+    const logs = logPage.items;
+    const tasks = taskPage.items;
+    const openTasks = tasks.filter(task => OPEN_STATES.includes(task.status)).length;
+    const deadLetters = tasks.filter(task => task.status === 'dead-lettered').length;
+    const titles = new Map(intents.map(i => [i.id, i.title]));
 
     container.innerHTML = `
       <div class="panel-header">
@@ -34,7 +45,7 @@ export async function renderMcp(container) {
           <div class="stat-label">Capabilities</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">${logs.length}</div>
+          <div class="stat-value">${logPage.total}</div>
           <div class="stat-label">Access Logs</div>
         </div>
       </div>
@@ -92,31 +103,90 @@ export async function renderMcp(container) {
         </div>
       </div>
 
-      <!-- Outbound Executor Queue (Orchestrator) -->
+      <!-- Approvals: dispatches an approval rule holds back until someone decides -->
+      <div class="card" style="margin-bottom: 24px; border-color: var(--accent-warning);">
+        <div class="card-header">
+          <span class="card-title">🛂 Awaiting Approval</span>
+          <span class="badge" style="background: var(--accent-warning); color: #fff;">${approvals.length} pending</span>
+        </div>
+        <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+          Dispatches held back by an approval rule (<code>approvalRules</code> in kernel-meta.json). Nothing is sent to an executor until you approve it.
+        </p>
+        ${approvals.length > 0 ? `
+          <div style="display: flex; flex-direction: column; gap: 12px;">
+            ${approvals.map(task => `
+              <div class="outbox-task approval-task" data-id="${escapeHtml(task.id)}">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                  <strong style="color: var(--text-primary);">${escapeHtml(task.payload.directive)}</strong>
+                  <span class="task-status task-status-pending-approval">${escapeHtml(task.approval.rule)}</span>
+                </div>
+                <div style="font-size: 12px; color: var(--text-muted); margin-bottom: 8px;">
+                  From intent <strong>${escapeHtml(titles.get(task.intentId) || task.intentId)}</strong>
+                  · ${escapeHtml(task.payload.priority)} priority
+                  ${task.payload.context?.tags?.length ? ` · ${task.payload.context.tags.map(escapeHtml).join(', ')}` : ''}
+                  · ${task.payload.context?.related?.length || 0} context item(s)
+                  ${task.approval.editedAt ? ' · edited' : ''}
+                </div>
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                  <span style="font-size: 11px; font-family: var(--font-mono); color: var(--accent-primary);">ID: ${escapeHtml(task.id)} · ${formatTime(task.approval.requestedAt)}</span>
+                  <span>
+                    <button class="btn btn-sm btn-primary" data-action="approve">Approve</button>
+                    <button class="btn btn-sm" data-action="edit">Edit payload</button>
+                    <button class="btn btn-sm" data-action="reject">Reject</button>
+                  </span>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        ` : `
+          <p style="font-size: 12px; color: var(--text-muted);">Nothing is waiting for approval.</p>
+        `}
+      </div>
+
+      <!-- Orchestrator Outbox: every dispatched task and where it stands -->
       <div class="card" style="margin-bottom: 24px; border-color: var(--stage-decision);">
         <div class="card-header">
           <span class="card-title">🚀 Orchestrator Outbox</span>
-          <span class="badge" style="background: var(--stage-decision); color: #fff;">Proactive Execution</span>
+          <span>
+            ${deadLetters > 0 ? `<span class="badge" style="background: var(--accent-danger); color: #fff;">${deadLetters} undelivered</span>` : ''}
+            <span class="badge" style="background: var(--stage-decision); color: #fff;">${openTasks} open</span>
+          </span>
         </div>
         <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
-          Intents that reach the <strong>DECISION</strong> state are automatically packaged and pushed here for downstream agents (e.g., Openclaw) to execute.
+          Intents that reach their machine's dispatch state are packaged as tasks for downstream agents (e.g., Openclaw), which acknowledge, run and complete them.
         </p>
-        ${mcpStatus.outboundQueue && mcpStatus.outboundQueue.length > 0 ? `
+        ${tasks.length > 0 ? `
           <div style="display: flex; flex-direction: column; gap: 12px;">
-            ${mcpStatus.outboundQueue.map(task => `
-              <div style="padding: 12px; background: var(--bg-card-hover); border: 1px solid var(--border-subtle); border-radius: 8px;">
-                <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                  <strong style="color: var(--text-primary);">${task.directive}</strong>
-                  <span class="badge" style="background: var(--bg-tertiary);">${task.status}</span>
+            ${tasks.map(task => `
+              <div class="outbox-task" data-id="${escapeHtml(task.id)}">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                  <strong style="color: var(--text-primary);">${escapeHtml(task.payload.directive)}</strong>
+                  <span class="task-status task-status-${task.status}">${task.status}</span>
+                </div>
+                <div style="font-size: 12px; color: var(--text-muted); margin-bottom: 8px;">
+                  From intent <strong>${escapeHtml(titles.get(task.intentId) || task.intentId)}</strong>
+                  ${task.executor ? ` · ${escapeHtml(task.executor)}` : ''}
+                  ${task.delivery?.status === 'failed' ? ` · <span style="color: var(--accent-danger);">delivery via ${escapeHtml(task.delivery.executor)} failed (attempt ${task.delivery.attempt ?? 1}${task.delivery.nextAttemptAt ? `, next ${formatTime(task.delivery.nextAttemptAt)}` : ''}): ${escapeHtml(task.delivery.error)}</span>` : ''}
+                  ${task.progress ? ` · ${task.progress.percent !== undefined ? `${task.progress.percent}%` : ''} ${escapeHtml(task.progress.message || '')}` : ''}
+                  ${task.error ? ` · <span style="color: var(--accent-danger);">${escapeHtml(task.error)}</span>` : ''}
+                  ${task.supersededBy ? ` · superseded by ${escapeHtml(task.supersededBy)}` : ''}
+                </div>
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                  <span style="font-size: 11px; font-family: var(--font-mono); color: var(--accent-primary);">ID: ${escapeHtml(task.id)} · ${formatTime(task.updatedAt)}</span>
+                  ${OPEN_STATES.includes(task.status) ? '<button class="btn btn-sm" data-action="cancel">Cancel</button>' : ''}
+                  ${task.status === 'dead-lettered' ? `
+                    <span>
+                      <button class="btn btn-sm" data-action="retry">Retry</button>
+                      <button class="btn btn-sm" data-action="discard">Discard</button>
+                    </span>
+                  ` : ''}
                 </div>
-                <div style="font-size: 12px; color: var(--text-muted); margin-bottom: 8px;">${task.parameters}</div>
-                <div style="font-size: 11px; font-family: var(--font-mono); color: var(--accent-primary);">ID: ${task.task_id}</div>
               </div>
             `).join('')}
           </div>
         ` : `
           <div style="padding: 24px; text-align: center; color: var(--text-muted); background: var(--bg-tertiary); border-radius: 8px; border: 1px dashed var(--border-subtle);">
-            Queue is empty. Move an Intent to DECISION state to trigger proactive execution.
+            Outbox is empty. Move an Intent to DECISION state to trigger proactive execution.
           </div>
         `}
       </div>
@@ -130,9 +200,9 @@ export async function renderMcp(container) {
           <ul class="mcp-log-list">
             ${logs.map(log => `
               <li class="mcp-log-item">
-                <span class="mcp-log-time">${formatShortTime(log.timestamp)}</span>
-                <span class="mcp-log-agent">${log.agentId}</span>
-                <span class="mcp-log-type">${log.type}</span>
+                <span class="mcp-log-time">${formatShortTime(log.createdAt)}</span>
+                <span class="mcp-log-agent">${escapeHtml(log.agentId)}</span>
+                <span class="mcp-log-type">${escapeHtml(log.type)}</span>
               </li>
             `).join('')}
           </ul>
@@ -140,6 +210,73 @@ export async function renderMcp(container) {
       </div>
     `;
 
+    container.querySelectorAll('.outbox-task [data-action="cancel"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Cancel this task?')) return;
+        try {
+          await api.cancelTask(btn.closest('.outbox-task').dataset.id, 'Cancelled from the dashboard');
+          await renderMcp(container);
+        } catch (err) {
+          alert('Cancel failed: ' + err.message);
+        }
+      });
+    });
+
+    const pendingTask = btn => approvals.find(task => task.id === btn.closest('.approval-task').dataset.id);
+
+    container.querySelectorAll('.approval-task [data-action="approve"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          const { delivery } = await api.approveTask(pendingTask(btn).id);
+          if (delivery?.status === 'failed') alert(`Approved, but delivery failed: ${delivery.error}`);
+          await renderMcp(container);
+        } catch (err) {
+          alert('Approve failed: ' + err.message);
+        }
+      });
+    });
+
+    container.querySelectorAll('.approval-task [data-action="edit"]').forEach(btn => {
+      btn.addEventListener('click', () => openPayloadDialog(pendingTask(btn), container));
+    });
+
+    container.querySelectorAll('.approval-task [data-action="reject"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const note = prompt('Reject this dispatch? It will never be sent. Reason (optional):');
+        if (note === null) return;
+        try {
+          await api.rejectTask(pendingTask(btn).id, note);
+          await renderMcp(container);
+        } catch (err) {
+          alert('Reject failed: ' + err.message);
+        }
+      });
+    });
+
+    container.querySelectorAll('.outbox-task [data-action="retry"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          const { delivery } = await api.retryDeadLetter(btn.closest('.outbox-task').dataset.id);
+          if (delivery?.status === 'failed') alert(`Delivery failed again: ${delivery.error}`);
+          await renderMcp(container);
+        } catch (err) {
+          alert('Retry failed: ' + err.message);
+        }
+      });
+    });
+
+    container.querySelectorAll('.outbox-task [data-action="discard"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Discard this task? It will never be executed.')) return;
+        try {
+          await api.discardDeadLetter(btn.closest('.outbox-task').dataset.id, 'Discarded from the dashboard');
+          await renderMcp(container);
+        } catch (err) {
+          alert('Discard failed: ' + err.message);
+        }
+      });
+    });
+
     // Wire up simulate button
     document.getElementById('mcp-simulate-btn')?.addEventListener('click', async () => {
       const resultEl = document.getElementById('mcp-simulate-result');
@@ -163,6 +300,50 @@ export async function renderMcp(container) {
   }
 }
 
+/** Edit a pending task's payload as JSON; save it, or save and approve in one go */
+function openPayloadDialog(task, container) {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'plan-dialog';
+  dialog.innerHTML = `
+    <h3>Edit the payload for “${escapeHtml(task.payload.directive)}”</h3>
+    <p class="plan-note">The task id, source intent and idempotency key can't be changed.</p>
+    <textarea class="payload-editor" spellcheck="false">${escapeHtml(JSON.stringify(task.payload, null, 2))}</textarea>
+    <div class="plan-dialog-actions">
+      <button class="btn btn-sm" data-action="cancel">Cancel</button>
+      <button class="btn btn-sm" data-action="save">Save</button>
+      <button class="btn btn-sm btn-primary" data-action="approve">Save &amp; approve</button>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('close', () => dialog.remove());
+  dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => dialog.close());
+
+  const submit = async (send) => {
+    let payload;
+    try {
+      payload = JSON.parse(dialog.querySelector('.payload-editor').value);
+    } catch (err) {
+      alert('The payload is not valid JSON: ' + err.message);
+      return;
+    }
+    try {
+      if (send) await api.approveTask(task.id, { payload });
+      else await api.editApprovalPayload(task.id, payload);
+      dialog.close();
+      await renderMcp(container);
+    } catch (err) {
+      alert('Saving the payload failed: ' + err.message);
+    }
+  };
+  dialog.querySelector('[data-action="save"]').addEventListener('click', () => submit(false));
+  dialog.querySelector('[data-action="approve"]').addEventListener('click', () => submit(true));
+  dialog.showModal();
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
 function formatTime(ts) {
   if (!ts) return 'never';
   const d = new Date(ts);
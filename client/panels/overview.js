@@ -8,17 +8,16 @@ export async function renderOverview(container) {
   container.innerHTML = '<div class="panel-header"><h2>⌛ Loading kernel...</h2></div>';
 
   try {
-    const [status, activity, intents, persons, chains, trajectories] = await Promise.all([
+    const [status, activity, intents, trajectories, suggestions] = await Promise.all([
       api.getStatus(),
       api.getActivity(),
       api.getIntents(),
-      api.getPersons(),
-      api.getChains(),
-      api.getTrajectories()
+      api.getTrajectories({ limit: 1 }),
+      api.getSuggestions({ status: 'pending' })
     ]);
 
     const activeIntents = intents.filter(i => i.active);
-    const trajectory = trajectories[0]; // Main trajectory
+    const trajectory = trajectories.items[0]; // Main trajectory
 
     container.innerHTML = `
       <div class="panel-header">
@@ -41,7 +40,7 @@ export async function renderOverview(container) {
           <div class="stat-label">Relations</div>
         </div>
         <div class="stat-card">
-          <div class="stat-value">${chains.length}</div>
+          <div class="stat-value">${status.entities?.['thinking-chains'] || 0}</div>
           <div class="stat-label">Thinking Chains</div>
         </div>
         <div class="stat-card">
@@ -101,6 +100,15 @@ export async function renderOverview(container) {
             `).join('')}
           </div>
         </div>
+
+        <!-- Idle suggestions from the scheduler -->
+        <div class="card">
+          <div class="card-header">
+            <span class="card-title">Going Cold</span>
+            <button id="scan-idle-btn" class="btn btn-sm">Scan now</button>
+          </div>
+          ${renderSuggestions(suggestions, intents)}
+        </div>
       </div>
 
       <!-- Trajectory + Activity Feed -->
@@ -136,6 +144,26 @@ export async function renderOverview(container) {
       </div>
     `;
 
+    // Suggestions: accept moves the intent through the FSM, dismiss keeps it
+    container.querySelectorAll('.suggestion-item [data-action]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const id = btn.closest('.suggestion-item').dataset.id;
+        btn.disabled = true;
+        try {
+          if (btn.dataset.action === 'accept') await api.acceptSuggestion(id);
+          else await api.dismissSuggestion(id);
+          await renderOverview(container);
+        } catch (err) {
+          btn.disabled = false;
+          alert(`Could not ${btn.dataset.action} suggestion: ${err.message}`);
+        }
+      });
+    });
+    container.querySelector('#scan-idle-btn').addEventListener('click', async () => {
+      await api.scanIdle();
+      await renderOverview(container);
+    });
+
     // Wire up Ingest button
     const ingestBtn = container.querySelector('#ingest-btn');
     const ingestInput = container.querySelector('#ingest-input');
@@ -207,6 +235,28 @@ function renderCognitiveChart(intents) {
   `;
 }
 
+function renderSuggestions(suggestions, intents) {
+  if (suggestions.length === 0) {
+    return '<p style="color: var(--text-muted); font-size: 13px;">Nothing has gone cold.</p>';
+  }
+  const titles = new Map(intents.map(i => [i.id, i.title]));
+  return `
+    <ul class="activity-feed">
+      ${suggestions.map(s => `
+        <li class="activity-item suggestion-item" data-id="${s.id}">
+          <div class="activity-icon intent">🕸️</div>
+          <div class="activity-content">
+            <div class="activity-title">${s.label} ${titles.get(s.intentId) || s.intentId}</div>
+            <div class="activity-time">${s.message} · ${s.from} → ${s.to}</div>
+          </div>
+          <button class="btn btn-sm btn-primary" data-action="accept">Accept</button>
+          <button class="btn btn-sm" data-action="dismiss">Dismiss</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
 function renderTrajectory(trajectory) {
   return `
     <div style="padding-left: 18px; position: relative;">
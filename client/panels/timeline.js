@@ -1,6 +1,6 @@
 /**
  * Intent Timeline Panel — Visualizes how intents evolve over time
- * Shows cognitive stages and stage history
+ * Shows one board per state machine (a column per state) and the stage history
  */
 
 import { api } from '../api.js';
@@ -9,7 +9,11 @@ export async function renderTimeline(container) {
   container.innerHTML = '<div class="panel-header"><h2>⌛ Loading timeline...</h2></div>';
 
   try {
-    const intents = await api.getIntents();
+    const [intents, machines] = await Promise.all([api.getIntents(), api.getMachines()]);
+    const machineOf = intent => machines.find(m => intent.type && m.intentTypes?.includes(intent.type))
+      || machines.find(m => m.id === 'default');
+    const colorOf = (intent, stage) => machineOf(intent).states.find(s => s.id === stage)?.color
+      || `var(--stage-${stage})`;
 
     // Build timeline events from stage histories
     const events = [];
@@ -18,8 +22,10 @@ export async function renderTimeline(container) {
         events.push({
           intent,
           stage: sh.stage,
+          color: colorOf(intent, sh.stage),
           note: sh.note,
-          timestamp: sh.timestamp
+          timestamp: sh.timestamp,
+          reverted: sh.reverted
         });
       });
     });
@@ -32,48 +38,244 @@ export async function renderTimeline(container) {
         <p>How your cognitive journey evolved over time — from exploration to execution.</p>
       </div>
 
-      <!-- Stage Legend -->
-      <div style="display: flex; gap: 16px; margin-bottom: 24px; flex-wrap: wrap;">
-        <div class="legend-item"><span class="legend-dot" style="background: var(--stage-EXPLORATION);"></span> Exploration</div>
-        <div class="legend-item"><span class="legend-dot" style="background: var(--stage-REFINING);"></span> Refining</div>
-        <div class="legend-item"><span class="legend-dot" style="background: var(--stage-DECISION);"></span> Decision</div>
-        <div class="legend-item"><span class="legend-dot" style="background: var(--stage-REFUTED);"></span> Refuted</div>
-      </div>
-
-      <!-- Intent Cards (summary) -->
-      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px; margin-bottom: 32px;">
-        ${intents.map(i => `
-          <div class="card" style="padding: 14px; cursor: pointer;" onclick="document.getElementById('event-${i.id}')?.scrollIntoView({behavior: 'smooth', block: 'center'})">
-            <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
-              <span style="font-size: 13px; font-weight: 600;">${truncate(i.title, 28)}</span>
-              <span class="badge badge-${i.stage}" style="font-size: 9px;">${i.stage}</span>
-            </div>
-            <div style="font-size: 11px; color: var(--text-muted);">${(i.stageHistory || []).length} stage changes</div>
-            ${!i.active ? '<span style="font-size: 10px; color: var(--text-muted);">✓ completed</span>' : ''}
-          </div>
-        `).join('')}
-      </div>
+      <!-- One board per state machine, a column per state -->
+      ${machines.map(m => renderBoard(m, intents.filter(i => machineOf(i) === m))).join('')}
 
       <!-- Timeline -->
       <div class="timeline-container">
         <div class="timeline-line"></div>
         ${events.map((ev, idx) => `
-          <div class="timeline-item" id="event-${idx === 0 ? ev.intent.id : ''}" style="border-left: 3px solid var(--stage-${ev.stage});">
-            <div class="timeline-dot" style="background: var(--stage-${ev.stage}); box-shadow: 0 0 8px var(--stage-${ev.stage});"></div>
+          <div class="timeline-item${ev.reverted ? ' reverted' : ''}" id="event-${idx === 0 ? escapeAttr(ev.intent.id) : ''}" style="border-left: 3px solid ${escapeAttr(ev.color)};">
+            <div class="timeline-dot" style="background: ${escapeAttr(ev.color)}; box-shadow: 0 0 8px ${escapeAttr(ev.color)};"></div>
             <div class="timeline-date">${formatDate(ev.timestamp)}</div>
-            <div class="timeline-title">${ev.intent.title}</div>
-            <div class="timeline-desc">${ev.note}</div>
+            <div class="timeline-title">${escapeHtml(ev.intent.title)}</div>
+            <div class="timeline-desc">${escapeHtml(ev.note || '')}${ev.reverted ? ` <em>— reverted ${formatDate(ev.reverted.timestamp)}${ev.reverted.note ? `: ${escapeHtml(ev.reverted.note)}` : ''}</em>` : ''}</div>
             <div class="timeline-meta">
-              <span class="badge badge-${ev.stage}">${ev.stage}</span>
-              ${(ev.intent.tags || []).slice(0, 3).map(t => `<span class="tag">${t}</span>`).join('')}
+              <span class="badge" style="color: ${escapeAttr(ev.color)};">${escapeHtml(ev.stage)}</span>
+              ${(ev.intent.tags || []).slice(0, 3).map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('')}
             </div>
           </div>
         `).join('')}
       </div>
     `;
+
+    // Clicking a board card scrolls to the intent on the timeline
+    container.querySelectorAll('.fsm-card').forEach(card => {
+      card.addEventListener('click', () => {
+        document.getElementById(`event-${card.dataset.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      });
+    });
+
+    container.querySelectorAll('.fsm-undo').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (!confirm(`${btn.title}?`)) return;
+        try {
+          const { undone, skipped } = await api.revertIntent(btn.dataset.id);
+          if (skipped.length > 0) {
+            alert(`Reverted ${undone.length} change(s). Left alone:\n${skipped.map(s => `${s.intentId || s.taskId}: ${s.reason}`).join('\n')}`);
+          }
+          await renderTimeline(container);
+        } catch (err) {
+          alert('Undo failed: ' + err.message);
+        }
+      });
+    });
+
+    container.querySelectorAll('.fsm-move').forEach(select => {
+      select.addEventListener('change', () => {
+        if (select.value) confirmMove(container, select.dataset.id, select.value);
+        select.value = '';
+      });
+    });
+
+    // Multi-select per board: tick intents, then move them all in one batch
+    container.querySelectorAll('.fsm-batch-bar').forEach(bar => {
+      const boxes = [...container.querySelectorAll(`.fsm-select-box[data-machine="${CSS.escape(bar.dataset.machine)}"]`)];
+      const stageSelect = bar.querySelector('.fsm-batch-stage');
+      const selected = () => boxes.filter(b => b.checked).map(b => b.dataset.id);
+      boxes.forEach(box => box.addEventListener('change', () => {
+        bar.querySelector('.fsm-batch-count').textContent = `${selected().length} selected`;
+        stageSelect.disabled = selected().length === 0;
+      }));
+      stageSelect.addEventListener('change', () => {
+        if (stageSelect.value) confirmBatch(container, selected(), stageSelect.value);
+        stageSelect.value = '';
+      });
+    });
+  } catch (err) {
+    container.innerHTML = `<div class="panel-header"><h2>↗ Intent Timeline</h2><p style="color: var(--accent-danger);">Error: ${escapeHtml(err.message)}</p></div>`;
+  }
+}
+
+function renderBoard(machine, intents) {
+  // Intents whose stage isn't part of the machine (it was redefined) get their own column
+  const known = new Set(machine.states.map(s => s.id));
+  const columns = [...machine.states];
+  if (intents.some(i => !known.has(i.stage))) {
+    columns.push({ id: null, label: 'Other', description: 'Stage not in this machine', color: 'var(--text-muted)' });
+  }
+  const typeNote = machine.intentTypes?.length ? `type: ${machine.intentTypes.map(escapeHtml).join(', ')}` : 'untyped intents';
+
+  return `
+    <div class="fsm-board">
+      <div class="fsm-board-header">
+        <h3>${escapeHtml(machine.name)}</h3>
+        <span>${typeNote}${machine.dispatchState ? ` · dispatches at ${escapeHtml(machine.dispatchState)}` : ''}</span>
+        <div class="fsm-batch-bar" data-machine="${escapeAttr(machine.id)}">
+          <span class="fsm-batch-count">0 selected</span>
+          <select class="fsm-batch-stage" disabled>
+            <option value="">Move selected to…</option>
+            ${machine.states.map(st => `<option value="${escapeAttr(st.id)}">${escapeHtml(st.label || st.id)}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="fsm-columns" style="grid-template-columns: repeat(${columns.length}, minmax(160px, 1fr));">
+        ${columns.map(state => {
+          const members = intents.filter(i => state.id ? i.stage === state.id : !known.has(i.stage));
+          return `
+            <div class="fsm-column" title="${escapeAttr(state.description || '')}">
+              <div class="fsm-column-header" style="border-bottom-color: ${escapeAttr(state.color || 'var(--border-subtle)')};">
+                <span class="legend-dot" style="background: ${escapeAttr(state.color || 'var(--text-muted)')};"></span>
+                ${escapeHtml(state.label || state.id)}
+                <span class="fsm-column-count">${members.length}</span>
+              </div>
+              ${members.map(i => `
+                <div class="card fsm-card" style="padding: 10px; cursor: pointer;" data-id="${escapeAttr(i.id)}">
+                  <label class="fsm-select" onclick="event.stopPropagation()">
+                    <input type="checkbox" class="fsm-select-box" data-id="${escapeAttr(i.id)}" data-machine="${escapeAttr(machine.id)}">
+                    <span style="font-size: 12px; font-weight: 600;">${escapeHtml(truncate(i.title, 28))}</span>
+                  </label>
+                  <div style="font-size: 11px; color: var(--text-muted);" title="${escapeAttr(i.confidenceHistory?.at(-1)?.reason || '')}">${Math.round((i.confidence ?? 0) * 100)}% confident · ${(i.stageHistory || []).filter(sh => !sh.reverted).length} stage changes${state.id ? '' : ` · ${escapeHtml(i.stage)}`}</div>
+                  ${!i.active ? '<span style="font-size: 10px; color: var(--text-muted);">✓ completed</span>' : ''}
+                  ${renderMoveSelect(machine, i)}
+                  ${renderUndo(i)}
+                </div>
+              `).join('')}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function renderMoveSelect(machine, intent) {
+  const targets = machine.transitions[intent.stage] || machine.states.map(s => s.id).filter(id => id !== intent.stage);
+  if (targets.length === 0) return '';
+  return `
+    <select class="fsm-move" data-id="${escapeAttr(intent.id)}" onclick="event.stopPropagation()">
+      <option value="">Move to…</option>
+      ${targets.map(id => `<option value="${escapeAttr(id)}">${escapeHtml(machine.states.find(s => s.id === id)?.label || id)}</option>`).join('')}
+    </select>
+  `;
+}
+
+// Undo for the latest transition still standing (the first entry is the intent's creation)
+function renderUndo(intent) {
+  const history = intent.stageHistory || [];
+  const index = history.findLastIndex((sh, idx) => idx > 0 && !sh.reverted);
+  if (index === -1) return '';
+  const entry = history[index];
+  return `<button class="btn btn-sm fsm-undo" data-id="${escapeAttr(intent.id)}" title="Undo the move to ${escapeAttr(entry.stage)}${entry.from ? ` from ${escapeAttr(entry.from)}` : ''}">↶ Undo</button>`;
+}
+
+// Preview the move (nothing is written), show its full cascade, and apply it only once confirmed
+async function confirmMove(container, intentId, stage) {
+  let preview;
+  try {
+    preview = await api.previewIntentUpdate(intentId, { stage });
   } catch (err) {
-    container.innerHTML = `<div class="panel-header"><h2>↗ Intent Timeline</h2><p style="color: var(--accent-danger);">Error: ${err.message}</p></div>`;
+    const failed = err.body?.failed?.map(f => `• ${f.message}`).join('\n');
+    alert(`Cannot move to ${stage}: ${failed ? `\n${failed}` : err.message}`);
+    return;
   }
+
+  openPlanDialog(`Move “${escapeHtml(preview.intent.title)}” to ${escapeHtml(stage)}?`, renderPlan(preview.plan), [
+    { label: 'Apply', run: () => api.updateIntent(intentId, { stage }) }
+  ], container);
+}
+
+// Preview moving every selected intent in one batch; offer the all-or-nothing move, or the part that can move
+async function confirmBatch(container, ids, stage) {
+  const operations = ids.map(id => ({ id, stage, stageNote: `Batch move to ${stage}` }));
+  let preview;
+  try {
+    preview = await api.batchIntents(operations, { atomic: false, dryRun: true });
+  } catch (err) {
+    alert('Batch preview failed: ' + err.message);
+    return;
+  }
+  const failures = preview.results.filter(r => !r.ok);
+  const moving = preview.results.length - failures.length;
+  const body = `
+    ${failures.length > 0 ? `
+      <div class="plan-section">
+        <div class="plan-section-title">Cannot move</div>
+        <ul>${failures.map(f => `<li><strong>${escapeHtml(f.id)}</strong> <span class="plan-note">${escapeHtml(f.error.error)}</span></li>`).join('')}</ul>
+      </div>
+    ` : ''}
+    ${renderPlan(preview.plan)}
+  `;
+  const actions = failures.length === 0
+    ? [{ label: `Move all ${moving}`, run: () => api.batchIntents(operations) }]
+    : moving > 0
+      ? [{ label: `Move the ${moving} that can`, run: () => api.batchIntents(operations, { atomic: false }) }]
+      : [];
+  openPlanDialog(`Move ${ids.length} intent(s) to ${escapeHtml(stage)}?`, body, actions, container);
+}
+
+function openPlanDialog(title, body, actions, container) {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'plan-dialog';
+  dialog.innerHTML = `
+    <h3>${title}</h3>
+    ${body}
+    <div class="plan-dialog-actions">
+      <button class="btn btn-sm" data-action="cancel">Cancel</button>
+      ${actions.map((a, idx) => `<button class="btn btn-sm btn-primary" data-action="${idx}">${a.label}</button>`).join('')}
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('close', () => dialog.remove());
+  dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => dialog.close());
+  actions.forEach((action, idx) => {
+    dialog.querySelector(`[data-action="${idx}"]`).addEventListener('click', async () => {
+      try {
+        await action.run();
+        dialog.close();
+        await renderTimeline(container);
+      } catch (err) {
+        alert('Move failed: ' + err.message);
+      }
+    });
+  });
+  dialog.showModal();
+}
+
+function renderPlan(plan) {
+  const percent = v => (v === null || v === undefined ? '—' : `${Math.round(v * 100)}%`);
+  const section = (title, items) => items.length === 0 ? '' : `
+    <div class="plan-section">
+      <div class="plan-section-title">${title}</div>
+      <ul>${items.join('')}</ul>
+    </div>
+  `;
+  return `
+    ${section('Stage changes', plan.stageChanges.map(c =>
+      `<li><strong>${escapeHtml(c.title)}</strong> ${c.from ?? '—'} → ${c.to}${c.note ? ` <span class="plan-note">${escapeHtml(c.note)}</span>` : ''}</li>`))}
+    ${section('Confidence', plan.confidenceChanges.map(c =>
+      `<li><strong>${escapeHtml(c.title)}</strong> ${percent(c.from)} → ${percent(c.to)}${c.reason ? ` <span class="plan-note">${escapeHtml(c.reason)}</span>` : ''}</li>`))}
+    ${section('Dispatched to executors', plan.dispatches.map(d =>
+      `<li><strong>${escapeHtml(d.directive)}</strong> <span class="plan-note">${d.priority} priority · task ${d.task_id.slice(0, 8)}</span></li>`))}
+    ${section('Log entries', plan.logs.map(l =>
+      `<li>${escapeHtml(l.type)} <span class="plan-note">${escapeHtml(l.details || '')}</span></li>`))}
+    <div class="plan-note">${plan.writes.length} write(s) in total</div>
+  `;
+}
+
+function escapeHtml(str) {
+  return escapeAttr(String(str)).replace(/>/g, '&gt;');
 }
 
 function formatDate(ts) {
@@ -81,6 +283,10 @@ function formatDate(ts) {
   return new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
+function escapeAttr(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
 function truncate(str, len) {
   if (!str) return '';
   return str.length > len ? str.slice(0, len) + '…' : str;
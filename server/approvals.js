@@ -0,0 +1,128 @@
+/**
+ * Self Kernel — Dispatch Approvals
+ *
+ * Some intents shouldn't reach an executor before a person has looked at
+ * what is about to be sent. The rules under `approvalRules` in
+ * kernel-meta.json say which:
+ *
+ *   { "label": "Funding", "tags": ["funding"] }
+ *   { "label": "Names people", "persons": ["*"] }
+ *   { "priorities": ["critical"], "executors": ["openclaw"] }
+ *
+ * A rule applies when every list it gives fits the payload: it shares a tag,
+ * has one of the priorities, is routed to one of the executors, or involves
+ * one of the persons by name ("*" for anyone). A rule without lists applies
+ * to every dispatch. When any rule applies, the task is stored as
+ * pending-approval and nothing leaves the kernel until someone approves it,
+ * possibly after editing the payload. Rejecting it cancels it.
+ */
+
+import * as storage from './storage.js';
+import { KernelError } from './errors.js';
+import { moveTask } from './tasks.js';
+import { deliverTask } from './executors/index.js';
+
+const CONDITIONS = ['tags', 'priorities', 'executors', 'persons'];
+
+// What an edit can't change: the task's identity and where it came from
+const FIXED_FIELDS = ['task_id', 'intent_source_id', 'transition_id', 'idempotency_key', 'schema_version'];
+
+/** What's wrong with a rule (empty when it's usable) */
+export function checkRule(rule) {
+    const errors = [];
+    for (const [name, value] of Object.entries(rule || {})) {
+        if (name === 'label') continue;
+        if (!CONDITIONS.includes(name)) errors.push(`unknown condition '${name}'`);
+        else if (!Array.isArray(value)) errors.push(`${name} must be a list`);
+    }
+    return errors;
+}
+
+/** Configured rules in order, each with its `errors` */
+export async function getApprovalRules() {
+    const meta = await storage.getKernelMeta();
+    return (meta?.approvalRules || []).map(rule => ({ ...rule, errors: checkRule(rule) }));
+}
+
+/** Does `rule` hold back `payload`, headed for `executor` (null if none fits)? */
+export function ruleApplies(rule, payload, executor) {
+    const fits = (list, values) => !Array.isArray(list) || list.length === 0 || values.some(value => list.includes(value));
+    const names = (payload.context?.involved_entities || []).map(p => p.name);
+    return fits(rule.tags, payload.context?.tags || [])
+        && fits(rule.priorities, [payload.priority])
+        && fits(rule.executors, executor ? [executor.id] : [])
+        && (rule.persons?.includes('*') ? names.length > 0 : fits(rule.persons, names));
+}
+
+/** The approval a payload needs ({ rule }: the first rule that applies, as labelled), or null */
+export async function approvalFor(payload, executor) {
+    const rules = await getApprovalRules();
+    const index = rules.findIndex(rule => rule.errors.length === 0 && ruleApplies(rule, payload, executor));
+    if (index === -1) return null;
+    return { rule: rules[index].label || `Rule ${index + 1}` };
+}
+
+async function pending(id) {
+    const task = await storage.getById('tasks', id);
+    if (!task) throw new KernelError('Task not found', 404);
+    if (task.status !== 'pending-approval') throw new KernelError(`Task is ${task.status}, not pending approval`, 409);
+    return task;
+}
+
+/** The edited payload, with the fields an edit can't change put back */
+function edited(task, payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new KernelError('payload must be an object', 400);
+    }
+    if (typeof payload.directive !== 'string' || !payload.directive.trim()) {
+        throw new KernelError('payload.directive must be a non-empty string', 400);
+    }
+    const { callback, ...rest } = payload;
+    const fixed = Object.fromEntries(FIXED_FIELDS.filter(f => f in task.payload).map(f => [f, task.payload[f]]));
+    return { ...rest, ...fixed };
+}
+
+/** Replace a pending task's payload (what will be sent once approved) */
+export async function editPendingPayload(id, payload) {
+    const task = await pending(id);
+    const next = edited(task, payload);
+    return storage.mutate('tasks', id, current => {
+        if (current.status !== 'pending-approval') throw new KernelError(`Task is ${current.status}, not pending approval`, 409);
+        current.payload = next;
+        current.approval.editedAt = new Date().toISOString();
+    });
+}
+
+async function logDecision(task, type, details) {
+    await storage.create('mcp-logs', { agentId: 'approvals', type, intentId: task.intentId, taskId: task.id, details });
+}
+
+/**
+ * Approve a pending task, with an edited `payload` if given, and hand it to
+ * an executor. Returns { task, delivery } after the first delivery attempt
+ * (delivery is null when no executor fits and the task waits in the outbox).
+ */
+export async function approveTask(id, { note = '', payload } = {}) {
+    const task = await pending(id);
+    const changes = {
+        approval: { ...task.approval, status: 'approved', decidedAt: new Date().toISOString(), ...(note ? { note } : {}) },
+        ...(payload !== undefined ? { payload: edited(task, payload) } : {})
+    };
+    if (payload !== undefined) changes.approval.editedAt = changes.approval.decidedAt;
+    const approved = await moveTask(id, 'dispatched', { note: note ? `Approved: ${note}` : 'Approved', changes });
+    await logDecision(approved, 'APPROVAL_GRANTED', `Task ${id} approved for dispatch: ${approved.payload.directive}${note ? ` (${note})` : ''}`);
+    const delivery = await deliverTask(approved);
+    return { task: await storage.getById('tasks', id), delivery };
+}
+
+/** Reject a pending task: it is cancelled and never sent */
+export async function rejectTask(id, note = '') {
+    const task = await pending(id);
+    const decidedAt = new Date().toISOString();
+    const rejected = await moveTask(id, 'cancelled', {
+        note: note ? `Rejected: ${note}` : 'Rejected',
+        changes: { completedAt: decidedAt, approval: { ...task.approval, status: 'rejected', decidedAt, ...(note ? { note } : {}) } }
+    });
+    await logDecision(rejected, 'APPROVAL_REJECTED', `Task ${id} rejected; it will not be sent: ${task.payload.directive}${note ? ` (${note})` : ''}`);
+    return rejected;
+}
@@ -0,0 +1,48 @@
+/**
+ * Self Kernel — File helpers shared by the storage backends
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID as uuidv4 } from 'crypto';
+import { PLAIN_CODEC } from '../encryption.js';
+
+/**
+ * Write text to a sibling temp file, fsync it, then rename it over the target.
+ * Readers see either the old file or the new one — never a truncated write.
+ */
+export async function writeFileAtomic(filePath, text) {
+    const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${uuidv4()}.tmp`);
+    try {
+        const handle = await fs.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(text);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tmpPath, filePath);
+    } catch (err) {
+        await fs.unlink(tmpPath).catch(() => {});
+        throw err;
+    }
+}
+
+/** Pretty-printed JSON, the on-disk format for every white-box file */
+export function toJson(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+/** Read and parse a JSON file (decrypting it through `codec`); null if it is missing or unreadable */
+export async function readJsonFile(filePath, codec = PLAIN_CODEC) {
+    try {
+        return JSON.parse(codec.decode(await fs.readFile(filePath, 'utf-8')));
+    } catch {
+        return null;
+    }
+}
+
+/** True for editor/atomic-write temp files that must never be treated as entities */
+export function isTempFile(file) {
+    return file.startsWith('.') || file.endsWith('.tmp');
+}
@@ -0,0 +1,48 @@
+/**
+ * Self Kernel — Storage Backend Registry
+ *
+ * A backend only moves entities between memory and disk. Locking, caching and
+ * the public storage API stay in storage.js, so every backend gets them for free.
+ *
+ * Backend contract (all methods async unless noted):
+ * Factories take (dataDir, { codec }); the codec (encryption.js) encrypts what
+ * they write and decrypts what they read.
+ *
+ *   name                          identifier stored in kernel-meta.json
+ *   init(collections)             prepare on-disk layout
+ *   list(collection)              → [{ id, item }]
+ *   read(collection, id)          → item | null
+ *   write(collection, id, item)   create or replace
+ *   delete(collection, id)        → true if something was removed
+ *   count(collection)             → number of live items
+ *   readRaw(collection, id)       → { path, content, raw, encrypted } | null, for the inspector
+ *   watch(collections, onChange)  (sync) report external edits as onChange(collection, id | null);
+ *                                 returns a function that stops watching
+ *
+ * Selection: SELF_KERNEL_BACKEND env var, else `storage.backend` in
+ * kernel-meta.json, else the JSON directory. Switch backends with
+ * `npm run migrate -- --to <name>` rather than by editing the setting.
+ */
+
+import { createJsonDirBackend } from './json-dir.js';
+import { createJsonlLogBackend } from './jsonl-log.js';
+
+export const BACKENDS = {
+    'json-dir': createJsonDirBackend,
+    'jsonl': createJsonlLogBackend
+};
+
+export const DEFAULT_BACKEND = 'json-dir';
+
+/** Pick the configured backend name from the environment and kernel metadata */
+export function resolveBackendName(meta) {
+    return process.env.SELF_KERNEL_BACKEND || meta?.storage?.backend || DEFAULT_BACKEND;
+}
+
+export function createBackend(name, dataDir, options = {}) {
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown storage backend '${name}' (available: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return factory(dataDir, options);
+}
@@ -0,0 +1,99 @@
+/**
+ * Self Kernel — JSON Directory Backend (default)
+ *
+ * One pretty-printed JSON file per entity: database/<collection>/<id>.json.
+ * The most transparent layout — every entity can be opened, edited or deleted
+ * with a plain file explorer. In an encrypted kernel each file holds one
+ * encrypted envelope instead.
+ */
+
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import { writeFileAtomic, toJson, readJsonFile, isTempFile } from './files.js';
+import { PLAIN_CODEC } from '../encryption.js';
+
+export function createJsonDirBackend(dataDir, { codec = PLAIN_CODEC } = {}) {
+    const entityPath = (collection, id) => path.join(dataDir, collection, `${id}.json`);
+
+    async function entityIds(collection) {
+        try {
+            const files = await fs.readdir(path.join(dataDir, collection));
+            return files
+                .filter(file => file.endsWith('.json') && !isTempFile(file))
+                .map(file => file.slice(0, -'.json'.length));
+        } catch {
+            return []; // missing collection directory reads as empty
+        }
+    }
+
+    return {
+        name: 'json-dir',
+
+        async init(collections) {
+            for (const col of collections) {
+                await fs.mkdir(path.join(dataDir, col), { recursive: true });
+            }
+        },
+
+        async list(collection) {
+            const entries = [];
+            for (const id of await entityIds(collection)) {
+                // Skip files removed or replaced between readdir and read
+                const item = await readJsonFile(entityPath(collection, id), codec);
+                if (item) entries.push({ id, item });
+            }
+            return entries;
+        },
+
+        read(collection, id) {
+            return readJsonFile(entityPath(collection, id), codec);
+        },
+
+        async write(collection, id, item) {
+            await writeFileAtomic(entityPath(collection, id), codec.encode(toJson(item)));
+        },
+
+        async delete(collection, id) {
+            try {
+                await fs.unlink(entityPath(collection, id));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        async count(collection) {
+            return (await entityIds(collection)).length;
+        },
+
+        async readRaw(collection, id) {
+            const filePath = entityPath(collection, id);
+            try {
+                const raw = codec.decode(await fs.readFile(filePath, 'utf-8'));
+                return { path: filePath, content: JSON.parse(raw), raw, encrypted: codec.encrypted };
+            } catch {
+                return null;
+            }
+        },
+
+        watch(collections, onChange) {
+            const watchers = [];
+            for (const col of collections) {
+                try {
+                    const watcher = watch(path.join(dataDir, col), (event, file) => {
+                        if (!file) return onChange(col, null);
+                        if (!file.endsWith('.json') || isTempFile(file)) return;
+                        onChange(col, file.slice(0, -'.json'.length));
+                    });
+                    watcher.on('error', () => onChange(col, null));
+                    watcher.unref();
+                    watchers.push(watcher);
+                } catch (err) {
+                    console.warn(`[Storage] Cannot watch ${col}; hand edits need a restart to show up:`, err.message);
+                }
+            }
+            return () => watchers.forEach(w => w.close());
+        }
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * Self Kernel — Append-Only JSONL Log Backend
+ *
+ * One log per collection: database/log/<collection>.jsonl. Every write appends
+ * a line — {"op":"put","id":...,"item":{...}} or {"op":"del","id":...} — and the
+ * latest record for an ID wins. Large kernels get a handful of files instead of
+ * tens of thousands, while the log stays plain text you can read and grep.
+ *
+ * Compaction rewrites a log with only the live records once superseded lines
+ * outnumber live ones. A torn last line (crash mid-append) is skipped on load
+ * and dropped by the compaction that follows. In an encrypted kernel each line
+ * is an encrypted envelope of its record.
+ */
+
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import { writeFileAtomic, toJson } from './files.js';
+import { PLAIN_CODEC, DecryptionError } from '../encryption.js';
+
+// Don't bother compacting logs with fewer dead lines than this
+const MIN_DEAD_RECORDS = 64;
+
+export function createJsonlLogBackend(dataDir, { codec = PLAIN_CODEC } = {}) {
+    const logDir = path.join(dataDir, 'log');
+    const logPath = collection => path.join(logDir, `${collection}.jsonl`);
+
+    // collection -> { items: Map<id, item>, records: lines in the log, size: bytes we know about }
+    const tables = new Map();
+    // collection -> tail of its serialised load/append/compact chain
+    const queues = new Map();
+
+    function enqueue(collection, fn) {
+        const run = (queues.get(collection) || Promise.resolve()).then(fn);
+        queues.set(collection, run.catch(() => {}));
+        return run;
+    }
+
+    async function load(collection) {
+        const table = { items: new Map(), records: 0, size: 0 };
+        let text = '';
+        try {
+            text = await fs.readFile(logPath(collection), 'utf-8');
+        } catch {
+            // No log yet: empty collection
+        }
+        table.size = Buffer.byteLength(text);
+        let torn = false;
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            let record;
+            try {
+                record = JSON.parse(codec.decode(line));
+            } catch (err) {
+                if (err instanceof DecryptionError) throw err;
+                torn = true;
+                console.warn(`[Storage] Skipping unreadable line in ${collection}.jsonl`);
+                continue;
+            }
+            table.records++;
+            if (record.op === 'del') table.items.delete(record.id);
+            else table.items.set(record.id, record.item);
+        }
+        tables.set(collection, table);
+        // Never append after a torn line: it would swallow the next record
+        if (torn || (text && !text.endsWith('\n'))) await compactTable(collection, table);
+        return table;
+    }
+
+    function table(collection) {
+        if (tables.has(collection)) return Promise.resolve(tables.get(collection));
+        return enqueue(collection, () => tables.get(collection) || load(collection));
+    }
+
+    async function compactTable(collection, t) {
+        const lines = Array.from(t.items, ([id, item]) => codec.encode(JSON.stringify({ op: 'put', id, item })) + '\n');
+        const text = lines.join('');
+        await writeFileAtomic(logPath(collection), text);
+        t.records = lines.length;
+        t.size = Buffer.byteLength(text);
+    }
+
+    async function append(collection, record) {
+        await table(collection);
+        return enqueue(collection, async () => {
+            const t = tables.get(collection) || await load(collection);
+            const line = codec.encode(JSON.stringify(record)) + '\n';
+            const handle = await fs.open(logPath(collection), 'a');
+            try {
+                await handle.write(line);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            t.records++;
+            t.size += Buffer.byteLength(line);
+            if (record.op === 'del') t.items.delete(record.id);
+            else t.items.set(record.id, record.item);
+
+            const dead = t.records - t.items.size;
+            if (dead > MIN_DEAD_RECORDS && dead > t.items.size) await compactTable(collection, t);
+        });
+    }
+
+    return {
+        name: 'jsonl',
+
+        async init() {
+            await fs.mkdir(logDir, { recursive: true });
+        },
+
+        async list(collection) {
+            const t = await table(collection);
+            return Array.from(t.items, ([id, item]) => ({ id, item: structuredClone(item) }));
+        },
+
+        async read(collection, id) {
+            const item = (await table(collection)).items.get(id);
+            return item ? structuredClone(item) : null;
+        },
+
+        async write(collection, id, item) {
+            await append(collection, { op: 'put', id, item });
+        },
+
+        async delete(collection, id) {
+            if (!(await table(collection)).items.has(id)) return false;
+            await append(collection, { op: 'del', id });
+            return true;
+        },
+
+        async count(collection) {
+            return (await table(collection)).items.size;
+        },
+
+        async readRaw(collection, id) {
+            const item = await this.read(collection, id);
+            if (!item) return null;
+            return { path: `${logPath(collection)}#${id}`, content: item, raw: toJson(item), encrypted: codec.encrypted };
+        },
+
+        /** Rewrite a collection's log with only its live records */
+        async compact(collection) {
+            await table(collection);
+            return enqueue(collection, () => compactTable(collection, tables.get(collection)));
+        },
+
+        watch(collections, onChange) {
+            let watcher;
+            try {
+                watcher = watch(logDir, (event, file) => {
+                    const collection = file?.endsWith('.jsonl') ? file.slice(0, -'.jsonl'.length) : null;
+                    if (!collection || !collections.includes(collection) || !tables.has(collection)) return;
+                    enqueue(collection, async () => {
+                        const stat = await fs.stat(logPath(collection)).catch(() => null);
+                        // Our own appends and compactions leave the size we recorded
+                        if (stat && stat.size === tables.get(collection)?.size) return;
+                        await load(collection);
+                        onChange(collection, null);
+                    });
+                });
+                watcher.on('error', () => {});
+                watcher.unref();
+            } catch (err) {
+                console.warn('[Storage] Cannot watch the log directory; hand edits need a restart to show up:', err.message);
+            }
+            return () => watcher?.close();
+        }
+    };
+}
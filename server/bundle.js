@@ -0,0 +1,234 @@
+/**
+ * Self Kernel — Export / Import Bundles
+ *
+ * A bundle is one JSON document holding every collection and kernel-meta.json,
+ * closed by a manifest with per-collection counts and SHA-256 checksums:
+ *
+ *   { format, version, exportedAt, kernelMeta, collections: { persons: [...], ... }, manifest }
+ *
+ * The manifest comes last so the export can be streamed entity by entity.
+ * A collection's checksum covers JSON.stringify(item) + '\n' for each item in
+ * order, so the importer can verify it from the parsed bundle.
+ *
+ * Import strategies for IDs that already exist locally:
+ *   skip       keep the local entity
+ *   overwrite  replace it with the bundle's
+ *   newest     keep whichever was updated last
+ *   rekey      import the bundle's entity under a new ID and point the
+ *              bundle's own references at it (identical copies are skipped)
+ *
+ * Secrets stay on this machine: executors go into the bundle with their
+ * header values hidden (webhook credentials) and the key callback tokens are
+ * made with is left out. An import takes neither from a bundle; executors
+ * name this machine's programs and paths.
+ *
+ * The outbox stays with the kernel that dispatched it: tasks still open in
+ * the bundle arrive cancelled, so they are never delivered, retried or
+ * offered for approval here. Intent → intent edges from the bundle are
+ * checked for loops together with the local graph before anything is written.
+ */
+
+import crypto, { randomUUID as uuidv4 } from 'crypto';
+import * as storage from './storage.js';
+import { validate } from './schema.js';
+import { rewriteReferences } from './integrity.js';
+import { KernelError, CycleError } from './errors.js';
+import { maskExecutor } from './executors/index.js';
+import { ACTIVE_STATES } from './tasks.js';
+import { assertAcyclicWrites } from './dag.js';
+
+export const BUNDLE_FORMAT = 'self-kernel-bundle';
+export const BUNDLE_VERSION = 1;
+export const STRATEGIES = ['skip', 'overwrite', 'newest', 'rekey'];
+
+// Machine-local metadata that an import never takes from another kernel
+const LOCAL_META_FIELDS = new Set(['kernelId', 'createdAt', 'storage', 'executors', 'callbackSecret']);
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function checksumItems(items) {
+    const hash = crypto.createHash('sha256');
+    for (const item of items) hash.update(JSON.stringify(item) + '\n');
+    return hash.digest('hex');
+}
+
+/** kernel-meta.json as it may leave the kernel: executor credentials hidden, the callback key left out */
+export function shareableMeta(meta) {
+    if (!meta) return meta;
+    const { callbackSecret, ...rest } = meta;
+    return rest.executors ? { ...rest, executors: rest.executors.map(maskExecutor) } : rest;
+}
+
+/** The export as a sequence of text chunks, one entity at a time */
+export async function* exportChunks() {
+    const meta = shareableMeta(await storage.getKernelMeta());
+    const exportedAt = new Date().toISOString();
+    const manifest = {
+        kernelId: meta?.kernelId || null,
+        exportedAt,
+        kernelMeta: { sha256: sha256(JSON.stringify(meta)) },
+        collections: {}
+    };
+
+    yield `{\n"format": ${JSON.stringify(BUNDLE_FORMAT)},\n"version": ${BUNDLE_VERSION},\n"exportedAt": ${JSON.stringify(exportedAt)},\n`;
+    yield `"kernelMeta": ${JSON.stringify(meta)},\n"collections": {`;
+
+    for (const [i, collection] of storage.COLLECTIONS.entries()) {
+        const hash = crypto.createHash('sha256');
+        let count = 0;
+        yield `${i > 0 ? ',' : ''}\n${JSON.stringify(collection)}: [`;
+        for (const item of await storage.listAll(collection)) {
+            const line = JSON.stringify(item);
+            hash.update(line + '\n');
+            yield `${count > 0 ? ',' : ''}\n${line}`;
+            count++;
+        }
+        yield '\n]';
+        manifest.collections[collection] = { count, sha256: hash.digest('hex') };
+    }
+
+    yield `\n},\n"manifest": ${JSON.stringify(manifest, null, 2)}\n}\n`;
+}
+
+/** Check a parsed bundle's format and checksums; throws a KernelError if it can't be trusted */
+export function verifyBundle(bundle) {
+    if (bundle?.format !== BUNDLE_FORMAT || !bundle.collections || !bundle.manifest) {
+        throw new KernelError('Not a Self Kernel bundle', 400);
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new KernelError(`Bundle version ${bundle.version} is newer than this kernel supports (${BUNDLE_VERSION})`, 400);
+    }
+
+    const mismatches = [];
+    for (const [collection, expected] of Object.entries(bundle.manifest.collections || {})) {
+        const items = bundle.collections[collection] || [];
+        if (items.length !== expected.count || checksumItems(items) !== expected.sha256) {
+            mismatches.push({ collection, expected: expected.count, actual: items.length });
+        }
+    }
+    if (bundle.manifest.kernelMeta && sha256(JSON.stringify(bundle.kernelMeta)) !== bundle.manifest.kernelMeta.sha256) {
+        mismatches.push({ collection: 'kernel-meta' });
+    }
+    if (mismatches.length > 0) {
+        throw new KernelError('Bundle checksums do not match its manifest — the file is damaged or was edited', 422, { mismatches });
+    }
+}
+
+/** A task from another kernel's outbox as it is imported: cancelled if it was still open there */
+function importedTask(task, source) {
+    if (!ACTIVE_STATES.includes(task.status) && task.status !== 'dead-lettered') return task;
+    const timestamp = new Date().toISOString();
+    const { nextAttemptAt, ...delivery } = task.delivery || {};
+    return {
+        ...task,
+        status: 'cancelled',
+        ...(task.delivery ? { delivery } : {}),
+        statusHistory: [...(task.statusHistory || []), { status: 'cancelled', timestamp, note: `Imported from kernel ${source || 'unknown'} while ${task.status}` }],
+        completedAt: timestamp
+    };
+}
+
+function lastChanged(item) {
+    return Date.parse(item.updatedAt || item.createdAt) || 0;
+}
+
+/**
+ * Import a bundle. With `dryRun`, nothing is written and the report says what
+ * would happen. Every entity is validated before the first write, so an
+ * invalid bundle is refused as a whole (422 with the report).
+ */
+export async function importBundle(bundle, { strategy = 'skip', dryRun = false } = {}) {
+    if (!STRATEGIES.includes(strategy)) {
+        throw new KernelError(`Unknown import strategy '${strategy}' (use ${STRATEGIES.join(', ')})`, 400);
+    }
+    verifyBundle(bundle);
+
+    const report = {
+        strategy,
+        dryRun,
+        source: { kernelId: bundle.manifest.kernelId || null, exportedAt: bundle.manifest.exportedAt || bundle.exportedAt },
+        collections: {},
+        rekeyed: [],
+        meta: [],
+        errors: [],
+        warnings: []
+    };
+
+    for (const collection of Object.keys(bundle.collections)) {
+        if (!storage.COLLECTIONS.includes(collection)) report.warnings.push(`Unknown collection '${collection}' ignored`);
+    }
+
+    // Pass 1: decide what happens to each entity; re-keyed IDs must be known before references are rewritten
+    const plan = [];
+    const idMap = new Map();
+    for (const collection of storage.COLLECTIONS) {
+        const counts = { created: 0, overwritten: 0, skipped: 0, rekeyed: 0 };
+        report.collections[collection] = counts;
+        for (const incoming of bundle.collections[collection] || []) {
+            if (!incoming?.id) {
+                report.errors.push({ collection, id: null, errors: [{ pointer: '/id', keyword: 'required', message: 'is required' }] });
+                continue;
+            }
+            const existing = await storage.getById(collection, incoming.id);
+            let action = 'create';
+            if (existing) {
+                if (strategy === 'overwrite') action = 'overwrite';
+                else if (strategy === 'newest') action = lastChanged(incoming) > lastChanged(existing) ? 'overwrite' : 'skip';
+                else if (strategy === 'rekey') action = JSON.stringify(incoming) === JSON.stringify(existing) ? 'skip' : 'rekey';
+                else action = 'skip';
+            }
+            if (action === 'rekey') {
+                const newId = uuidv4();
+                idMap.set(`${collection}/${incoming.id}`, newId);
+                report.rekeyed.push({ collection, from: incoming.id, to: newId });
+            }
+            counts[{ create: 'created', overwrite: 'overwritten', skip: 'skipped', rekey: 'rekeyed' }[action]]++;
+            if (action !== 'skip') plan.push({ collection, action, incoming });
+        }
+    }
+
+    // Pass 2: build the entities to write and validate all of them
+    const mapId = (collection, id) => idMap.get(`${collection}/${id}`) || id;
+    for (const entry of plan) {
+        let item = structuredClone(entry.incoming);
+        item.id = mapId(entry.collection, item.id);
+        rewriteReferences(entry.collection, item, mapId);
+        if (entry.collection === 'tasks') item = importedTask(item, report.source.kernelId);
+        entry.item = item;
+        const errors = validate(entry.collection, item);
+        if (errors.length > 0) report.errors.push({ collection: entry.collection, id: entry.incoming.id, errors });
+    }
+
+    // The bundle's intent → intent edges, checked against the graph they'll join
+    try {
+        await assertAcyclicWrites(plan);
+    } catch (err) {
+        if (!(err instanceof CycleError)) throw err;
+        const [collection, id] = err.details.via[0].split('#')[0].split('/');
+        report.errors.push({ collection, id, errors: [{ pointer: '/', keyword: 'acyclic', message: err.message, ...err.details }] });
+    }
+
+    // Kernel metadata: settings the local kernel doesn't have yet, or all of them when overwriting
+    const localMeta = (await storage.getKernelMeta()) || {};
+    const metaUpdates = {};
+    for (const [key, value] of Object.entries(bundle.kernelMeta || {})) {
+        if (LOCAL_META_FIELDS.has(key)) continue;
+        if (!(key in localMeta) || (strategy === 'overwrite' && JSON.stringify(localMeta[key]) !== JSON.stringify(value))) {
+            metaUpdates[key] = value;
+        }
+    }
+    report.meta = Object.keys(metaUpdates);
+
+    if (report.errors.length > 0 && !dryRun) {
+        throw new KernelError(`Bundle contains ${report.errors.length} invalid entit${report.errors.length === 1 ? 'y' : 'ies'}; nothing was imported`, 422, report);
+    }
+    if (dryRun) return report;
+
+    for (const { collection, item } of plan) {
+        await storage.put(collection, item, { action: 'import' });
+    }
+    if (report.meta.length > 0) await storage.updateKernelMeta(metaUpdates);
+    return report;
+}
@@ -0,0 +1,161 @@
+/**
+ * Self Kernel — Execution Context
+ *
+ * Gathers what an executor needs to act on an intent beyond its title:
+ *
+ *   decision-note  stageHistory notes, the why of the decision (newest first)
+ *   parent         intents it serves, with the relation's label and strength
+ *   milestone      trajectory milestones that reference it
+ *   child          intents it breaks down into, with label and strength
+ *   thought        recent nodes of the thinking chains linked to it
+ *
+ * Every item gets a relevance score: its kind's weight (KIND_WEIGHTS) times
+ * the relation strength or how recent it is. Items go in by score for as
+ * long as they fit the budget, `executionContext` in kernel-meta.json:
+ *
+ *   { "unit": "chars" | "tokens", "limit": 6000 }
+ *
+ * Tokens are estimated at four characters each. An item's size is that of
+ * its JSON; long texts are clipped first so one note can't take it all.
+ */
+
+import * as storage from './storage.js';
+import { childEdges, DEFAULT_STRENGTH } from './dag.js';
+
+export const DEFAULT_BUDGET = { unit: 'chars', limit: 6000 };
+export const KIND_WEIGHTS = { 'decision-note': 1, parent: 0.9, milestone: 0.8, child: 0.7, thought: 0.6 };
+export const MAX_THOUGHTS = 10;
+
+const MAX_TEXT = 500;
+const RECENCY = 0.85;   // each older note or thought counts this much less
+const MILESTONE_FACTORS = { 'in-progress': 1, planned: 0.9, blocked: 0.9, completed: 0.6, cancelled: 0.3 };
+
+function clip(text, max = MAX_TEXT) {
+    return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+function score(kind, factor) {
+    return Math.round(KIND_WEIGHTS[kind] * factor * 1000) / 1000;
+}
+
+/** Size of `item` in the budget's unit */
+export function measure(item, unit) {
+    const chars = JSON.stringify(item).length;
+    return unit === 'tokens' ? Math.ceil(chars / 4) : chars;
+}
+
+/** The configured budget, with defaults for anything missing or invalid */
+export async function getBudget() {
+    const { unit, limit } = (await storage.getKernelMeta())?.executionContext || {};
+    return {
+        unit: unit === 'tokens' ? 'tokens' : DEFAULT_BUDGET.unit,
+        limit: Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_BUDGET.limit
+    };
+}
+
+function intentText(intent) {
+    return clip(intent.description ? `${intent.title}: ${intent.description}` : intent.title, 300);
+}
+
+async function decisionNotes(intent) {
+    return (intent.stageHistory || [])
+        .filter(entry => entry.note && !entry.reverted)
+        .reverse()
+        .map((entry, rank) => ({
+            kind: 'decision-note',
+            text: clip(entry.note),
+            from: entry.from ?? null,
+            to: entry.stage,
+            timestamp: entry.timestamp,
+            score: score('decision-note', RECENCY ** rank)
+        }));
+}
+
+async function parents(intent) {
+    const incoming = (await storage.findBy('relations', 'targetId', intent.id))
+        .filter(r => r.sourceType === 'intent' && r.targetType === 'intent');
+    const edges = incoming.map(r => ({ id: r.sourceId, relation: r.label ?? null, strength: r.strength ?? DEFAULT_STRENGTH }));
+    if (intent.parentId && !edges.some(e => e.id === intent.parentId)) {
+        edges.push({ id: intent.parentId, relation: 'parent', strength: 1 });
+    }
+    const items = [];
+    for (const edge of edges) {
+        const parent = await storage.getById('intents', edge.id);
+        if (!parent) continue;
+        items.push({ kind: 'parent', id: parent.id, text: intentText(parent), stage: parent.stage, ...edge, score: score('parent', edge.strength) });
+    }
+    return items;
+}
+
+async function children(intent) {
+    const edges = (await childEdges(intent.id)).map(({ relation, child, strength }) => ({ child, relation: relation.label ?? null, strength }));
+    for (const child of await storage.findBy('intents', 'parentId', intent.id)) {
+        if (!edges.some(e => e.child.id === child.id)) edges.push({ child, relation: 'parent', strength: 1 });
+    }
+    return edges.map(({ child, relation, strength }) => ({
+        kind: 'child', id: child.id, text: intentText(child), stage: child.stage, relation, strength,
+        score: score('child', strength)
+    }));
+}
+
+async function milestones(intent) {
+    const items = [];
+    for (const trajectory of await storage.listAll('trajectories')) {
+        for (const milestone of trajectory.milestones) {
+            if (milestone.intentId !== intent.id) continue;
+            items.push({
+                kind: 'milestone', text: milestone.label, status: milestone.status, date: milestone.date,
+                trajectory: trajectory.title, score: score('milestone', MILESTONE_FACTORS[milestone.status] ?? 0.5)
+            });
+        }
+    }
+    return items;
+}
+
+async function thoughts(intent) {
+    const chainIds = new Set((await storage.findBy('relations', 'targetId', intent.id))
+        .filter(r => r.sourceType === 'thinking-chain').map(r => r.sourceId));
+    for (const r of await storage.findBy('relations', 'sourceId', intent.id)) {
+        if (r.targetType === 'thinking-chain') chainIds.add(r.targetId);
+    }
+    const nodes = [];
+    for (const chain of await storage.listAll('thinking-chains')) {
+        const linked = chainIds.has(chain.id) || (chain.linkedIntents || []).includes(intent.id);
+        for (const node of chain.nodes) {
+            if (linked || (node.linkedIntents || []).includes(intent.id)) nodes.push({ chain, node });
+        }
+    }
+    return nodes
+        .sort((a, b) => b.node.timestamp.localeCompare(a.node.timestamp))
+        .slice(0, MAX_THOUGHTS)
+        .map(({ chain, node }, rank) => ({
+            kind: 'thought',
+            text: clip(node.content),
+            ...(node.type ? { type: node.type } : {}),
+            chain: chain.title,
+            timestamp: node.timestamp,
+            score: score('thought', RECENCY ** rank)
+        }));
+}
+
+/**
+ * The context items for `intent`, best first, cut to `budget` (the
+ * configured one by default). Returns { items, budget: { unit, limit,
+ * used, omitted } }, where omitted counts the items that didn't fit.
+ */
+export async function assembleContext(intent, budget = null) {
+    const { unit, limit } = budget || await getBudget();
+    const candidates = (await Promise.all([decisionNotes, parents, milestones, children, thoughts].map(gather => gather(intent))))
+        .flat()
+        .sort((a, b) => b.score - a.score);
+
+    const items = [];
+    let used = 0;
+    for (const item of candidates) {
+        const size = measure(item, unit);
+        if (used + size > limit) continue;
+        items.push(item);
+        used += size;
+    }
+    return { items, budget: { unit, limit, used, omitted: candidates.length - items.length } };
+}
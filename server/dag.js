@@ -0,0 +1,335 @@
+/**
+ * Self Kernel — Intent DAG Confidence
+ *
+ * An intent's confidence blends its own stage's confidence with its
+ * children's, weighted by the strength of the intent → intent relations:
+ *
+ *   confidence = (1 - w) · stage confidence + w · Σ(strength · child) / Σ strength
+ *
+ * where w is the state's `childWeight` (DEFAULT_CHILD_WEIGHT if unset; 0 makes
+ * the stage alone count). Intents without children keep their stage's value.
+ * An intent left idle past its state's threshold has its stage share scaled
+ * by `decay` (set by the scheduler, cleared by the next transition).
+ *
+ * A change is pushed to every ancestor. Each affected intent is computed once
+ * (memoised) after its affected children, and a relation cycle is cut where it
+ * closes: the child on the current path counts with its stored value.
+ * Every change is explained in the intent's `confidenceHistory`.
+ *
+ * The graph itself must stay acyclic: intent → intent relations and parentId
+ * links are both edges, and assertAcyclic refuses any edge that would close a
+ * loop; writers use withAcyclicWrite so the check and the write happen under
+ * one lock. intentDag gives the topological order with depth and ancestry.
+ */
+
+import * as storage from './storage.js';
+import { machineFor } from './fsm.js';
+import { CycleError } from './errors.js';
+
+export const DEFAULT_CHILD_WEIGHT = 0.5;
+export const DEFAULT_STRENGTH = 0.5;
+export const MAX_CONFIDENCE_HISTORY = 50;
+
+function isIntentEdge(relation) {
+    return relation.sourceType === 'intent' && relation.targetType === 'intent';
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/** Child intents of `intentId` with the strength of the relation to each */
+export async function childEdges(intentId) {
+    const outgoing = (await storage.findBy('relations', 'sourceId', intentId)).filter(isIntentEdge);
+    const edges = await Promise.all(outgoing.map(async relation => ({
+        relation,
+        child: await storage.getById('intents', relation.targetId),
+        strength: relation.strength ?? DEFAULT_STRENGTH
+    })));
+    return edges.filter(edge => edge.child);
+}
+
+/** IDs of the intents `intentId` is a child of */
+export async function parentIds(intentId) {
+    const incoming = (await storage.findBy('relations', 'targetId', intentId)).filter(isIntentEdge);
+    return [...new Set(incoming.map(r => r.sourceId))];
+}
+
+/** The stage share and the strength-weighted children share, blended */
+export function blendConfidence(own, childWeight, children) {
+    const total = children.reduce((sum, c) => sum + c.strength, 0);
+    if (total === 0) return round(own);
+    const fromChildren = children.reduce((sum, c) => sum + c.strength * c.confidence, 0) / total;
+    return round((1 - childWeight) * own + childWeight * fromChildren);
+}
+
+/** What the intent's stage contributes, decay applied: { own, childWeight } */
+async function stageShare(intent, machine = null) {
+    machine = machine || await machineFor(intent);
+    const state = machine.states.find(s => s.id === intent.stage);
+    return { own: (state?.confidence ?? 0) * (intent.decay ?? 1), childWeight: state?.childWeight ?? DEFAULT_CHILD_WEIGHT };
+}
+
+/**
+ * Confidence of `intent` at its current stage (pass `machine` if known),
+ * given its children's stored confidences.
+ */
+export async function computeConfidence(intent, machine = null) {
+    const { own, childWeight } = await stageShare(intent, machine);
+    const children = (await childEdges(intent.id)).map(({ child, strength }) => ({
+        confidence: child.confidence ?? 0,
+        strength
+    }));
+    return blendConfidence(own, childWeight, children);
+}
+
+/** Set `intent.confidence` and note the change in its history (capped). Returns whether it changed. */
+export function recordConfidence(intent, value, reason) {
+    const previous = intent.confidence ?? null;
+    if (previous === value) return false;
+    intent.confidence = value;
+    intent.confidenceHistory = [
+        ...(intent.confidenceHistory || []),
+        { value, previous, timestamp: new Date().toISOString(), reason }
+    ].slice(-MAX_CONFIDENCE_HISTORY);
+    return true;
+}
+
+/** `startIds` and every ancestor of them; visited once each, so cycles end */
+async function ancestorsOf(startIds) {
+    const seen = new Set();
+    const pending = [...startIds];
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (seen.has(id)) continue;
+        seen.add(id);
+        pending.push(...await parentIds(id));
+    }
+    return seen;
+}
+
+/**
+ * Recompute `startIds` and all their ancestors, writing those whose value
+ * changed. `reason` explains the change on the start intents; ancestors
+ * name the children that moved. Returns [{ id, previous, value }].
+ * The writes leave updatedAt alone: a recomputed confidence is bookkeeping,
+ * not activity, so a parent of busy children can still go idle.
+ */
+export async function propagateConfidence(startIds, reason) {
+    const affected = await ancestorsOf(startIds);
+    const memo = new Map();     // id -> computed confidence
+    const path = new Set();     // intents being computed, to cut cycles
+
+    async function resolve(intent) {
+        if (memo.has(intent.id)) return memo.get(intent.id);
+        path.add(intent.id);
+        const { own, childWeight } = await stageShare(intent);
+        const children = [];
+        for (const { child, strength } of await childEdges(intent.id)) {
+            const moving = affected.has(child.id) && !path.has(child.id);
+            children.push({ confidence: moving ? await resolve(child) : child.confidence ?? 0, strength });
+        }
+        path.delete(intent.id);
+        const value = blendConfidence(own, childWeight, children);
+        memo.set(intent.id, value);
+        return value;
+    }
+
+    const stored = new Map();
+    for (const id of affected) {
+        const intent = await storage.getById('intents', id);
+        if (intent) stored.set(id, intent);
+    }
+    for (const intent of stored.values()) await resolve(intent);
+
+    const changes = [];
+    const starts = new Set(startIds);
+    for (const [id, intent] of stored) {
+        const value = memo.get(id);
+        if (value === (intent.confidence ?? null)) continue;
+        let why = reason;
+        if (!starts.has(id)) {
+            const moved = (await childEdges(id))
+                .filter(({ child }) => memo.has(child.id) && memo.get(child.id) !== (stored.get(child.id)?.confidence ?? null))
+                .map(({ child }) => `'${child.title}' ${stored.get(child.id).confidence ?? 0} → ${memo.get(child.id)}`);
+            why = moved.length > 0 ? `Children changed: ${moved.join(', ')}` : reason;
+        }
+        const previous = intent.confidence ?? null;
+        await storage.mutate('intents', id, current => {
+            recordConfidence(current, value, why);
+        }, { touch: false });
+        changes.push({ id, previous, value });
+    }
+    return changes;
+}
+
+/** Recompute every intent, e.g. after editing relations by hand */
+export async function recomputeAll(reason = 'Recomputed from the whole DAG') {
+    const intents = await storage.listAll('intents');
+    return propagateConfidence(intents.map(i => i.id), reason);
+}
+
+/**
+ * Every edge of the intent graph as parent -> [{ to, via }], where `via` names
+ * what makes the edge ("relations/<id>" or "intents/<id>#parentId").
+ * `exclude` skips the edges of these entities ("<collection>/<id>"), e.g. the
+ * versions being replaced.
+ */
+async function intentGraph({ exclude = new Set() } = {}) {
+    const graph = new Map();
+    const add = (from, to, via) => {
+        if (exclude.has(via.split('#')[0])) return;
+        if (!graph.has(from)) graph.set(from, []);
+        graph.get(from).push({ to, via });
+    };
+    for (const relation of await storage.listAll('relations')) {
+        if (isIntentEdge(relation)) add(relation.sourceId, relation.targetId, `relations/${relation.id}`);
+    }
+    for (const intent of await storage.listAll('intents')) {
+        if (intent.parentId) add(intent.parentId, intent.id, `intents/${intent.id}#parentId`);
+    }
+    return graph;
+}
+
+/** The edges an entity adds to the intent graph: [{ from, to, via }] */
+function edgesOf(collection, item) {
+    const key = `${collection}/${item.id ?? '(new)'}`;
+    if (collection === 'relations' && isIntentEdge(item)) return [{ from: item.sourceId, to: item.targetId, via: key }];
+    if (collection === 'intents' && item.parentId) return [{ from: item.parentId, to: item.id, via: `${key}#parentId` }];
+    return [];
+}
+
+/** Shortest path `from` → … → `to` as { path, via }, or null */
+function findPath(graph, from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (id === to) {
+            const path = [];
+            const via = [];
+            for (let step = to; step !== from; step = previous.get(step).id) {
+                path.unshift(step);
+                via.unshift(previous.get(step).via);
+            }
+            return { path: [from, ...path], via };
+        }
+        for (const edge of graph.get(id) || []) {
+            if (!previous.has(edge.to)) {
+                previous.set(edge.to, { id, via: edge.via });
+                queue.push(edge.to);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Throw a CycleError (409) if writing `item` to `collection` would close a
+ * loop in the intent graph. Its stored version's edges don't count.
+ */
+export async function assertAcyclic(collection, item) {
+    return assertAcyclicWrites([{ collection, item }]);
+}
+
+// Held from the loop check to the write of an edge, so two edges can't each
+// pass the check and close a loop between them
+const GRAPH_LOCK = 'dag/intent-graph';
+
+/**
+ * Check `item` with assertAcyclic, then run `write` (which stores it) before
+ * any other edge can be checked. Entities that add no edge skip the lock.
+ */
+export async function withAcyclicWrite(collection, item, write) {
+    if (edgesOf(collection, item).length === 0) return write();
+    return storage.withLock(GRAPH_LOCK, async () => {
+        await assertAcyclic(collection, item);
+        return write();
+    });
+}
+
+/**
+ * assertAcyclic for several writes landing together, e.g. an import: the
+ * check runs on the graph as it will be once all of them are stored.
+ */
+export async function assertAcyclicWrites(writes) {
+    const edges = writes.flatMap(({ collection, item }) => edgesOf(collection, item));
+    if (edges.length === 0) return;
+    const graph = await intentGraph({ exclude: new Set(writes.map(({ collection, item }) => `${collection}/${item.id}`)) });
+    for (const { from, to, via } of edges) {
+        if (!graph.has(from)) graph.set(from, []);
+        graph.get(from).push({ to, via });
+    }
+    for (const { from, to, via } of edges) {
+        if (from === to) throw new CycleError([from, to], [via]);
+        const back = findPath(graph, to, from);
+        if (back) throw new CycleError([from, ...back.path], [via, ...back.via]);
+    }
+}
+
+/**
+ * The intent DAG in topological order (parents first, ties by id). Each entry
+ * carries its depth (longest path from a root), parents, children and all
+ * ancestors. Intents caught in a cycle (left by hand edits) are listed under
+ * `cyclic` instead of ordered.
+ */
+export async function intentDag() {
+    const intents = await storage.listAll('intents');
+    const graph = await intentGraph();
+    const known = new Set(intents.map(i => i.id));
+
+    const parents = new Map(intents.map(i => [i.id, new Set()]));
+    const children = new Map(intents.map(i => [i.id, new Set()]));
+    for (const [from, edges] of graph) {
+        if (!known.has(from)) continue;
+        for (const { to } of edges) {
+            if (!known.has(to)) continue;
+            children.get(from).add(to);
+            parents.get(to).add(from);
+        }
+    }
+
+    // Kahn's algorithm, always taking the smallest ready id
+    const waiting = new Map([...parents].map(([id, set]) => [id, set.size]));
+    const ready = [...waiting].filter(([, n]) => n === 0).map(([id]) => id).sort();
+    const order = [];
+    const depth = new Map();
+    const ancestors = new Map();
+    while (ready.length > 0) {
+        const id = ready.shift();
+        order.push(id);
+        const mine = new Set();
+        let level = 0;
+        for (const parent of parents.get(id)) {
+            mine.add(parent);
+            for (const a of ancestors.get(parent)) mine.add(a);
+            level = Math.max(level, depth.get(parent) + 1);
+        }
+        depth.set(id, level);
+        ancestors.set(id, mine);
+        for (const child of children.get(id)) {
+            waiting.set(child, waiting.get(child) - 1);
+            if (waiting.get(child) === 0) {
+                const at = ready.findIndex(r => r > child);
+                ready.splice(at === -1 ? ready.length : at, 0, child);
+            }
+        }
+    }
+
+    const byId = new Map(intents.map(i => [i.id, i]));
+    return {
+        order,
+        roots: order.filter(id => parents.get(id).size === 0),
+        intents: order.map(id => ({
+            id,
+            title: byId.get(id).title,
+            stage: byId.get(id).stage,
+            confidence: byId.get(id).confidence ?? null,
+            depth: depth.get(id),
+            parents: [...parents.get(id)].sort(),
+            children: [...children.get(id)].sort(),
+            ancestors: [...ancestors.get(id)].sort()
+        })),
+        cyclic: intents.map(i => i.id).filter(id => !depth.has(id)).sort()
+    };
+}
@@ -0,0 +1,122 @@
+/**
+ * Self Kernel — Encryption at Rest CLI
+ *
+ * Rewrites every entity and history file of the active backend under a new
+ * key (or none). The key config goes into kernel-meta.json before any file is
+ * touched, so an interrupted run can simply be started again.
+ * Stop the server first.
+ *
+ *   SELF_KERNEL_PASSPHRASE=… npm run encrypt                 encrypt in place
+ *   SELF_KERNEL_PASSPHRASE=old SELF_KERNEL_NEW_PASSPHRASE=new \
+ *     npm run encrypt -- --rotate                           change the passphrase
+ *   SELF_KERNEL_PASSPHRASE=… npm run encrypt -- --decrypt   back to plaintext
+ */
+
+import { COLLECTIONS, DATA_DIR, getKernelMeta, updateKernelMeta } from './storage.js';
+import { createBackend, resolveBackendName } from './backends/index.js';
+import { createHistoryStore } from './history.js';
+import { createCodec, createKeyConfig, unlockKey } from './encryption.js';
+
+function parseArgs(argv) {
+    const args = { rotate: false, decrypt: false };
+    for (const arg of argv) {
+        if (arg === '--rotate') args.rotate = true;
+        else if (arg === '--decrypt') args.decrypt = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (args.rotate && args.decrypt) throw new Error('Use either --rotate or --decrypt');
+    return args;
+}
+
+function requireEnv(name) {
+    const value = process.env[name];
+    if (!value) throw new Error(`Set ${name}`);
+    return value;
+}
+
+/** Re-write every entity and history line through `codec` (which must read both old and new files) */
+async function rewriteKernel(meta, codec) {
+    const backend = createBackend(resolveBackendName(meta), DATA_DIR, { codec });
+    await backend.init(COLLECTIONS);
+    for (const col of COLLECTIONS) {
+        const entries = await backend.list(col);
+        for (const { id, item } of entries) {
+            await backend.write(col, id, item);
+        }
+        // Log backends still hold the old lines until compacted
+        await backend.compact?.(col);
+        console.log(`  ✓ ${col}: ${entries.length}`);
+    }
+
+    const history = createHistoryStore(DATA_DIR);
+    history.setCodec(codec);
+    console.log(`  ✓ history: ${await history.reencode(codec)} file(s)`);
+}
+
+async function encrypt(meta) {
+    const passphrase = requireEnv('SELF_KERNEL_PASSPHRASE');
+    let key;
+    if (meta.encryption) {
+        if (meta.encryption.rotating) throw new Error('A key rotation is unfinished — run with --rotate');
+        key = await unlockKey(passphrase, meta.encryption);
+        console.log('🔐 Kernel is already encrypted — re-encrypting anything still in plaintext\n');
+    } else {
+        const created = await createKeyConfig(passphrase);
+        key = { kid: created.config.kid, key: created.key };
+        await updateKernelMeta({ encryption: created.config });
+        console.log('🔐 Encrypting kernel in place\n');
+    }
+    await rewriteKernel(meta, createCodec([key]));
+    console.log('\n✅ Kernel encrypted. Start the server with SELF_KERNEL_PASSPHRASE set.');
+}
+
+async function rotate(meta) {
+    if (!meta.encryption) throw new Error('Kernel is not encrypted — run `npm run encrypt` first');
+    const current = await unlockKey(requireEnv('SELF_KERNEL_PASSPHRASE'), meta.encryption);
+    const newPassphrase = requireEnv('SELF_KERNEL_NEW_PASSPHRASE');
+
+    let next;
+    let nextKey;
+    if (meta.encryption.rotating) {
+        next = meta.encryption.rotating;
+        nextKey = await unlockKey(newPassphrase, next);
+        console.log('🔑 Resuming interrupted key rotation\n');
+    } else {
+        const created = await createKeyConfig(newPassphrase);
+        next = created.config;
+        nextKey = { kid: next.kid, key: created.key };
+        await updateKernelMeta({ encryption: { ...meta.encryption, rotating: next } });
+        console.log('🔑 Rotating kernel key\n');
+    }
+
+    await rewriteKernel(meta, createCodec([current, nextKey], next.kid));
+    await updateKernelMeta({ encryption: next });
+    console.log('\n✅ Key rotated. Use the new passphrase from now on.');
+}
+
+async function decrypt(meta) {
+    if (!meta.encryption) {
+        console.log('  Kernel is not encrypted.');
+        return;
+    }
+    if (meta.encryption.rotating) throw new Error('A key rotation is unfinished — run with --rotate first');
+    const key = await unlockKey(requireEnv('SELF_KERNEL_PASSPHRASE'), meta.encryption);
+    console.log('🔓 Decrypting kernel in place\n');
+    await rewriteKernel(meta, createCodec([key], null));
+    await updateKernelMeta({ encryption: undefined });
+    console.log('\n✅ Kernel is plaintext again.');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const meta = await getKernelMeta();
+    if (!meta) throw new Error(`No kernel at ${DATA_DIR}`);
+    if (args.rotate) return rotate(meta);
+    if (args.decrypt) return decrypt(meta);
+    return encrypt(meta);
+}
+
+main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
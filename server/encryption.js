@@ -0,0 +1,131 @@
+/**
+ * Self Kernel — Encryption at Rest
+ *
+ * Optional. When kernel-meta.json has an `encryption` block, every entity file,
+ * log line and history line is stored as a one-line JSON envelope:
+ *
+ *   {"enc":"aes-256-gcm","kid":"…","iv":"…","tag":"…","data":"…"}
+ *
+ * The key is derived from SELF_KERNEL_PASSPHRASE with scrypt; only the salt,
+ * the KDF parameters and an encrypted check value are stored. The layout on
+ * disk doesn't change, and the API (and so the inspector) keeps returning
+ * decrypted JSON. kernel-meta.json itself stays plaintext.
+ *
+ * Encrypt, rotate or decrypt a kernel with `npm run encrypt` (see encrypt.js).
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const CIPHER = 'aes-256-gcm';
+const KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+const CHECK_TEXT = 'self-kernel-key-check';
+
+/** Reading and writing through this codec leaves text untouched */
+export const PLAIN_CODEC = {
+    encrypted: false,
+    encode: text => text,
+    decode: text => text
+};
+
+export class DecryptionError extends Error {}
+
+function isEnvelope(text) {
+    return text.startsWith('{"enc":');
+}
+
+/** Derive the 256-bit key for a passphrase and an `encryption` config */
+export async function deriveKey(passphrase, config) {
+    const { N, r, p } = config.kdf;
+    return scrypt(passphrase, Buffer.from(config.salt, 'base64'), 32, { N, r, p, maxmem: 128 * N * r * 2 });
+}
+
+/**
+ * A codec over one or more keys ({ kid, key }). Text is encrypted with the key
+ * `writeKid` (or left plain when it is null); envelopes are decrypted with the
+ * key named by their `kid`. Plaintext always decodes as itself, so a kernel
+ * stays readable while it is half-way through being encrypted.
+ */
+export function createCodec(keys, writeKid = keys[0]?.kid ?? null) {
+    const byKid = new Map(keys.map(k => [k.kid, k.key]));
+    const writeKey = writeKid ? byKid.get(writeKid) : null;
+
+    return {
+        encrypted: Boolean(writeKey),
+
+        encode(text) {
+            if (!writeKey) return text;
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv(CIPHER, writeKey, iv);
+            const data = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+            return JSON.stringify({
+                enc: CIPHER,
+                kid: writeKid,
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64')
+            });
+        },
+
+        decode(text) {
+            if (!isEnvelope(text)) return text;
+            const envelope = JSON.parse(text);
+            const key = byKid.get(envelope.kid);
+            if (!key) throw new DecryptionError(`No key for encrypted data (kid ${envelope.kid})`);
+            try {
+                const decipher = crypto.createDecipheriv(envelope.enc, key, Buffer.from(envelope.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+                return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf-8');
+            } catch {
+                throw new DecryptionError('Encrypted data failed authentication (wrong key or tampered file)');
+            }
+        }
+    };
+}
+
+/** A fresh `encryption` config for kernel-meta.json, with its key */
+export async function createKeyConfig(passphrase) {
+    const config = {
+        cipher: CIPHER,
+        kdf: KDF,
+        kid: crypto.randomBytes(4).toString('hex'),
+        salt: crypto.randomBytes(16).toString('base64')
+    };
+    const key = await deriveKey(passphrase, config);
+    config.check = createCodec([{ kid: config.kid, key }]).encode(CHECK_TEXT);
+    return { config, key };
+}
+
+/** Derive the key for `config` and prove it decrypts the stored check value */
+export async function unlockKey(passphrase, config) {
+    const key = await deriveKey(passphrase, config);
+    try {
+        if (createCodec([{ kid: config.kid, key }]).decode(config.check) === CHECK_TEXT) return { kid: config.kid, key };
+    } catch {
+        // fall through: wrong passphrase
+    }
+    throw new Error('Wrong passphrase for this kernel');
+}
+
+/**
+ * The codec the server runs with, from kernel metadata and the environment.
+ * Throws when the kernel is encrypted and no (or the wrong) passphrase is given.
+ */
+export async function openCodec(meta, env = process.env) {
+    const config = meta?.encryption;
+    if (!config) {
+        if (env.SELF_KERNEL_PASSPHRASE) {
+            console.warn('[Storage] SELF_KERNEL_PASSPHRASE is set but this kernel is not encrypted — run `npm run encrypt` to encrypt it.');
+        }
+        return PLAIN_CODEC;
+    }
+    if (config.rotating) {
+        throw new Error('A key rotation was interrupted — finish it with `npm run encrypt -- --rotate` before starting the server');
+    }
+    if (!env.SELF_KERNEL_PASSPHRASE) {
+        throw new Error('This kernel is encrypted — set SELF_KERNEL_PASSPHRASE to start it');
+    }
+    return createCodec([await unlockKey(env.SELF_KERNEL_PASSPHRASE, config)]);
+}
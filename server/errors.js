@@ -0,0 +1,63 @@
+/**
+ * Self Kernel — Error Types
+ *
+ * Errors the kernel raises on purpose carry the HTTP status they map to,
+ * so routes can answer with a precise 4xx instead of a generic 500.
+ */
+
+export class KernelError extends Error {
+    constructor(message, status = 500, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.details = details;
+    }
+
+    toJSON() {
+        return { error: this.message, ...this.details };
+    }
+}
+
+/** An entity failed its collection's JSON Schema. `errors` hold JSON pointers. */
+export class ValidationError extends KernelError {
+    constructor(collection, errors) {
+        super(`Invalid ${collection} entity: ${errors.map(e => `${e.pointer || '/'} ${e.message}`).join('; ')}`, 422, { collection, errors });
+    }
+}
+
+/** The intent's state machine doesn't allow moving between these states. */
+export class TransitionError extends KernelError {
+    constructor(from, to, machine) {
+        super(`Invalid transition from ${from} to ${to} (machine '${machine.id}')`, 409, { from, to, machine: machine.id, allowed: machine.transitions?.[from] || [] });
+    }
+}
+
+/** The transition is allowed, but the intent doesn't meet the guards on it yet. */
+export class GuardError extends KernelError {
+    constructor(from, to, machine, failed) {
+        super(`Cannot move from ${from} to ${to}: ${failed.map(f => f.message).join('; ')}`, 422, { from, to, machine: machine.id, failed });
+    }
+}
+
+/** An intent → intent edge would close a loop; `path` runs from the new edge's source back to it. */
+export class CycleError extends KernelError {
+    constructor(path, via) {
+        super(`Would create a cycle in the intent DAG: ${path.join(' → ')}`, 409, { path, via });
+    }
+}
+
+/** A delete was refused because other entities still reference the target. */
+export class ReferenceConflictError extends KernelError {
+    constructor(collection, id, references) {
+        super(`Cannot delete ${collection}/${id}: still referenced by ${references.length} entit${references.length === 1 ? 'y' : 'ies'}`, 409, { collection, id, references });
+    }
+}
+
+/**
+ * Send `err` as a JSON error response. Kernel errors keep their status and
+ * details; anything else is a 500 prefixed with `fallback`.
+ */
+export function sendError(res, err, fallback = 'Request failed') {
+    if (err instanceof KernelError) return res.status(err.status).json(err.toJSON());
+    return res.status(500).json({ error: `${fallback}: ${err.message}` });
+}
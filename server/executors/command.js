@@ -0,0 +1,59 @@
+/**
+ * Self Kernel — Command Executor
+ *
+ * Runs a local program for each payload: the payload is written to its
+ * stdin as JSON, and SELF_KERNEL_TASK_ID / SELF_KERNEL_INTENT_ID are set in
+ * its environment. No shell is involved, so `args` are passed as they are.
+ * A non-zero exit (or running past timeoutMs) counts as a failed delivery.
+ *
+ *   config: { command, args?, cwd?, env?, timeoutMs? }
+ */
+
+import { spawn } from 'child_process';
+
+export const DEFAULT_TIMEOUT_MS = 60000;
+
+// How much of the program's output is kept for the task record
+const OUTPUT_LIMIT = 2000;
+
+export const commandExecutor = {
+    type: 'command',
+
+    check(config) {
+        const errors = [];
+        if (typeof config.command !== 'string' || config.command.trim() === '') errors.push('command is required');
+        if (config.args !== undefined && !(Array.isArray(config.args) && config.args.every(a => typeof a === 'string'))) {
+            errors.push('args must be an array of strings');
+        }
+        return errors;
+    },
+
+    deliver(payload, config) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(config.command, config.args || [], {
+                cwd: config.cwd,
+                env: {
+                    ...process.env,
+                    ...config.env,
+                    SELF_KERNEL_TASK_ID: payload.task_id,
+                    SELF_KERNEL_INTENT_ID: payload.intent_source_id
+                },
+                timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+            let stdout = '';
+            let stderr = '';
+            child.stdout.on('data', chunk => { stdout = (stdout + chunk).slice(-OUTPUT_LIMIT); });
+            child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-OUTPUT_LIMIT); });
+            child.on('error', reject);
+            child.on('close', (code, signal) => {
+                if (code === 0) return resolve(stdout.trim() || `${config.command} exited 0`);
+                const why = signal ? `was stopped (${signal})` : `exited ${code}`;
+                reject(new Error(`${config.command} ${why}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+            });
+            // A program that doesn't read its stdin is fine
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(payload));
+        });
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * Self Kernel — File-Drop Executor
+ *
+ * Writes each payload to `<dir>/<task_id>.json` for local tools watching
+ * that directory. The file appears atomically (temp file + rename), so a
+ * watcher never reads half a payload; temp files start with a dot.
+ * A relative `dir` is resolved against the kernel's data directory.
+ *
+ *   config: { dir }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from '../storage.js';
+import { writeFileAtomic, toJson } from '../backends/files.js';
+
+export function dropDir(config) {
+    return path.resolve(DATA_DIR, config.dir);
+}
+
+export const fileDropExecutor = {
+    type: 'file-drop',
+
+    check(config) {
+        return typeof config.dir === 'string' && config.dir.trim() !== '' ? [] : ['dir is required'];
+    },
+
+    async deliver(payload, config) {
+        const dir = dropDir(config);
+        await fs.mkdir(dir, { recursive: true });
+        const filePath = path.join(dir, `${payload.task_id}.json`);
+        await writeFileAtomic(filePath, toJson(payload));
+        return `written to ${filePath}`;
+    }
+};
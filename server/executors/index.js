@@ -0,0 +1,266 @@
+/**
+ * Self Kernel — Executor Registry
+ *
+ * Executors are the channels dispatched tasks leave the kernel through. Each
+ * adapter type knows one way to deliver an execution payload:
+ *
+ *   webhook     POST it to a URL (webhook.js)
+ *   file-drop   write it into a directory local tools watch (file-drop.js)
+ *   command     pipe it into a local program (command.js)
+ *
+ * Adapter contract: { type, check(config) → [error messages],
+ * deliver(payload, config) → detail string (async; throws if delivery failed) }
+ *
+ * Executors are configured under `executors` in kernel-meta.json, and on
+ * purpose not over the API: a command executor runs programs on this machine.
+ *
+ *   { "id": "openclaw", "type": "webhook", "config": { "url": "…" },
+ *     "match": { "tags": ["dev"], "priorities": ["high"] }, "enabled": true }
+ *
+ * A task goes to the first enabled, valid executor whose `match` fits its
+ * payload: it shares a tag with `tags` and its priority is in `priorities`
+ * (an empty or missing list fits anything). When none fits, the task waits
+ * in the outbox for an executor that polls the task routes.
+ *
+ * A failed delivery is tried again with exponential backoff, as the
+ * executor's `retry` says ({ maxAttempts, baseDelayMs, maxDelayMs }, see
+ * DEFAULT_RETRY). After the last attempt the task is dead-lettered: out of
+ * the outbox until someone retries or discards it. Every attempt is logged.
+ * Pending retries are timers; resumeDeliveries picks them up after a restart.
+ *
+ * `onDuplicate` ('skip' or 'supersede', see DUPLICATE_POLICIES) says what to
+ * do when an intent is dispatched again while a task for it is still open
+ * (see orchestrator.js). A superseded task is cancelled, and the executor it
+ * was delivered to gets a notice through the same channel:
+ *
+ *   { task_id, status: 'superseded', superseded_by, intent_source_id, idempotency_key }
+ */
+
+import * as storage from '../storage.js';
+import { KernelError } from '../errors.js';
+import { afterCommit } from '../transaction.js';
+import { moveTask, cancelTask, deliverablePayload } from '../tasks.js';
+import { webhookExecutor } from './webhook.js';
+import { fileDropExecutor } from './file-drop.js';
+import { commandExecutor } from './command.js';
+
+export const ADAPTERS = Object.fromEntries(
+    [webhookExecutor, fileDropExecutor, commandExecutor].map(adapter => [adapter.type, adapter])
+);
+
+export const DEFAULT_RETRY = { maxAttempts: 5, baseDelayMs: 2000, maxDelayMs: 5 * 60 * 1000 };
+
+export const DUPLICATE_POLICIES = ['skip', 'supersede'];
+
+/** What's wrong with an executor's configuration (empty when it's usable) */
+export function checkExecutor(executor) {
+    if (!executor?.id) return ['id is required'];
+    const adapter = ADAPTERS[executor.type];
+    if (!adapter) return [`unknown type '${executor.type}' (available: ${Object.keys(ADAPTERS).join(', ')})`];
+    const errors = adapter.check(executor.config || {});
+    if (executor.onDuplicate !== undefined && !DUPLICATE_POLICIES.includes(executor.onDuplicate)) {
+        errors.push(`onDuplicate must be one of ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    for (const [name, value] of Object.entries(executor.retry || {})) {
+        if (!(name in DEFAULT_RETRY)) errors.push(`unknown retry setting '${name}'`);
+        else if (!Number.isInteger(value) || value < (name === 'maxAttempts' ? 1 : 0)) errors.push(`retry.${name} must be a whole number${name === 'maxAttempts' ? ' of at least 1' : ''}`);
+    }
+    return errors;
+}
+
+/** The executor with its header values hidden, for anything leaving the kernel (API responses, bundles) */
+export function maskExecutor(executor) {
+    const config = executor?.config;
+    if (!config?.headers || typeof config.headers !== 'object') return executor;
+    return { ...executor, config: { ...config, headers: Object.fromEntries(Object.keys(config.headers).map(name => [name, '…'])) } };
+}
+
+/** What to do with a repeated dispatch headed for `executor` (null: no executor, 'skip') */
+export function duplicatePolicy(executor) {
+    return executor?.onDuplicate || DUPLICATE_POLICIES[0];
+}
+
+/** Delay before attempt `attempt + 1`: baseDelayMs doubled per attempt, capped at maxDelayMs */
+export function retryDelay(retry, attempt) {
+    return Math.min(retry.baseDelayMs * 2 ** (attempt - 1), retry.maxDelayMs);
+}
+
+/** Configured executors in routing order, each with its configuration `errors` */
+export async function getExecutors() {
+    const meta = await storage.getKernelMeta();
+    return (meta?.executors || []).map(executor => ({ ...executor, errors: checkExecutor(executor) }));
+}
+
+/** Does the executor's `match` fit the payload? */
+export function matches(executor, payload) {
+    const { tags = [], priorities = [] } = executor.match || {};
+    if (tags.length > 0 && !tags.some(tag => payload.context?.tags?.includes(tag))) return false;
+    if (priorities.length > 0 && !priorities.includes(payload.priority)) return false;
+    return true;
+}
+
+/** The executor a payload goes to, or null */
+export async function routeTask(payload) {
+    const executors = await getExecutors();
+    return executors.find(e => e.enabled !== false && e.errors.length === 0 && matches(e, payload)) || null;
+}
+
+async function logDelivery(task, executor, type, details) {
+    await storage.create('mcp-logs', { agentId: executor, type, intentId: task.intentId, taskId: task.id, details });
+}
+
+/**
+ * Deliver a task's payload through the executor routing picks, and record
+ * the outcome on the task (`delivery`) and in the activity log. A failure
+ * schedules the next attempt, or dead-letters the task after the last one.
+ * Never throws: returns the delivery record, or null when no executor fits
+ * (or the task still awaits approval).
+ */
+export async function deliverTask(task, { attempt = 1 } = {}) {
+    // Nothing leaves the kernel without the approval it waits for (see approvals.js)
+    if ((await storage.getById('tasks', task.id))?.status === 'pending-approval') return null;
+    const executor = await routeTask(task.payload);
+    if (!executor) return null;
+
+    const retry = { ...DEFAULT_RETRY, ...executor.retry };
+    const delivery = { executor: executor.id, type: executor.type, attempt, attemptedAt: new Date().toISOString() };
+    try {
+        delivery.detail = await ADAPTERS[executor.type].deliver(await deliverablePayload(task), executor.config || {});
+        delivery.status = 'delivered';
+    } catch (err) {
+        delivery.status = 'failed';
+        delivery.error = err.message;
+    }
+    const of = `attempt ${attempt}/${retry.maxAttempts}`;
+
+    try {
+        if (delivery.status === 'delivered') {
+            await storage.update('tasks', task.id, { executor: executor.id, delivery });
+            await logDelivery(task, executor.id, 'TASK_DELIVERED', `Task ${task.id} delivered via ${executor.type} (${of}): ${delivery.detail}`);
+            return delivery;
+        }
+
+        // Only a task still waiting for an executor is worth another attempt
+        const delay = retryDelay(retry, attempt);
+        const recorded = await storage.mutate('tasks', task.id, current => {
+            if (current.status === 'dispatched' && attempt < retry.maxAttempts) {
+                delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            }
+            current.executor = executor.id;
+            current.delivery = delivery;
+        });
+        const next = delivery.nextAttemptAt
+            ? `retrying in ${delay < 1000 ? `${delay}ms` : `${Math.round(delay / 1000)}s`}`
+            : recorded?.status === 'dispatched' ? 'giving up' : `not retrying: the task is ${recorded?.status ?? 'gone'}`;
+        await logDelivery(task, executor.id, 'TASK_DELIVERY_FAILED',
+            `Task ${task.id} could not be delivered via ${executor.type} (${of}, ${next}): ${delivery.error}`);
+
+        if (delivery.nextAttemptAt) {
+            scheduleAttempt(task.id, attempt + 1, delay);
+        } else if (recorded?.status === 'dispatched') {
+            await moveTask(task.id, 'dead-lettered', { note: `Undeliverable after ${attempt} attempt(s): ${delivery.error}` });
+            await logDelivery(task, executor.id, 'TASK_DEAD_LETTERED',
+                `Task ${task.id} never reached an executor and was moved to dead letters: ${task.payload.directive}`);
+        }
+    } catch (err) {
+        console.error(`[Executors] Failed to record delivery of task ${task.id}: ${err.message}`);
+    }
+    return delivery;
+}
+
+const retries = new Map();   // task id -> timer of its next attempt
+
+function scheduleAttempt(taskId, attempt, delayMs) {
+    clearTimeout(retries.get(taskId));
+    const timer = setTimeout(async () => {
+        retries.delete(taskId);
+        try {
+            const task = await storage.getById('tasks', taskId);
+            if (task?.status === 'dispatched') await deliverTask(task, { attempt });
+        } catch (err) {
+            console.error(`[Executors] Retry of task ${taskId} failed: ${err.message}`);
+        }
+    }, delayMs);
+    timer.unref();
+    retries.set(taskId, timer);
+}
+
+/** Schedule the retries still due from before a restart; returns how many */
+export async function resumeDeliveries() {
+    let resumed = 0;
+    for (const task of await storage.findBy('tasks', 'status', 'dispatched')) {
+        const { status, attempt = 1, nextAttemptAt } = task.delivery || {};
+        if (status !== 'failed' || !nextAttemptAt) continue;
+        scheduleAttempt(task.id, attempt + 1, Math.max(0, Date.parse(nextAttemptAt) - Date.now()));
+        resumed++;
+    }
+    return resumed;
+}
+
+/** Drop every pending retry (they stay recorded, for resumeDeliveries) */
+export function stopDeliveries() {
+    for (const timer of retries.values()) clearTimeout(timer);
+    retries.clear();
+}
+
+async function deadLetter(id) {
+    const task = await storage.getById('tasks', id);
+    if (!task) throw new KernelError('Task not found', 404);
+    if (task.status !== 'dead-lettered') throw new KernelError(`Task is ${task.status}, not dead-lettered`, 409);
+    return task;
+}
+
+/**
+ * Put a dead-lettered task back in the outbox and attempt delivery again,
+ * with a fresh set of attempts. Returns { task, delivery } after the first.
+ */
+export async function retryDeadLetter(id, note = '') {
+    await deadLetter(id);
+    const task = await moveTask(id, 'dispatched', { note: note || 'Retried by hand' });
+    const delivery = await deliverTask(task);
+    return { task: await storage.getById('tasks', id), delivery };
+}
+
+/** Give up on a dead-lettered task for good: it is cancelled */
+export async function discardDeadLetter(id, reason = '') {
+    const task = await deadLetter(id);
+    const discarded = await cancelTask(id, reason || 'Discarded from dead letters');
+    await logDelivery(task, task.executor || 'orchestrator', 'TASK_DISCARDED',
+        `Task ${id} was discarded and will not be executed: ${task.payload.directive}${reason ? ` (${reason})` : ''}`);
+    return discarded;
+}
+
+/**
+ * Cancel `task` in favour of task `byTaskId`. If it was delivered, its
+ * executor is told once the cancellation is committed (never throws).
+ */
+export async function supersedeTask(task, byTaskId) {
+    await moveTask(task.id, 'cancelled', {
+        note: `Superseded by task ${byTaskId}`,
+        changes: { completedAt: new Date().toISOString(), supersededBy: byTaskId }
+    });
+    if (task.delivery?.status !== 'delivered') return;
+
+    const notice = {
+        task_id: task.id,
+        status: 'superseded',
+        superseded_by: byTaskId,
+        intent_source_id: task.intentId,
+        idempotency_key: task.idempotencyKey ?? null
+    };
+    const notify = async () => {
+        const executor = (await getExecutors()).find(e => e.id === task.delivery.executor);
+        try {
+            if (!executor || executor.errors.length > 0) throw new Error(`executor ${task.delivery.executor} is no longer configured`);
+            const detail = await ADAPTERS[executor.type].deliver(notice, executor.config || {});
+            await logDelivery(task, executor.id, 'TASK_SUPERSEDED', `Task ${task.id} superseded by ${byTaskId}; told ${executor.id}: ${detail}`);
+        } catch (err) {
+            await logDelivery(task, task.delivery.executor, 'TASK_SUPERSEDED',
+                `Task ${task.id} superseded by ${byTaskId}, but the executor could not be told: ${err.message}`);
+        }
+    };
+    // Not awaited, like deliveries: a slow executor mustn't hold up the transition
+    await afterCommit({ type: 'supersede', taskId: task.id, by: byTaskId }, () => {
+        notify().catch(err => console.error(`[Executors] Failed to record supersession of task ${task.id}: ${err.message}`));
+    });
+}
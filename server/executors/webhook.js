@@ -0,0 +1,42 @@
+/**
+ * Self Kernel — Webhook Executor
+ *
+ * POSTs the execution payload as JSON to `url`. Any 2xx answer counts as
+ * delivered; the executor reports back through the task routes.
+ *
+ *   config: { url, headers?, timeoutMs? }
+ */
+
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+export const webhookExecutor = {
+    type: 'webhook',
+
+    check(config) {
+        const errors = [];
+        try {
+            const { protocol } = new URL(config.url);
+            if (protocol !== 'http:' && protocol !== 'https:') errors.push('url must be http(s)');
+        } catch {
+            errors.push('url must be a valid URL');
+        }
+        if (config.headers !== undefined && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+            errors.push('headers must be an object');
+        }
+        return errors;
+    },
+
+    async deliver(payload, config) {
+        const res = await fetch(config.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...config.headers },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(config.timeoutMs || DEFAULT_TIMEOUT_MS)
+        });
+        if (!res.ok) {
+            const text = await res.text().catch(() => '');
+            throw new Error(`${config.url} answered ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+        }
+        return `${config.url} answered ${res.status}`;
+    }
+};
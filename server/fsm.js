@@ -1,15 +1,39 @@
 /**
  * Self Kernel — Finite State Machine (FSM) & DAG Processor
- * 
- * Manages Intent lifecycle through 4 formal states:
+ *
+ * Manages Intent lifecycles as data-driven state machines. Definitions live
+ * in the `state-machines` collection; each names its states (with a default
+ * confidence), allowed transitions, initial state, the state that
+ * dispatches execution and where an executed intent goes next
+ * (`afterExecution`, see outcomes.js). An intent follows the machine whose `intentTypes`
+ * include its `type`, else the `default` machine. Without a stored `default`,
+ * the built-in lifecycle below applies:
  * EXPLORATION, REFINING, REFUTED, DECISION
- * 
- * Propagates weight/confidence through the DAG to trigger execution.
+ *
+ * Definitions may put guards on transitions (see GUARD_RULES); a transition
+ * whose guards fail is refused with the failing guards listed. Code reacts to
+ * transitions through hooks: `before` hooks run after the guards and may veto
+ * by throwing, `after` hooks run once the new stage is stored. The parent
+ * roll-up and confidence propagation below are two; the orchestrator's
+ * dispatch is another.
+ *
+ * Every transition gets an id, kept on its stageHistory entry (with `from`,
+ * and `causedBy` when a roll-up made it). revertTransition undoes the latest
+ * one: the entry stays, marked `reverted`, and `revert` hooks undo what the
+ * `after` hooks did for it (parent roll-ups, queued dispatches).
+ *
+ * Confidence blends a state's own confidence with the intent's children's
+ * (see dag.js) and is pushed up to every ancestor on each transition.
+ * A state's `idle` settings say when an intent in it has gone cold; the
+ * scheduler (scheduler.js) decays it and suggests the `suggest` move.
  */
 
 import { randomUUID as uuidv4 } from 'crypto';
 import * as storage from './storage.js';
-import * as orchestrator from './orchestrator.js';
+import { addValidator } from './schema.js';
+import { KernelError, TransitionError, GuardError } from './errors.js';
+import { computeConfidence, recordConfidence, parentIds, propagateConfidence } from './dag.js';
+import { joinCascade } from './transaction.js';
 
 export const STATES = {
     EXPLORATION: 'EXPLORATION', // Brainstorming, collecting context
@@ -18,88 +42,412 @@ export const STATES = {
     DECISION: 'DECISION'        // Ready for execution
 };
 
-const TRANSITIONS = {
-    [STATES.EXPLORATION]: [STATES.REFINING, STATES.REFUTED],
-    [STATES.REFINING]: [STATES.EXPLORATION, STATES.DECISION, STATES.REFUTED],
-    [STATES.REFUTED]: [STATES.EXPLORATION], // Can resurrect
-    [STATES.DECISION]: [STATES.REFINING]    // Needs more work
+export const DEFAULT_MACHINE_ID = 'default';
+
+/** The built-in lifecycle, used as `default` until a definition with that id is stored */
+export const DEFAULT_MACHINE = {
+    id: DEFAULT_MACHINE_ID,
+    name: 'Intent Lifecycle',
+    description: 'From a loose idea to something ready to execute.',
+    intentTypes: [],
+    initialState: STATES.EXPLORATION,
+    dispatchState: STATES.DECISION,
+    afterExecution: { failed: STATES.REFINING },
+    states: [
+        {
+            id: STATES.EXPLORATION, label: 'Exploration', description: 'Brainstorming, collecting context', confidence: 0.3, color: '#00cec9', onChildDispatch: STATES.REFINING,
+            idle: { afterDays: 14, decayPerDay: 0.02, suggest: STATES.REFUTED, label: 'Refute?' }
+        },
+        {
+            id: STATES.REFINING, label: 'Refining', description: 'Structuring, making connections', confidence: 0.7, color: '#6c5ce7',
+            idle: { afterDays: 21, decayPerDay: 0.01, suggest: STATES.EXPLORATION, label: 'Revisit?' }
+        },
+        {
+            id: STATES.DECISION, label: 'Decision', description: 'Ready for execution', confidence: 1.0, color: '#00b894',
+            idle: { afterDays: 30, suggest: STATES.REFINING, label: 'Revisit?' }
+        },
+        { id: STATES.REFUTED, label: 'Refuted', description: 'Abandoned or proven wrong', confidence: 0.0, childWeight: 0, color: '#e17055' }
+    ],
+    transitions: {
+        [STATES.EXPLORATION]: [STATES.REFINING, STATES.REFUTED],
+        [STATES.REFINING]: [STATES.EXPLORATION, STATES.DECISION, STATES.REFUTED],
+        [STATES.REFUTED]: [STATES.EXPLORATION], // Can resurrect
+        [STATES.DECISION]: [STATES.REFINING]    // Needs more work
+    },
+    guards: [
+        { to: STATES.DECISION, rule: 'required', field: 'description', message: 'a decision needs a description' },
+        { to: STATES.DECISION, rule: 'minItems', field: 'linkedPersons', min: 1, message: 'a decision needs at least one linked person' },
+        { to: STATES.DECISION, rule: 'children', states: [STATES.REFINING, STATES.DECISION, STATES.REFUTED], message: 'child intents are still being explored' }
+    ],
+    active: true,
+    builtIn: true
 };
 
-export function validateTransition(currentStage, newStage) {
+/** Rules the JSON Schema can't express: every state a definition mentions must be one of its own */
+export function checkDefinition(def) {
+    const errors = [];
+    const ids = new Set();
+    (def.states || []).forEach((state, i) => {
+        if (ids.has(state.id)) errors.push({ pointer: `/states/${i}/id`, keyword: 'unique', message: `duplicate state ${state.id}` });
+        ids.add(state.id);
+    });
+    const known = (value, pointer) => {
+        if (value && !ids.has(value)) errors.push({ pointer, keyword: 'state', message: `${value} is not a state of this machine` });
+    };
+    known(def.initialState, '/initialState');
+    known(def.dispatchState, '/dispatchState');
+    for (const [outcome, target] of Object.entries(def.afterExecution || {})) {
+        const pointer = `/afterExecution/${outcome}`;
+        known(target, pointer);
+        if (!def.dispatchState) errors.push({ pointer, keyword: 'dispatchState', message: 'needs a dispatchState to leave' });
+        else if (!def.transitions?.[def.dispatchState]?.includes(target)) {
+            errors.push({ pointer, keyword: 'transition', message: `${def.dispatchState} has no transition to ${target}` });
+        }
+    }
+    for (const [from, targets] of Object.entries(def.transitions || {})) {
+        known(from, `/transitions/${from}`);
+        targets.forEach((to, i) => known(to, `/transitions/${from}/${i}`));
+    }
+    (def.guards || []).forEach((guard, i) => {
+        known(guard.from, `/guards/${i}/from`);
+        known(guard.to, `/guards/${i}/to`);
+        if (guard.rule !== 'children' && !guard.field) {
+            errors.push({ pointer: `/guards/${i}/field`, keyword: 'required', message: `is required for ${guard.rule}` });
+        }
+        if (guard.rule === 'children' && !guard.states) {
+            errors.push({ pointer: `/guards/${i}/states`, keyword: 'required', message: 'is required for children' });
+        }
+    });
+    const reachable = (state, target, pointer) => {
+        known(target, pointer);
+        if (!def.transitions?.[state.id]?.includes(target)) {
+            errors.push({ pointer, keyword: 'transition', message: `${state.id} has no transition to ${target}` });
+        }
+    };
+    (def.states || []).forEach((state, i) => {
+        if (state.onChildDispatch) reachable(state, state.onChildDispatch, `/states/${i}/onChildDispatch`);
+        if (state.idle?.suggest) reachable(state, state.idle.suggest, `/states/${i}/idle/suggest`);
+    });
+    return errors;
+}
+
+addValidator('state-machines', checkDefinition);
+
+/** Active machines by id; the built-in default fills in when none is stored */
+export async function getMachines() {
+    const machines = new Map([[DEFAULT_MACHINE_ID, DEFAULT_MACHINE]]);
+    const stored = await storage.listAll('state-machines');
+    stored.sort((a, b) => a.id.localeCompare(b.id));
+    for (const def of stored) {
+        if (def.active === false) continue;
+        machines.set(def.id, def);
+    }
+    return machines;
+}
+
+export async function getMachine(id) {
+    return (await getMachines()).get(id) || null;
+}
+
+/** The machine an intent follows: the first whose intentTypes include its type, else the default */
+export async function machineFor(intent) {
+    const machines = await getMachines();
+    if (intent?.type) {
+        for (const machine of machines.values()) {
+            if (machine.intentTypes?.includes(intent.type)) return machine;
+        }
+    }
+    return machines.get(DEFAULT_MACHINE_ID);
+}
+
+/** Intent types `def` claims that another active machine already claims */
+export async function conflictingTypes(def) {
+    const conflicts = [];
+    for (const machine of (await getMachines()).values()) {
+        if (machine.id === def.id) continue;
+        for (const type of def.intentTypes || []) {
+            if (machine.intentTypes?.includes(type)) conflicts.push({ type, machine: machine.id });
+        }
+    }
+    return conflicts;
+}
+
+function stateOf(machine, stateId) {
+    return machine.states.find(s => s.id === stateId) || null;
+}
+
+/**
+ * Is `currentStage` → `newStage` allowed? Defaults to the built-in machine.
+ * An intent whose stage isn't part of its machine (e.g. after the definition
+ * changed) may move to any of the machine's states.
+ */
+export function validateTransition(currentStage, newStage, machine = DEFAULT_MACHINE) {
     if (currentStage === newStage) return true;
-    return TRANSITIONS[currentStage]?.includes(newStage) || false;
+    if (!stateOf(machine, newStage)) return false;
+    if (!stateOf(machine, currentStage)) return true;
+    return machine.transitions[currentStage]?.includes(newStage) || false;
+}
+
+function isEmpty(value) {
+    if (value === undefined || value === null) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+/** Intents this one is the source of an intent→intent relation to */
+async function childIntents(intentId) {
+    const outgoing = await storage.findBy('relations', 'sourceId', intentId);
+    const children = await Promise.all(outgoing
+        .filter(r => r.sourceType === 'intent' && r.targetType === 'intent')
+        .map(r => storage.getById('intents', r.targetId)));
+    return children.filter(Boolean);
+}
+
+// rule -> async (intent, guard) => null when it holds, else what's missing
+const GUARD_RULES = {
+    required: async (intent, guard) =>
+        isEmpty(intent[guard.field]) ? `${guard.field} is required` : null,
+    minItems: async (intent, guard) => {
+        const count = Array.isArray(intent[guard.field]) ? intent[guard.field].length : 0;
+        return count < (guard.min ?? 1) ? `${guard.field} needs at least ${guard.min ?? 1} item(s), has ${count}` : null;
+    },
+    children: async (intent, guard) => {
+        const pending = (await childIntents(intent.id)).filter(child => !guard.states.includes(child.stage));
+        return pending.length > 0
+            ? `child intents not in ${guard.states.join('/')}: ${pending.map(c => `${c.id} (${c.stage})`).join(', ')}`
+            : null;
+    }
+};
+
+/** The guards on `from` → `to` that `intent` fails, as { rule, field?, message, reason } */
+export async function checkGuards(intent, from, to, machine) {
+    const failed = [];
+    for (const guard of machine.guards || []) {
+        if (guard.to !== to || (guard.from && guard.from !== from)) continue;
+        const reason = await GUARD_RULES[guard.rule](intent, guard);
+        if (reason) {
+            failed.push({
+                rule: guard.rule,
+                ...(guard.field ? { field: guard.field } : {}),
+                message: guard.message || reason,
+                reason
+            });
+        }
+    }
+    return failed;
+}
+
+// event -> [fn({ intent, from, to, machine, reason, transitionId })]
+const hooks = { before: [], after: [], revert: [] };
+
+/**
+ * Run `fn` on every transition. `before` hooks see the intent as it would be
+ * stored and may veto by throwing; `after` hooks see the stored intent, and
+ * their failures are logged rather than undoing the transition. `revert`
+ * hooks run when transition `transitionId` is reverted (`from` is the stage
+ * left, `to` the one restored) and note what they undo in `report`.
+ * Returns a function that removes the hook.
+ */
+export function addHook(event, fn) {
+    if (!hooks[event]) throw new Error(`Unknown FSM hook event: ${event}`);
+    hooks[event].push(fn);
+    return () => {
+        hooks[event] = hooks[event].filter(h => h !== fn);
+    };
 }
 
 export async function createIntent(data) {
-    const intent = await storage.create('intents', {
+    const machine = await machineFor(data);
+    const intent = {
         ...data,
-        stage: STATES.EXPLORATION,
-        confidence: 0.1, // DAG weight out of 1.0
+        stage: machine.initialState,
         stageHistory: [{
-            stage: STATES.EXPLORATION,
+            stage: machine.initialState,
             timestamp: new Date().toISOString(),
             note: 'Intent created/identified'
         }]
-    });
-    return intent;
+    };
+    // DAG weight out of 1.0; a new intent has no children yet
+    recordConfidence(intent, stateOf(machine, machine.initialState).confidence, `Created in ${machine.initialState}`);
+    return storage.create('intents', intent);
 }
 
-export async function transitionState(intentId, newState, reason) {
-    const intent = await storage.getById('intents', intentId);
-    if (!intent) throw new Error('Intent not found');
+/**
+ * Move an intent to `newState`. `changes` (other fields from the same edit)
+ * are applied in the same write, and guards judge the intent with them.
+ * `causedBy` names the transition that set this one off (a roll-up).
+ */
+export async function transitionState(intentId, newState, reason, { changes = {}, causedBy = null } = {}) {
+    const existing = await storage.getById('intents', intentId);
+    if (!existing) throw new KernelError('Intent not found', 404);
+    const machine = await machineFor({ ...existing, ...changes });
+    const from = existing.stage;
+    const proposed = { ...existing, ...changes, stage: newState };
 
-    if (!validateTransition(intent.stage, newState)) {
-        throw new Error(`Invalid transition from ${intent.stage} to ${newState}`);
+    if (!validateTransition(from, newState, machine)) {
+        throw new TransitionError(from, newState, machine);
+    }
+    if (from !== newState) {
+        const failed = await checkGuards(proposed, from, newState, machine);
+        if (failed.length > 0) throw new GuardError(from, newState, machine, failed);
+        for (const hook of hooks.before) await hook({ intent: proposed, from, to: newState, machine, reason });
     }
+    // The new stage's share (undecayed) blended with the children's current confidences
+    const confidence = await computeConfidence({ ...proposed, decay: undefined }, machine);
 
-    intent.stage = newState;
-    intent.stageHistory.push({
-        stage: newState,
-        timestamp: new Date().toISOString(),
-        note: reason || 'State transitioned via FSM'
+    // Apply under the intent's lock so concurrent writers (routes, ingest,
+    // parent roll-ups) never overwrite each other
+    const transitionId = uuidv4();
+    const intent = await storage.mutate('intents', intentId, current => {
+        if (current.stage !== from) {
+            // Moved by someone else since the guards ran: judge again from the top
+            throw new KernelError(`Intent ${intentId} changed stage during the transition; retry`, 409);
+        }
+        Object.assign(current, changes);
+        current.stage = newState;
+        delete current.decay; // a move is activity: idle decay starts over
+        current.stageHistory = current.stageHistory || [];
+        current.stageHistory.push({
+            id: transitionId,
+            stage: newState,
+            from,
+            timestamp: new Date().toISOString(),
+            note: reason || 'State transitioned via FSM',
+            ...(causedBy ? { causedBy } : {})
+        });
+
+        recordConfidence(current, confidence, reason || `Moved to ${newState}`);
     });
+    if (!intent) throw new KernelError('Intent not found', 404);
+
+    for (const hook of hooks.after) {
+        try {
+            await hook({ intent, from, to: newState, machine, reason, transitionId });
+        } catch (err) {
+            console.error(`[FSM] after-transition hook failed for ${intentId}: ${err.message}`);
+        }
+    }
 
-    // Calculate new confidence based on DAG position and state
-    intent.confidence = calculateDagConfidence(intent);
+    return intent;
+}
+
+/** Index of the latest stageHistory entry that can be reverted (not the first, not reverted), or -1 */
+export function latestTransition(intent) {
+    const history = intent.stageHistory || [];
+    for (let i = history.length - 1; i > 0; i--) {
+        if (!history[i].reverted) return i;
+    }
+    return -1;
+}
 
-    await storage.update('intents', intentId, intent);
+/** The stage an entry moved away from: its `from`, else the entry before it that still stands */
+function stageBefore(history, index) {
+    if (history[index].from) return history[index].from;
+    for (let i = index - 1; i >= 0; i--) {
+        if (!history[i].reverted) return history[i].stage;
+    }
+    return null;
+}
 
-    // Trigger orchestrator if it hit Decision
-    if (newState === STATES.DECISION) {
-        orchestrator.enqueueForExecution(intent);
+async function revertLatest(intentId, note, report) {
+    const existing = await storage.getById('intents', intentId);
+    if (!existing) throw new KernelError('Intent not found', 404);
+    const index = latestTransition(existing);
+    if (index === -1) throw new KernelError('Nothing to revert: the intent has no transition left', 409);
+    const entry = existing.stageHistory[index];
+    if (entry.stage !== existing.stage) {
+        throw new KernelError(`The latest stageHistory entry (${entry.stage}) doesn't match the stage (${existing.stage}); fix it in the Inspector`, 409);
     }
 
-    // Bubble up confidence to parent intents in the DAG
-    await propagateWeightUpwards(intentId);
+    const from = existing.stage;
+    const to = stageBefore(existing.stageHistory, index);
+    const machine = await machineFor(existing);
+    // The restored stage's share with the children as they are now
+    const confidence = await computeConfidence({ ...existing, stage: to, decay: undefined }, machine);
+
+    const intent = await storage.mutate('intents', intentId, current => {
+        const target = current.stageHistory?.[index];
+        if (current.stage !== from || target?.timestamp !== entry.timestamp || target.reverted) {
+            throw new KernelError(`Intent ${intentId} changed during the revert; retry`, 409);
+        }
+        current.stage = to;
+        delete current.decay;
+        target.reverted = { timestamp: new Date().toISOString(), ...(note ? { note } : {}) };
+        recordConfidence(current, confidence, `Reverted ${from} → ${to}`);
+    });
+    report.undone.push({ type: 'transition', intentId, from, to, transitionId: entry.id ?? null });
 
+    for (const hook of hooks.revert) {
+        try {
+            await hook({ intent, from, to, machine, reason: note, transitionId: entry.id ?? null, report });
+        } catch (err) {
+            console.error(`[FSM] revert hook failed for ${intentId}: ${err.message}`);
+        }
+    }
     return intent;
 }
 
-function calculateDagConfidence(intent) {
-    if (intent.stage === STATES.DECISION) return 1.0;
-    if (intent.stage === STATES.REFUTED) return 0.0;
-    if (intent.stage === STATES.REFINING) return 0.7;
-    return 0.3; // EXPLORATION
+/**
+ * Undo the intent's latest transition: restore the stage it left (and that
+ * stage's confidence), mark the stageHistory entry reverted, and let the
+ * revert hooks undo its effects. Returns { intent, undone, skipped }: every
+ * transition and dispatch undone, and effects that could no longer be.
+ */
+export async function revertTransition(intentId, note = '') {
+    const report = { undone: [], skipped: [] };
+    const intent = await revertLatest(intentId, note, report);
+    return { intent, ...report };
 }
 
-async function propagateWeightUpwards(childIntentId) {
-    // Find all relations where this intent is the target (i.e. it is a child of another intent)
-    const allRelations = await storage.listAll('relations');
-    const parentRelations = allRelations.filter(r =>
-        r.targetType === 'intent' && r.targetId === childIntentId && r.sourceType === 'intent'
-    );
+/** Stage roll-up: when a child reaches its dispatch state, parents move as their state's onChildDispatch says */
+async function rollUpStages({ intent: child, to, machine: childMachine, transitionId }) {
+    if (!childMachine.dispatchState || to !== childMachine.dispatchState) return;
 
-    for (const rel of parentRelations) {
-        const parent = await storage.getById('intents', rel.sourceId);
-        if (!parent || parent.stage === STATES.DECISION) continue;
+    for (const parentId of await parentIds(child.id)) {
+        const parent = await storage.getById('intents', parentId);
+        if (!parent) continue;
 
-        // Simple DAG rollup math: Parent gains confidence when children are decided
-        const child = await storage.getById('intents', childIntentId);
-        if (child && child.stage === STATES.DECISION) {
-            // Automatic structure transition if enough children are decided
-            if (parent.stage === STATES.EXPLORATION) {
-                await transitionState(parent.id, STATES.REFINING, `Child intent '${child.title}' reached Decision`);
-            }
+        const parentMachine = await machineFor(parent);
+        const next = stateOf(parentMachine, parent.stage)?.onChildDispatch;
+        if (next) {
+            await transitionState(parent.id, next, `Child intent '${child.title}' reached ${child.stage}`, { causedBy: transitionId });
         }
     }
 }
+
+/** Undo the roll-ups a reverted transition caused, as long as each parent hasn't moved on since */
+async function undoRollUps({ intent: child, transitionId, report }) {
+    if (!transitionId) return;
+    for (const parentId of await parentIds(child.id)) {
+        const parent = await storage.getById('intents', parentId);
+        const history = parent?.stageHistory || [];
+        const caused = history.findIndex(entry => entry.causedBy === transitionId && !entry.reverted);
+        if (caused === -1) continue;
+        if (caused !== latestTransition(parent)) {
+            report.skipped.push({ type: 'transition', intentId: parentId, transitionId: history[caused].id, reason: 'the parent has moved on since' });
+            continue;
+        }
+        try {
+            await revertLatest(parentId, `Child '${child.title}' was reverted`, report);
+        } catch (err) {
+            report.skipped.push({ type: 'transition', intentId: parentId, transitionId: history[caused].id, reason: err.message });
+        }
+    }
+}
+
+/** Confidence roll-up: every ancestor re-blends with the child's new value (once per batch) */
+async function propagateWeightUpwards({ intent, to }) {
+    if (joinCascade([intent.id])) return;
+    await propagateConfidence(await parentIds(intent.id), `Child '${intent.title}' moved to ${to} (${intent.confidence})`);
+}
+
+/** Ancestors re-blend with the reverted intent's restored confidence */
+async function propagateRevert({ intent, to }) {
+    await propagateConfidence(await parentIds(intent.id), `Child '${intent.title}' reverted to ${to} (${intent.confidence})`);
+}
+
+addHook('after', rollUpStages);
+addHook('after', propagateWeightUpwards);
+addHook('revert', undoRollUps);
+addHook('revert', propagateRevert);
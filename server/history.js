@@ -0,0 +1,172 @@
+/**
+ * Self Kernel — Entity Version History
+ *
+ * Every write through the storage layer appends a full snapshot to
+ * history/<collection>/<id>.jsonl, one revision per line. Snapshots keep each
+ * revision readable on its own; field-level diffs are computed on demand.
+ * In an encrypted kernel each line is encrypted like the entity files.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './backends/files.js';
+import { PLAIN_CODEC, DecryptionError } from './encryption.js';
+
+// Append-only collections: every entry is written once, history would only duplicate it
+const UNVERSIONED = new Set(['mcp-logs']);
+
+// Bumped on every write; left out of diffs so they show what actually changed
+const IGNORED_FIELDS = new Set(['updatedAt']);
+
+export function createHistoryStore(dataDir) {
+    // "collection/id" -> latest revision number, so appends don't re-read the file
+    const lastRevs = new Map();
+    let codec = PLAIN_CODEC;
+
+    const historyPath = (collection, id) => {
+        if (!id || id.startsWith('.') || /[\\/]/.test(id)) throw new Error(`Invalid entity id: ${id}`);
+        return path.join(dataDir, 'history', collection, `${id}.jsonl`);
+    };
+
+    async function readRevisions(collection, id) {
+        let text;
+        try {
+            text = await fs.readFile(historyPath(collection, id), 'utf-8');
+        } catch {
+            return [];
+        }
+        const revisions = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                revisions.push(JSON.parse(codec.decode(line)));
+            } catch (err) {
+                if (err instanceof DecryptionError) throw err;
+                // Torn line from an interrupted append: the revision is lost, the rest is intact
+            }
+        }
+        return revisions;
+    }
+
+    return {
+        /** Encrypt/decrypt history lines with `next` from now on */
+        setCodec(next) {
+            codec = next;
+        },
+
+        isVersioned(collection) {
+            return !UNVERSIONED.has(collection);
+        },
+
+        /**
+         * Append a revision. `previous` is the state before the write: if the
+         * entity has no history yet (e.g. seeded data), it is kept as a baseline
+         * revision first so the very first change can still be rolled back.
+         */
+        async record(collection, id, { action, snapshot, previous = null, meta = {} }) {
+            if (!this.isVersioned(collection)) return null;
+            const filePath = historyPath(collection, id);
+            const key = `${collection}/${id}`;
+            if (!lastRevs.has(key)) {
+                const revisions = await readRevisions(collection, id);
+                lastRevs.set(key, revisions.length > 0 ? revisions[revisions.length - 1].rev : 0);
+            }
+            const lines = [];
+            let rev = lastRevs.get(key);
+            if (rev === 0 && previous) {
+                lines.push({ rev: ++rev, timestamp: previous.updatedAt || previous.createdAt || null, action: 'baseline', snapshot: previous });
+            }
+            const revision = { rev: ++rev, timestamp: new Date().toISOString(), action, snapshot, ...meta };
+            lines.push(revision);
+
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, lines.map(l => codec.encode(JSON.stringify(l)) + '\n').join(''));
+            lastRevs.set(key, rev);
+            return revision;
+        },
+
+        /** All revisions, oldest first, each with its diff against the one before */
+        async list(collection, id) {
+            const revisions = await readRevisions(collection, id);
+            return revisions.map((revision, i) => ({
+                ...revision,
+                changes: diffSnapshots(i > 0 ? revisions[i - 1].snapshot : null, revision.snapshot)
+            }));
+        },
+
+        async get(collection, id, rev) {
+            return (await readRevisions(collection, id)).find(r => r.rev === rev) || null;
+        },
+
+        /**
+         * Rewrite every history file, decoding with `from` and encoding with the
+         * current codec — used when a kernel is encrypted, re-keyed or decrypted.
+         * Returns the number of files rewritten.
+         */
+        async reencode(from) {
+            const root = path.join(dataDir, 'history');
+            let rewritten = 0;
+            for (const collection of await fs.readdir(root).catch(() => [])) {
+                for (const file of await fs.readdir(path.join(root, collection)).catch(() => [])) {
+                    if (!file.endsWith('.jsonl')) continue;
+                    const filePath = path.join(root, collection, file);
+                    const text = await fs.readFile(filePath, 'utf-8');
+                    const lines = [];
+                    for (const line of text.split('\n')) {
+                        if (!line.trim()) continue;
+                        try {
+                            lines.push(codec.encode(from.decode(line)) + '\n');
+                        } catch (err) {
+                            if (err instanceof DecryptionError) throw err;
+                            // Torn line: already unreadable, drop it
+                        }
+                    }
+                    await writeFileAtomic(filePath, lines.join(''));
+                    rewritten++;
+                }
+            }
+            return rewritten;
+        }
+    };
+}
+
+function pointerSegment(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level diff between two snapshots as JSON-pointer paths:
+ * [{ path: '/stageHistory/3', op: 'add' | 'remove' | 'replace', from, to }]
+ */
+export function diffSnapshots(before, after, pointer = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+    const bothObjects = isObject(before) && isObject(after);
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    if (!bothObjects && !bothArrays) {
+        // At the root, a null side means the entity was created or deleted
+        if (pointer === '' && before === null) return [{ path: '/', op: 'add', to: after }];
+        if (pointer === '' && after === null) return [{ path: '/', op: 'remove', from: before }];
+        return [{ path: pointer || '/', op: 'replace', from: before, to: after }];
+    }
+
+    const keys = bothArrays
+        ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+        : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    const changes = [];
+    for (const key of keys) {
+        if (pointer === '' && IGNORED_FIELDS.has(key)) continue;
+        const childPath = `${pointer}/${pointerSegment(key)}`;
+        const hasBefore = bothArrays ? key < before.length : key in before;
+        const hasAfter = bothArrays ? key < after.length : key in after;
+        if (!hasBefore) changes.push({ path: childPath, op: 'add', to: after[key] });
+        else if (!hasAfter) changes.push({ path: childPath, op: 'remove', from: before[key] });
+        else changes.push(...diffSnapshots(before[key], after[key], childPath));
+    }
+    return changes;
+}
@@ -8,18 +8,27 @@
 import express from 'express';
 import cors from 'cors';
 import { initStorage } from './storage.js';
+import './orchestrator.js'; // registers its dispatch hook with the FSM
+import { startScheduler } from './scheduler.js';
+import { resumeDeliveries } from './executors/index.js';
 import personsRouter from './routes/persons.js';
 import intentsRouter from './routes/intents.js';
 import relationsRouter from './routes/relations.js';
 import kernelRouter from './routes/kernel.js';
 import mcpRouter from './routes/mcp.js';
 import ingestRouter from './routes/ingest.js';
+import searchRouter from './routes/search.js';
+import fsmRouter from './routes/fsm.js';
+import suggestionsRouter from './routes/suggestions.js';
+import orchestratorRouter from './routes/orchestrator.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Kernel bundles carry every collection; gzip-encoded uploads are inflated by the parser
+app.use('/api/kernel/import', express.json({ limit: '200mb' }));
 app.use(express.json());
 
 // Request logging
@@ -41,6 +50,10 @@ app.use('/api/relations', relationsRouter);
 app.use('/api/kernel', kernelRouter);
 app.use('/api/mcp', mcpRouter);
 app.use('/api/ingest', ingestRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/fsm', fsmRouter);
+app.use('/api/suggestions', suggestionsRouter);
+app.use('/api/orchestrator', orchestratorRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -49,11 +62,15 @@ app.get('/api/health', (req, res) => {
 
 // Thinking chains — simple CRUD
 import * as storage from './storage.js';
+import { sendError } from './errors.js';
+import { queryCollection } from './query.js';
 
 app.get('/api/thinking-chains', async (req, res) => {
-    const chains = await storage.listAll('thinking-chains');
-    chains.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-    res.json(chains);
+    try {
+        res.json(await queryCollection('thinking-chains', req.query, { defaultSort: '-updatedAt' }));
+    } catch (err) {
+        sendError(res, err, 'Failed to list thinking chains');
+    }
 });
 
 app.get('/api/thinking-chains/:id', async (req, res) => {
@@ -63,19 +80,28 @@ app.get('/api/thinking-chains/:id', async (req, res) => {
 });
 
 app.post('/api/thinking-chains', async (req, res) => {
-    const chain = await storage.create('thinking-chains', req.body);
-    res.status(201).json(chain);
+    try {
+        const chain = await storage.create('thinking-chains', req.body);
+        res.status(201).json(chain);
+    } catch (err) {
+        sendError(res, err, 'Failed to create thinking chain');
+    }
 });
 
 // Trajectories — simple CRUD
 app.get('/api/trajectories', async (req, res) => {
-    const trajectories = await storage.listAll('trajectories');
-    res.json(trajectories);
+    try {
+        res.json(await queryCollection('trajectories', req.query));
+    } catch (err) {
+        sendError(res, err, 'Failed to list trajectories');
+    }
 });
 
 // Start server
 async function start() {
     await initStorage();
+    startScheduler();
+    await resumeDeliveries();
     app.listen(PORT, () => {
         console.log('');
         console.log('  ╔══════════════════════════════════════════╗');
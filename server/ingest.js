@@ -15,6 +15,9 @@ import * as fsm from './fsm.js';
 const OMNI_URL = 'http://0.0.0.0:4000/chat/completions';
 const MODEL_NAME = 'anthropic/claude-3-5-sonnet-latest';
 
+// The LLM is asked for these, but its output is normalised so it can't fail schema validation
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
 const SYSTEM_PROMPT = `You are the Auto-Annotator for a Personal Intelligence Core (Self Kernel).
 Your job is to read unstructured raw input from the user (e.g., voice memos, quick thoughts) and extract structured entities.
 
@@ -107,22 +110,24 @@ export async function processRawInput(rawText, source = 'text-input') {
         for (const p of extracted.persons) {
             if (personMap[p.name]) continue;
 
-            // Simple lookup to avoid exact duplicates
-            const existing = (await storage.listAll('persons')).find(ex => ex.name.toLowerCase() === p.name.toLowerCase());
-
-            if (existing) {
-                personMap[p.name] = existing.id;
-            } else {
-                const created = await storage.create('persons', {
-                    name: p.name,
-                    role: p.role || 'Extracted from ingest',
-                    type: 'other',
-                    interactions: 1,
-                    tags: ['auto-ingest']
-                });
-                personMap[p.name] = created.id;
-                results.personsCreated++;
-            }
+            // Simple lookup to avoid exact duplicates (locked so parallel ingests can't both create)
+            await storage.withLock(`persons/name:${p.name.toLowerCase()}`, async () => {
+                const existing = (await storage.listAll('persons')).find(ex => ex.name.toLowerCase() === p.name.toLowerCase());
+
+                if (existing) {
+                    personMap[p.name] = existing.id;
+                } else {
+                    const created = await storage.create('persons', {
+                        name: p.name,
+                        role: p.role || 'Extracted from ingest',
+                        type: 'other',
+                        interactions: 1,
+                        tags: ['auto-ingest']
+                    });
+                    personMap[p.name] = created.id;
+                    results.personsCreated++;
+                }
+            });
         }
     }
 
@@ -134,7 +139,7 @@ export async function processRawInput(rawText, source = 'text-input') {
                 title: i.title,
                 description: i.description,
                 stage: i.stage || 'EXPLORATION',
-                priority: i.priority || 'medium',
+                priority: PRIORITIES.includes(i.priority) ? i.priority : 'medium',
                 tags: i.tags || [],
                 source: 'auto-annotator'
             });
@@ -156,7 +161,7 @@ export async function processRawInput(rawText, source = 'text-input') {
                     targetType: 'intent',
                     targetId: targetId,
                     label: r.label || 'relates-to',
-                    strength: r.weight || 0.5,
+                    strength: Math.min(Math.max(Number(r.weight) || 0.5, 0), 1),
                     context: `Auto-extracted from: ${extracted.summary}`
                 });
                 results.relationsCreated++;
@@ -164,16 +169,18 @@ export async function processRawInput(rawText, source = 'text-input') {
         }
     }
 
-    // Bind the raw thought into a generic "Inbox" thinking chain
-    const existingChains = await storage.listAll('thinking-chains');
-    let inboxChain = existingChains.find(c => c.title === 'Auto-Ingest Log');
-    if (!inboxChain) {
-        inboxChain = await storage.create('thinking-chains', {
+    // Bind the raw thought into a generic "Inbox" thinking chain.
+    // Find-or-create runs under a lock so overlapping ingests share one chain.
+    const inboxChain = await storage.withLock('thinking-chains/auto-ingest-log', async () => {
+        const existingChains = await storage.listAll('thinking-chains');
+        const found = existingChains.find(c => c.title === 'Auto-Ingest Log');
+        if (found) return found;
+        return storage.create('thinking-chains', {
             title: 'Auto-Ingest Log',
             description: 'Raw thoughts and memos processed by the Auto-Annotator',
             nodes: []
         });
-    }
+    });
 
     const thoughtNode = {
         id: uuidv4(),
@@ -185,8 +192,10 @@ export async function processRawInput(rawText, source = 'text-input') {
         linkedIntents: Object.values(intentMap)
     };
 
-    inboxChain.nodes.push(thoughtNode);
-    await storage.update('thinking-chains', inboxChain.id, { nodes: inboxChain.nodes });
+    // Append against the stored copy so concurrent ingests don't drop each other's nodes
+    await storage.mutate('thinking-chains', inboxChain.id, chain => {
+        chain.nodes = [...(chain.nodes || []), thoughtNode];
+    });
     results.thoughtNodeId = thoughtNode.id;
 
     return { success: true, results, extracted };
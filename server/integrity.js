@@ -0,0 +1,287 @@
+/**
+ * Self Kernel — Referential Integrity
+ *
+ * Knows every place one entity points at another, so deletes can't leave
+ * dangling IDs behind and a scan can find the ones hand edits left.
+ *
+ * Delete policies (per collection, `deletePolicies` in kernel-meta.json,
+ * overridable per request):
+ *   nullify  — detach references: relations touching the entity are removed
+ *              (an edge without an endpoint means nothing), other references
+ *              are cleared or dropped from their lists
+ *   cascade  — like nullify, but entities that only exist under the deleted
+ *              one go too: child intents (parentId) and trajectory milestones
+ *   block    — refuse the delete (409) while anything still references it
+ *
+ * MCP logs and execution tasks are records of what happened and keep their
+ * references on purpose.
+ * Suggestions go with the intent they're about.
+ */
+
+import * as storage from './storage.js';
+import { KernelError, ReferenceConflictError } from './errors.js';
+
+export const POLICIES = ['nullify', 'cascade', 'block'];
+
+const DEFAULT_POLICIES = {
+    persons: 'nullify',
+    intents: 'nullify',
+    'thinking-chains': 'nullify'
+};
+
+// Relation endpoint types → collections
+const TYPE_COLLECTIONS = {
+    person: 'persons',
+    intent: 'intents',
+    'thinking-chain': 'thinking-chains'
+};
+
+// Collections whose entities hold references to others
+const REFERRING_COLLECTIONS = ['relations', 'intents', 'thinking-chains', 'trajectories', 'cognitive-stages', 'suggestions'];
+
+/** Every outgoing reference of an entity as { path, collection, id } */
+export function outgoingReferences(collection, item) {
+    const refs = [];
+    const add = (path, targetCollection, id) => {
+        if (id) refs.push({ path, collection: targetCollection, id });
+    };
+    switch (collection) {
+        case 'relations':
+            add('/sourceId', TYPE_COLLECTIONS[item.sourceType], item.sourceId);
+            add('/targetId', TYPE_COLLECTIONS[item.targetType], item.targetId);
+            break;
+        case 'intents':
+            add('/parentId', 'intents', item.parentId);
+            (item.linkedPersons || []).forEach((id, i) => add(`/linkedPersons/${i}`, 'persons', id));
+            break;
+        case 'thinking-chains':
+            (item.linkedIntents || []).forEach((id, i) => add(`/linkedIntents/${i}`, 'intents', id));
+            (item.nodes || []).forEach((node, n) => {
+                add(`/nodes/${n}/linkedPerson`, 'persons', node.linkedPerson);
+                (node.linkedIntents || []).forEach((id, i) => add(`/nodes/${n}/linkedIntents/${i}`, 'intents', id));
+            });
+            break;
+        case 'trajectories':
+            (item.milestones || []).forEach((m, i) => add(`/milestones/${i}/intentId`, 'intents', m.intentId));
+            break;
+        case 'cognitive-stages':
+            Object.keys(item.intentActivity || {}).forEach(id => add(`/intentActivity/${id}`, 'intents', id));
+            break;
+        case 'suggestions':
+            add('/intentId', 'intents', item.intentId);
+            break;
+    }
+    return refs;
+}
+
+/**
+ * Rewrite every outgoing reference of `item` in place: each ID is replaced by
+ * `mapId(collection, id)` (return the ID unchanged to keep it).
+ */
+export function rewriteReferences(collection, item, mapId) {
+    switch (collection) {
+        case 'relations':
+            if (item.sourceId) item.sourceId = mapId(TYPE_COLLECTIONS[item.sourceType], item.sourceId);
+            if (item.targetId) item.targetId = mapId(TYPE_COLLECTIONS[item.targetType], item.targetId);
+            break;
+        case 'intents':
+            if (item.parentId) item.parentId = mapId('intents', item.parentId);
+            if (item.linkedPersons) item.linkedPersons = item.linkedPersons.map(id => mapId('persons', id));
+            break;
+        case 'thinking-chains':
+            if (item.linkedIntents) item.linkedIntents = item.linkedIntents.map(id => mapId('intents', id));
+            for (const node of item.nodes || []) {
+                if (node.linkedPerson) node.linkedPerson = mapId('persons', node.linkedPerson);
+                if (node.linkedIntents) node.linkedIntents = node.linkedIntents.map(id => mapId('intents', id));
+            }
+            break;
+        case 'trajectories':
+            for (const m of item.milestones || []) {
+                if (m.intentId) m.intentId = mapId('intents', m.intentId);
+            }
+            break;
+        case 'cognitive-stages':
+            if (item.intentActivity) {
+                item.intentActivity = Object.fromEntries(
+                    Object.entries(item.intentActivity).map(([id, activity]) => [mapId('intents', id), activity])
+                );
+            }
+            break;
+        case 'suggestions':
+            if (item.intentId) item.intentId = mapId('intents', item.intentId);
+            break;
+        case 'tasks':
+            if (item.payload?.intent_source_id) item.payload.intent_source_id = mapId('intents', item.payload.intent_source_id);
+            // falls through
+        case 'mcp-logs':
+            // Records keep dangling references, but a re-keyed import should still point at its own entities
+            if (item.intentId) item.intentId = mapId('intents', item.intentId);
+            break;
+    }
+    return item;
+}
+
+/**
+ * Strip references for which `isDead(collection, id)` holds from `item`, in place.
+ * Returns 'delete' when the entity can't outlive its reference.
+ */
+function detach(collection, item, isDead, policy) {
+    const alive = targetCollection => id => !isDead(targetCollection, id);
+    switch (collection) {
+        case 'relations':
+            return isDead(TYPE_COLLECTIONS[item.sourceType], item.sourceId)
+                || isDead(TYPE_COLLECTIONS[item.targetType], item.targetId) ? 'delete' : 'keep';
+        case 'intents':
+            if (item.parentId && isDead('intents', item.parentId)) {
+                if (policy === 'cascade') return 'delete';
+                item.parentId = null;
+            }
+            if (item.linkedPersons) item.linkedPersons = item.linkedPersons.filter(alive('persons'));
+            return 'keep';
+        case 'thinking-chains':
+            if (item.linkedIntents) item.linkedIntents = item.linkedIntents.filter(alive('intents'));
+            for (const node of item.nodes || []) {
+                // The thought itself stays; only the link goes
+                if (node.linkedPerson && isDead('persons', node.linkedPerson)) delete node.linkedPerson;
+                if (node.linkedIntents) node.linkedIntents = node.linkedIntents.filter(alive('intents'));
+            }
+            return 'keep';
+        case 'trajectories':
+            if (policy === 'cascade') {
+                item.milestones = (item.milestones || []).filter(m => !m.intentId || !isDead('intents', m.intentId));
+            } else {
+                for (const m of item.milestones || []) {
+                    if (m.intentId && isDead('intents', m.intentId)) m.intentId = null;
+                }
+            }
+            return 'keep';
+        case 'cognitive-stages':
+            for (const id of Object.keys(item.intentActivity || {})) {
+                if (isDead('intents', id)) delete item.intentActivity[id];
+            }
+            return 'keep';
+        case 'suggestions':
+            return isDead('intents', item.intentId) ? 'delete' : 'keep';
+        default:
+            return 'keep';
+    }
+}
+
+/** Entities referencing `collection/id`, as { collection, id, paths } */
+export async function findReferrers(collection, id) {
+    const referrers = [];
+    for (const col of REFERRING_COLLECTIONS) {
+        // Relations are indexed by endpoint; everything else is a scan of the cached collection
+        const candidates = col === 'relations'
+            ? [...await storage.findBy('relations', 'sourceId', id), ...await storage.findBy('relations', 'targetId', id)]
+            : await storage.listAll(col);
+        const seen = new Set();
+        for (const item of candidates) {
+            if (seen.has(item.id)) continue;
+            seen.add(item.id);
+            const paths = outgoingReferences(col, item)
+                .filter(ref => ref.collection === collection && ref.id === id)
+                .map(ref => ref.path);
+            if (paths.length > 0) referrers.push({ collection: col, id: item.id, paths });
+        }
+    }
+    return referrers;
+}
+
+/** The configured delete policy for a collection */
+export async function getDeletePolicy(collection) {
+    const meta = await storage.getKernelMeta();
+    return meta?.deletePolicies?.[collection] || DEFAULT_POLICIES[collection] || 'nullify';
+}
+
+/**
+ * Delete an entity and apply the delete policy to everything referencing it.
+ * Returns null if the entity doesn't exist, else { removed, updated } listing
+ * every entity touched as "collection/id".
+ */
+export async function deleteEntity(collection, id, { policy } = {}) {
+    policy = policy || await getDeletePolicy(collection);
+    if (!POLICIES.includes(policy)) {
+        throw new KernelError(`Unknown delete policy '${policy}' (use ${POLICIES.join(', ')})`, 400);
+    }
+    if (!(await storage.getById(collection, id))) return null;
+
+    const report = { policy, removed: [], updated: [] };
+    await cascadeDelete(collection, id, policy, report, new Set());
+    return report;
+}
+
+async function cascadeDelete(collection, id, policy, report, visiting) {
+    const key = `${collection}/${id}`;
+    if (visiting.has(key)) return;
+    visiting.add(key);
+
+    const referrers = await findReferrers(collection, id);
+    if (policy === 'block' && referrers.length > 0) {
+        throw new ReferenceConflictError(collection, id, referrers);
+    }
+
+    const isDead = (col, refId) => col === collection && refId === id;
+    for (const ref of referrers) {
+        const current = await storage.getById(ref.collection, ref.id);
+        if (!current) continue;
+        if (detach(ref.collection, structuredClone(current), isDead, policy) === 'delete') {
+            await cascadeDelete(ref.collection, ref.id, policy, report, visiting);
+        } else {
+            await storage.mutate(ref.collection, ref.id, item => {
+                detach(ref.collection, item, isDead, policy);
+            });
+            report.updated.push(`${ref.collection}/${ref.id}`);
+        }
+    }
+
+    if (await storage.remove(collection, id)) report.removed.push(key);
+}
+
+/** List every reference in the kernel whose target no longer exists */
+export async function scanIntegrity() {
+    const existing = {};
+    for (const col of Object.values(TYPE_COLLECTIONS)) {
+        existing[col] = new Set((await storage.listAll(col)).map(item => item.id));
+    }
+
+    const dangling = [];
+    for (const col of REFERRING_COLLECTIONS) {
+        for (const item of await storage.listAll(col)) {
+            for (const ref of outgoingReferences(col, item)) {
+                if (!ref.collection) {
+                    dangling.push({ collection: col, id: item.id, path: ref.path.replace(/Id$/, 'Type'), target: null, reason: 'unknown entity type' });
+                } else if (!existing[ref.collection].has(ref.id)) {
+                    dangling.push({ collection: col, id: item.id, path: ref.path, target: `${ref.collection}/${ref.id}`, reason: 'missing' });
+                }
+            }
+        }
+    }
+    return { checkedAt: new Date().toISOString(), count: dangling.length, dangling };
+}
+
+/**
+ * Fix every dangling reference found by scanIntegrity with the nullify
+ * rules: broken relations are removed, other references are cleared.
+ */
+export async function repairIntegrity() {
+    const scan = await scanIntegrity();
+    const dead = new Set(scan.dangling.filter(d => d.target).map(d => d.target));
+    const isDead = (col, id) => !col || dead.has(`${col}/${id}`);
+
+    const report = { repaired: scan.count, removed: [], updated: [] };
+    const entities = new Map(scan.dangling.map(d => [`${d.collection}/${d.id}`, d]));
+    for (const [key, { collection, id }] of entities) {
+        const current = await storage.getById(collection, id);
+        if (!current) continue;
+        if (detach(collection, structuredClone(current), isDead, 'nullify') === 'delete') {
+            if (await storage.remove(collection, id)) report.removed.push(key);
+        } else {
+            await storage.mutate(collection, id, item => {
+                detach(collection, item, isDead, 'nullify');
+            });
+            report.updated.push(key);
+        }
+    }
+    return report;
+}
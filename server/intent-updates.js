@@ -0,0 +1,96 @@
+/**
+ * Self Kernel — Intent Updates
+ *
+ * Field edits and stage moves for intents, one at a time (PUT /api/intents/:id)
+ * or as a batch (POST /api/intents/batch). A batch runs in one transaction:
+ * each operation gets a savepoint, and the confidence cascade of all its
+ * transitions runs once at the end instead of once per intent.
+ *
+ *   atomic (default)  any failed operation aborts the batch; nothing is written
+ *   atomic: false     failed operations are rolled back alone, the rest commit
+ */
+
+import * as storage from './storage.js';
+import * as fsm from './fsm.js';
+import { KernelError } from './errors.js';
+import { withAcyclicWrite, propagateConfidence } from './dag.js';
+import { createTransaction, describePlan } from './transaction.js';
+
+export const MAX_BATCH = 200;
+
+/** Apply a PUT body to an intent; null if it doesn't exist */
+export async function applyIntentUpdate(id, body) {
+    const existing = await storage.getById('intents', id);
+    if (!existing) return null;
+
+    // Stage and its history belong to the FSM. The merge happens against
+    // the stored copy under its lock, so FSM changes are kept.
+    const updates = { ...body };
+    delete updates.stage;
+    delete updates.stageHistory;
+    delete updates.stageNote;
+
+    // A stage change goes through the FSM together with the other fields,
+    // so its guards see the edit (a 409 or 422 names what's missing)
+    const write = () => body.stage && body.stage !== existing.stage
+        ? fsm.transitionState(id, body.stage, body.stageNote || `Moved to ${body.stage}`, { changes: updates })
+        : storage.update('intents', id, updates);
+    return 'parentId' in updates ? withAcyclicWrite('intents', { ...existing, ...updates }, write) : write();
+}
+
+function describeError(err) {
+    return err instanceof KernelError
+        ? { status: err.status, ...err.toJSON() }
+        : { status: 500, error: err.message };
+}
+
+/**
+ * Apply `operations` ([{ id, stage?, stageNote?, ...fields }], in order).
+ * Returns { atomic, dryRun, committed, results, plan } where results hold
+ * { index, id, ok, stage? | error } per operation and plan is the combined
+ * effect (see transaction.describePlan). With dryRun nothing is committed.
+ */
+export async function applyIntentBatch(operations, { atomic = true, dryRun = false } = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new KernelError('operations must be a non-empty array', 400);
+    }
+    if (operations.length > MAX_BATCH) {
+        throw new KernelError(`A batch takes at most ${MAX_BATCH} operations`, 400);
+    }
+    operations.forEach((op, index) => {
+        if (!op?.id) throw new KernelError(`operations[${index}] needs an id`, 400);
+    });
+
+    const tx = createTransaction();
+    tx.cascade = new Set();
+    const results = [];
+
+    await storage.runInTransaction(tx, async () => {
+        for (const [index, { id, ...body }] of operations.entries()) {
+            const savepoint = tx.savepoint();
+            try {
+                const intent = await applyIntentUpdate(id, body);
+                if (!intent) throw new KernelError('Intent not found', 404);
+                results.push({ index, id, ok: true, stage: intent.stage });
+            } catch (err) {
+                tx.rollback(savepoint);
+                results.push({ index, id, ok: false, error: describeError(err) });
+                if (atomic) break;
+            }
+        }
+        const failed = results.some(r => !r.ok);
+        if (tx.cascade.size > 0 && !(atomic && failed)) {
+            await propagateConfidence([...tx.cascade], 'Batch update');
+        }
+    });
+
+    // Operations after an atomic abort never ran
+    for (let index = results.length; index < operations.length; index++) {
+        results.push({ index, id: operations[index].id, ok: false, error: { status: 424, error: 'Not applied: an earlier operation failed' } });
+    }
+
+    const failed = results.some(r => !r.ok);
+    const committed = !dryRun && !(atomic && failed) && results.some(r => r.ok);
+    if (committed) await tx.commit();
+    return { atomic, dryRun, committed, results, plan: atomic && failed ? null : describePlan(tx) };
+}
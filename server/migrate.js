@@ -0,0 +1,122 @@
+/**
+ * Self Kernel — Storage Backend Migration
+ *
+ * Copies every collection from the active backend into another one, checks
+ * the counts match, then records the new backend in kernel-meta.json.
+ * Stop the server before migrating.
+ *
+ *   npm run migrate -- --to jsonl             JSON files → append-only log
+ *   npm run migrate -- --to json-dir --prune  back to files, emptying the old copy
+ *   npm run migrate -- --to json-dir --force  replace what an earlier migration left there
+ *   npm run migrate -- --compact              compact the active JSONL logs
+ *
+ * A target that already holds entities (say, the unpruned copy of an earlier
+ * migration) is refused: merging it would bring back everything deleted
+ * since. --force empties it before copying.
+ */
+
+import { COLLECTIONS, DATA_DIR, initStorage, getKernelMeta, updateKernelMeta, useBackend } from './storage.js';
+import { createBackend, resolveBackendName } from './backends/index.js';
+import { openCodec } from './encryption.js';
+
+function parseArgs(argv) {
+    const args = { to: null, prune: false, force: false, compact: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--prune') args.prune = true;
+        else if (argv[i] === '--force') args.force = true;
+        else if (argv[i] === '--compact') args.compact = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+async function compact() {
+    const backend = await useBackend();
+    if (!backend.compact) {
+        console.log(`  Backend '${backend.name}' has nothing to compact.`);
+        return;
+    }
+    for (const col of COLLECTIONS) {
+        await backend.compact(col);
+        console.log(`  🗜️  ${col}`);
+    }
+}
+
+/** Collections in `backend` that already hold entities, with their counts */
+async function occupied(backend) {
+    const counts = [];
+    for (const col of COLLECTIONS) {
+        const count = await backend.count(col);
+        if (count > 0) counts.push(`${col} (${count})`);
+    }
+    return counts;
+}
+
+async function migrate(to, { prune, force }) {
+    const from = resolveBackendName(await getKernelMeta());
+    if (from === to) {
+        console.log(`  Kernel already uses the '${to}' backend.`);
+        return;
+    }
+
+    const source = await useBackend();
+    // An encrypted kernel stays encrypted in its new layout
+    const target = createBackend(to, DATA_DIR, { codec: await openCodec(await getKernelMeta()) });
+    await target.init(COLLECTIONS);
+
+    const stale = await occupied(target);
+    if (stale.length > 0 && !force) {
+        throw new Error(`The '${to}' backend already holds entities: ${stale.join(', ')}. ` +
+            'Pass --force to replace them — kernel-meta.json left unchanged');
+    }
+
+    console.log(`🚚 Migrating kernel storage: ${from} → ${to}\n`);
+    if (stale.length > 0) {
+        for (const col of COLLECTIONS) {
+            for (const { id } of await target.list(col)) await target.delete(col, id);
+            await target.compact?.(col);
+        }
+        console.log(`  🧹 Emptied the stale '${to}' copy: ${stale.join(', ')}\n`);
+    }
+    for (const col of COLLECTIONS) {
+        const entries = await source.list(col);
+        for (const { id, item } of entries) {
+            await target.write(col, id, item);
+        }
+        const copied = await target.count(col);
+        if (copied !== entries.length) {
+            throw new Error(`${col}: copied ${copied} of ${entries.length} entities — kernel-meta.json left unchanged`);
+        }
+        console.log(`  ✓ ${col}: ${entries.length}`);
+    }
+
+    const meta = await getKernelMeta();
+    await updateKernelMeta({ storage: { ...meta.storage, backend: to } });
+
+    if (prune) {
+        for (const col of COLLECTIONS) {
+            for (const { id } of await source.list(col)) await source.delete(col, id);
+            await source.compact?.(col);
+        }
+        console.log(`\n  🧹 Emptied the old '${from}' copy.`);
+    }
+
+    console.log(`\n✅ kernel-meta.json now selects '${to}'.`);
+    if (process.env.SELF_KERNEL_BACKEND && process.env.SELF_KERNEL_BACKEND !== to) {
+        console.log(`   Note: SELF_KERNEL_BACKEND=${process.env.SELF_KERNEL_BACKEND} still overrides it.`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    await initStorage();
+    if (args.compact) return compact();
+    if (!args.to) throw new Error('Usage: npm run migrate -- --to <json-dir|jsonl> [--prune] [--force] | --compact');
+    return migrate(args.to, args);
+}
+
+main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
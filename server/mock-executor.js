@@ -0,0 +1,77 @@
+/**
+ * Self Kernel — Mock Executor
+ *
+ * A stand-in for a downstream agent, to run the whole dispatch loop offline.
+ * It takes payloads the way the webhook executor delivers them, answers 202,
+ * then works through each task like an agent would: acknowledge, report
+ * progress, report the outcome — through the callback URL and token the
+ * payload carries.
+ * A "superseded" notice for a task stops the work on it.
+ * Point an executor at it in kernel-meta.json:
+ *
+ *   "executors": [{ "id": "mock", "type": "webhook", "config": { "url": "http://localhost:4010/tasks" } }]
+ *
+ *   npm run mock-executor
+ *
+ * MOCK_EXECUTOR_PORT (4010) and MOCK_EXECUTOR_STEP_MS (1000, the pause between
+ * steps) change the defaults;
+ * MOCK_EXECUTOR_FAIL=1 makes every task fail.
+ */
+
+import express from 'express';
+
+const PORT = process.env.MOCK_EXECUTOR_PORT || 4010;
+const STEP_MS = Number(process.env.MOCK_EXECUTOR_STEP_MS || 1000);
+const FAIL = process.env.MOCK_EXECUTOR_FAIL === '1';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function report({ task_id, callback }, event, body) {
+    const res = await fetch(callback.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${callback.token}` },
+        body: JSON.stringify({ event, ...body })
+    });
+    if (!res.ok) throw new Error(`${event} answered ${res.status}: ${await res.text()}`);
+    console.log(`[Mock Executor] ${task_id}: ${event}`);
+}
+
+const superseded = new Set();
+
+async function step(payload) {
+    await sleep(STEP_MS);
+    if (superseded.has(payload.task_id)) throw new Error('superseded by another task');
+}
+
+async function work(payload) {
+    await step(payload);
+    await report(payload, 'ack', { executor: 'mock-executor' });
+    for (const percent of [25, 50, 75]) {
+        await step(payload);
+        await report(payload, 'progress', { percent, message: `Working on '${payload.directive}'` });
+    }
+    await step(payload);
+    await report(payload, 'outcome', FAIL
+        ? { status: 'failed', error: 'The mock executor was told to fail' }
+        : { status: 'succeeded', result: { summary: `Mock-executed '${payload.directive}'` } });
+}
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+// POST /tasks — take a payload and work on it in the background (or stop, for a superseded notice)
+app.post('/tasks', (req, res) => {
+    const payload = req.body;
+    if (!payload?.task_id) return res.status(400).json({ error: 'task_id is required' });
+    if (payload.status === 'superseded') {
+        superseded.add(payload.task_id);
+        console.log(`[Mock Executor] ${payload.task_id}: superseded by ${payload.superseded_by}`);
+        return res.json({ stopped: payload.task_id });
+    }
+    res.status(202).json({ accepted: payload.task_id });
+    work(payload).catch(err => console.error(`[Mock Executor] ${payload.task_id} stopped: ${err.message}`));
+});
+
+app.listen(PORT, () => {
+    console.log(`[Mock Executor] Listening on http://localhost:${PORT}/tasks`);
+});
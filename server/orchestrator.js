@@ -1,74 +1,212 @@
 /**
  * Self Kernel — Proactive Orchestrator Layer
  * 
- * Monitors the Intent DAG. When an intent hits the DECISION FSM state,
+ * Monitors the Intent DAG. When an intent hits its state machine's dispatch state,
  * it builds a context payload and "pushes" it to downstream execution agents 
  * (e.g., Openclaw interface) instead of waiting for user prompt.
+ *
+ * Each payload is stored as a task (see tasks.js): the outbox is the set of
+ * tasks no executor has finished yet. Tasks leave the kernel through the
+ * executors configured in kernel-meta.json (see executors/).
+ *
+ * Payloads carry the intent's wider context, ranked and cut to a budget
+ * (see context.js), and a schema_version that changes whenever their shape
+ * does. They also carry an idempotency key: the intent id and a hash of what the
+ * payload asks for. An intent that comes back to its dispatch state while a
+ * task for it is still open isn't sent twice. A payload identical to the
+ * open task's is always skipped; a changed one follows the executor's
+ * `onDuplicate` policy: 'skip' keeps the open task, 'supersede' cancels it
+ * (telling its executor so) and dispatches the new one.
+ *
+ * A dispatch an approval rule applies to waits as pending-approval until a
+ * person approves it (see approvals.js); nothing is delivered before that.
  */
 
-import { randomUUID as uuidv4 } from 'crypto';
+import { randomUUID as uuidv4, createHash } from 'crypto';
 import * as storage from './storage.js';
+import { addHook } from './fsm.js';
+import { afterCommit } from './transaction.js';
+import { OPEN_STATES, ACTIVE_STATES, createTask, cancelTask } from './tasks.js';
+import { deliverTask, routeTask, duplicatePolicy, supersedeTask } from './executors/index.js';
+import { assembleContext } from './context.js';
+import { approvalFor } from './approvals.js';
 
-// The "Outbox" of tasks pushed to execution
-const executionQueue = [];
+/**
+ * 2: context.related (ranked context items) and context.budget; involved
+ * entities carry their relation's label and strength
+ */
+export const PAYLOAD_SCHEMA_VERSION = 2;
 
-export function buildExecutionPayload(intent, contextPersons = []) {
-    return {
+/** `<intent id>:<hash>` of what the payload asks for (not its task id or timestamps) */
+export function idempotencyKey(payload) {
+    const content = {
+        directive: payload.directive,
+        parameters: payload.parameters ?? null,
+        priority: payload.priority,
+        tags: [...(payload.context?.tags || [])].sort(),
+        involved_entities: payload.context?.involved_entities || []
+    };
+    const hash = createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+    return `${payload.intent_source_id}:${hash}`;
+}
+
+/**
+ * `contextPersons` may carry `relation` ({ label, strength }), `related` is
+ * what context.assembleContext returned for the intent
+ */
+export function buildExecutionPayload(intent, contextPersons = [], transitionId = null, related = null) {
+    const payload = {
+        schema_version: PAYLOAD_SCHEMA_VERSION,
         task_id: uuidv4(),
         intent_source_id: intent.id,
+        transition_id: transitionId,
         directive: intent.title,
         parameters: intent.description,
         priority: intent.priority || 'medium',
         context: {
-            involved_entities: contextPersons.map(p => ({ role: p.role, name: p.name })),
+            involved_entities: contextPersons.map(p => ({
+                role: p.role,
+                name: p.name,
+                ...(p.relation ? { relation: p.relation.label ?? null, strength: p.relation.strength ?? null } : {})
+            })),
             tags: intent.tags || [],
+            related: related?.items || [],
+            ...(related ? { budget: related.budget } : {}),
             kernel_timestamp: new Date().toISOString()
         },
         status: 'dispatched'
     };
+    return { ...payload, idempotency_key: idempotencyKey(payload) };
 }
 
 /**
- * Triggered by the FSM when an Intent reaches DECISION state
+ * Check a payload headed for `executor` against the intent's earlier tasks.
+ * Returns { duplicateOf } (the open task it would duplicate: don't send it) or { replaces } (the
+ * tasks to supersede once it is dispatched: open ones under 'supersede', and
+ * dead letters, which a retry would otherwise turn into a duplicate).
  */
-export async function enqueueForExecution(intent) {
-    console.log(`[Orchestrator] Intent '${intent.title}' reached DECISION. Building execution payload...`);
+async function deduplicate(payload, executor) {
+    const tasks = await storage.findBy('tasks', 'intentId', payload.intent_source_id);
+    const open = tasks.filter(task => ACTIVE_STATES.includes(task.status));
+    const same = open.find(task => task.idempotencyKey === payload.idempotency_key);
+    if (same) return { duplicateOf: same };
+    if (open.length > 0 && duplicatePolicy(executor) === 'skip') return { duplicateOf: open[0] };
+    return { replaces: tasks.filter(task => ACTIVE_STATES.includes(task.status) || task.status === 'dead-lettered') };
+}
+
+/**
+ * Triggered by the FSM when an Intent reaches its machine's dispatch state
+ */
+export async function enqueueForExecution(intent, transitionId = null) {
+    console.log(`[Orchestrator] Intent '${intent.title}' reached ${intent.stage}. Building execution payload...`);
 
     try {
         // 1. Gather Context (The DAG)
-        const allRelations = await storage.listAll('relations');
-        const allPersons = await storage.listAll('persons');
-
-        // Find people related to this intent
-        const relatedPersonIds = allRelations
-            .filter(r => r.targetId === intent.id && r.sourceType === 'person')
-            .map(r => r.sourceId);
+        const incoming = await storage.findBy('relations', 'targetId', intent.id);
 
-        const contextPersons = allPersons.filter(p => relatedPersonIds.includes(p.id));
+        // Find people related to this intent (the strongest relation to each)
+        const personRelations = new Map();
+        for (const r of incoming.filter(r => r.sourceType === 'person')) {
+            const known = personRelations.get(r.sourceId);
+            if (!known || (r.strength ?? 0) > (known.strength ?? 0)) personRelations.set(r.sourceId, r);
+        }
 
-        // 2. Build the Payload for "Downstream Hands"
-        const executionPayload = buildExecutionPayload(intent, contextPersons);
+        const contextPersons = (await Promise.all([...personRelations].map(async ([id, r]) => {
+            const person = await storage.getById('persons', id);
+            return person && { ...person, relation: { label: r.label, strength: r.strength } };
+        }))).filter(Boolean);
 
-        executionQueue.push(executionPayload);
+        // 2. Build the Payload for "Downstream Hands", with the wider context, unless it's already on its way
+        const related = await assembleContext(intent);
+        const executionPayload = buildExecutionPayload(intent, contextPersons, transitionId, related);
+        const executor = await routeTask(executionPayload);
+        const { duplicateOf, replaces } = await deduplicate(executionPayload, executor);
+        if (duplicateOf) {
+            await storage.create('mcp-logs', {
+                agentId: 'openclaw-executor',
+                type: 'DISPATCH_SKIPPED',
+                intentId: intent.id,
+                taskId: duplicateOf.id,
+                details: `'${intent.title}' is already on its way as task ${duplicateOf.id} (${duplicateOf.status})` +
+                    (duplicateOf.idempotencyKey === executionPayload.idempotency_key ? '' : '; the changed payload was not sent')
+            });
+            return;
+        }
 
         // 3. Log to Activity Feed (for Dashboard)
+        const approval = await approvalFor(executionPayload, executor);
         await storage.create('mcp-logs', {
             agentId: 'openclaw-executor',
-            type: 'PROACTIVE_DISPATCH',
+            type: approval ? 'APPROVAL_REQUESTED' : 'PROACTIVE_DISPATCH',
             intentId: intent.id,
-            details: `Kernel dynamically routed intent to executor: ${intent.title}`
+            details: approval
+                ? `'${intent.title}' waits for approval before dispatch (${approval.rule})`
+                : `Kernel dynamically routed intent to executor: ${intent.title}`
         });
 
-        console.log(`[Orchestrator] Successfully dispatched to Openclaw simulator: ${executionPayload.task_id}`);
+        // 4. Put it in the outbox as a task (or the approvals inbox), and hand it to an
+        // executor once the transition is for real (not awaited: a slow executor mustn't hold up the move)
+        const task = await createTask(executionPayload, approval ? `Held for approval: ${approval.rule}` : undefined, { approval });
+        for (const earlier of replaces) await supersedeTask(earlier, task.id);
+        if (approval) return;
+        await afterCommit({ type: 'dispatch', payload: executionPayload }, () => {
+            deliverTask(task).then(delivery => {
+                if (!delivery) console.log(`[Orchestrator] No executor matches task ${task.id}; it waits in the outbox`);
+                else if (delivery.status === 'delivered') console.log(`[Orchestrator] Delivered task ${task.id} to ${delivery.executor}`);
+                else console.error(`[Orchestrator] Delivering task ${task.id} to ${delivery.executor} failed${delivery.nextAttemptAt ? `, retrying at ${delivery.nextAttemptAt}` : ''}: ${delivery.error}`);
+            });
+        });
 
     } catch (err) {
         console.error(`[Orchestrator] Failed to execute intent ${intent.id}:`, err);
+        // Say so where the user looks, or the decision silently goes nowhere
+        await storage.create('mcp-logs', {
+            agentId: 'openclaw-executor',
+            type: 'DISPATCH_FAILED',
+            intentId: intent.id,
+            details: `Could not dispatch '${intent.title}': ${err.message}`
+        }).catch(() => {});
     }
 }
 
 /**
- * Returns the current outbox / execution status
+ * Cancel the tasks transition `transitionId` dispatched that no executor
+ * has picked up yet: still dispatched, dead-lettered or pending approval.
+ */
+export async function withdrawExecution(transitionId, report) {
+    for (const task of await storage.findBy('tasks', 'transitionId', transitionId)) {
+        if (task.status === 'cancelled') continue;
+        if (!['dispatched', 'dead-lettered', 'pending-approval'].includes(task.status)) {
+            report.skipped.push({ type: 'dispatch', taskId: task.id, intentId: task.intentId, reason: `already ${task.status}` });
+            continue;
+        }
+        await cancelTask(task.id, 'Transition reverted');
+        report.undone.push({ type: 'dispatch', taskId: task.id, intentId: task.intentId });
+        await storage.create('mcp-logs', {
+            agentId: 'openclaw-executor',
+            type: 'DISPATCH_WITHDRAWN',
+            intentId: task.intentId,
+            details: `Transition reverted; withdrew task ${task.id}: ${task.payload.directive}`
+        });
+    }
+}
+
+// Dispatch whenever an intent enters its machine's dispatch state
+addHook('after', async ({ intent, to, machine, transitionId }) => {
+    if (machine.dispatchState && to === machine.dispatchState) await enqueueForExecution(intent, transitionId);
+});
+
+// ...and take the task back if that transition is reverted
+addHook('revert', async ({ transitionId, report }) => {
+    if (transitionId) await withdrawExecution(transitionId, report);
+});
+
+/**
+ * Returns the current outbox: tasks not finished yet, oldest first
  */
-export function getExecutionQueue() {
-    return executionQueue;
+export async function getExecutionQueue() {
+    const tasks = await storage.listAll('tasks');
+    return tasks
+        .filter(task => OPEN_STATES.includes(task.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
 }
@@ -0,0 +1,151 @@
+/**
+ * Self Kernel — Execution Outcomes
+ *
+ * Closes the dispatch loop. When an executor reports how a task ended, the
+ * outcome is written back into the user's context, where MCP agents see it:
+ *
+ *   thinking chain  a result node on the chain linked to the intent (a new
+ *                   "Execution: …" chain if none is)
+ *   trajectories    milestones tied to the intent become completed (or
+ *                   blocked, if it failed)
+ *   state machine   the intent moves to its machine's afterExecution state
+ *                   for the outcome, when one is named and the intent still
+ *                   sits in the dispatch state
+ *
+ * Executors report through the callback route with the token their payload
+ * carried (see tasks.js). Each write-back is tried on its own: one failing
+ * doesn't stop the others, and the outcome is kept either way.
+ */
+
+import { randomUUID as uuidv4 } from 'crypto';
+import * as storage from './storage.js';
+import * as fsm from './fsm.js';
+import { KernelError } from './errors.js';
+import { acknowledgeTask, reportProgress, completeTask, checkCallbackToken } from './tasks.js';
+
+export const MILESTONE_STATUS = { succeeded: 'completed', failed: 'blocked' };
+
+const MAX_RESULT_CHARS = 2000;
+
+/** The outcome of a finished task in a sentence or so */
+export function describeOutcome(task) {
+    if (task.status === 'failed') return task.error || 'Failed';
+    const { result } = task;
+    const text = result?.summary ?? (typeof result === 'string' ? result : result !== undefined ? JSON.stringify(result) : 'Completed');
+    return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}…` : text;
+}
+
+async function appendResultNode(task, intent) {
+    const node = {
+        id: uuidv4(),
+        type: 'execution-result',
+        source: task.executor || 'orchestrator',
+        summary: `Execution ${task.status}: ${task.payload.directive}`,
+        content: describeOutcome(task),
+        timestamp: task.completedAt,
+        linkedIntents: [intent.id]
+    };
+    const [chain] = (await storage.findBy('thinking-chains', 'linkedIntents', intent.id))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    if (chain) {
+        await storage.mutate('thinking-chains', chain.id, current => {
+            current.nodes.push(node);
+        });
+        return { chainId: chain.id, nodeId: node.id, created: false };
+    }
+    const created = await storage.create('thinking-chains', {
+        title: `Execution: ${intent.title}`,
+        description: 'Results executors reported for this intent',
+        nodes: [node],
+        linkedIntents: [intent.id]
+    });
+    return { chainId: created.id, nodeId: node.id, created: true };
+}
+
+async function updateMilestones(task) {
+    const status = MILESTONE_STATUS[task.status];
+    const updated = [];
+    for (const trajectory of await storage.listAll('trajectories')) {
+        const due = m => m.intentId === task.intentId && m.status !== 'cancelled' && m.status !== status;
+        if (!trajectory.milestones.some(due)) continue;
+        await storage.mutate('trajectories', trajectory.id, current => {
+            for (const milestone of current.milestones.filter(due)) {
+                updated.push({ trajectoryId: trajectory.id, label: milestone.label, from: milestone.status, to: status });
+                milestone.status = status;
+            }
+        });
+    }
+    return updated;
+}
+
+async function moveAfterExecution(task, intent) {
+    const machine = await fsm.machineFor(intent);
+    const target = machine.afterExecution?.[task.status];
+    if (!target) return null;
+    if (intent.stage !== machine.dispatchState) return { skipped: `the intent has moved on to ${intent.stage}` };
+    const note = `Execution ${task.status} (${task.executor || 'executor'}): ${describeOutcome(task)}`;
+    const moved = await fsm.transitionState(intent.id, target, note.length > 300 ? `${note.slice(0, 300)}…` : note);
+    return { from: intent.stage, to: moved.stage };
+}
+
+/**
+ * Write a finished task's outcome back into the kernel. Returns
+ * { chain, milestones, stage, errors }: what each step did (stage is null
+ * when the machine names no afterExecution state) and the steps that failed.
+ */
+export async function closeLoop(task) {
+    const effects = { chain: null, milestones: [], stage: null, errors: [] };
+    const intent = await storage.getById('intents', task.intentId);
+    if (!intent) {
+        effects.errors.push('the intent no longer exists');
+        return effects;
+    }
+    const steps = [
+        ['chain', () => appendResultNode(task, intent)],
+        ['milestones', () => updateMilestones(task)],
+        ['stage', () => moveAfterExecution(task, intent)]
+    ];
+    for (const [name, step] of steps) {
+        try {
+            effects[name] = await step();
+        } catch (err) {
+            effects.errors.push(`${name}: ${err.message}`);
+        }
+    }
+
+    await storage.create('mcp-logs', {
+        agentId: task.executor || 'orchestrator',
+        type: 'TASK_OUTCOME',
+        intentId: task.intentId,
+        taskId: task.id,
+        details: `Task ${task.id} ${task.status}: ${describeOutcome(task)}` +
+            (effects.stage?.to ? ` · intent moved to ${effects.stage.to}` : '') +
+            (effects.milestones.length > 0 ? ` · ${effects.milestones.length} milestone(s) ${MILESTONE_STATUS[task.status]}` : '')
+    });
+    return effects;
+}
+
+/** Finish a task (see tasks.completeTask) and close the loop; returns { task, effects } */
+export async function recordOutcome(id, outcome = {}) {
+    const task = await completeTask(id, outcome);
+    return { task, effects: await closeLoop(task) };
+}
+
+/**
+ * An executor reporting on task `id` with the callback `token` its payload
+ * carried. `report` is { event: 'ack', executor? }, { event: 'progress',
+ * percent?, message? } or { event: 'outcome', status, result?, error? }.
+ * Returns { task } (and `effects` for an outcome). 401 for a wrong token.
+ */
+export async function handleCallback(id, token, { event, ...report } = {}) {
+    const task = await storage.getById('tasks', id);
+    if (!task) throw new KernelError('Task not found', 404);
+    if (!await checkCallbackToken(task, token)) throw new KernelError('Invalid callback token for this task', 401);
+
+    switch (event) {
+        case 'ack': return { task: await acknowledgeTask(id, report) };
+        case 'progress': return { task: await reportProgress(id, report) };
+        case 'outcome': return recordOutcome(id, report);
+        default: throw new KernelError("event must be 'ack', 'progress' or 'outcome'", 400);
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Self Kernel — List Queries
+ *
+ * The shared filter / sort / paginate layer behind every collection's list
+ * route. Query parameters:
+ *
+ *   <field>=a,b           items whose field equals any of the values (array
+ *                         fields: contain any of them), e.g. stage=DECISION;
+ *                         the field must be one the collection's schema names
+ *   tag=x                 shorthand for tags=x
+ *   createdAfter / createdBefore / updatedAfter / updatedBefore
+ *                         ISO date range on createdAt / updatedAt
+ *                         (after is inclusive, before exclusive)
+ *   sort=-updatedAt,title comma-separated fields, '-' for descending
+ *   limit=50              page size (max 500)
+ *   cursor=…              opaque cursor from the previous page's nextCursor
+ *
+ * Parameters starting with '_' (cache-busters and the like) are ignored; any
+ * other unknown parameter answers 400 rather than matching nothing.
+ *
+ * Without limit or cursor the route answers with a plain array, as before.
+ * With either it answers { items, nextCursor, total }, where nextCursor is
+ * null on the last page. Cursors are keyset positions, not offsets, so pages
+ * stay consistent while entities are created or deleted in between.
+ */
+
+import * as storage from './storage.js';
+import { KernelError } from './errors.js';
+import { getSchema } from './schema.js';
+
+export const MAX_LIMIT = 500;
+
+const RESERVED = new Set(['sort', 'limit', 'cursor']);
+
+const DATE_RANGES = {
+    createdAfter: { field: 'createdAt', after: true },
+    createdBefore: { field: 'createdAt', after: false },
+    updatedAfter: { field: 'updatedAt', after: true },
+    updatedBefore: { field: 'updatedAt', after: false }
+};
+
+const ALIASES = { tag: 'tags' };
+
+function badQuery(message) {
+    return new KernelError(message, 400);
+}
+
+function parseSort(sort) {
+    return String(sort).split(',').filter(Boolean).map(part => (
+        part.startsWith('-') ? { field: part.slice(1), dir: -1 } : { field: part, dir: 1 }
+    ));
+}
+
+function parseDate(value, param) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw badQuery(`${param} must be an ISO date`);
+    return time;
+}
+
+function compareValues(a, b) {
+    // Missing values sort after present ones (before them when descending)
+    if (a === undefined || a === null) return b === undefined || b === null ? 0 : 1;
+    if (b === undefined || b === null) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+/** Sort comparator over the sort keys, ties broken by id so every position is unique */
+function comparator(keys) {
+    return (a, b) => {
+        for (const { field, dir } of keys) {
+            const order = compareValues(a[field], b[field]);
+            if (order !== 0) return order * dir;
+        }
+        return compareValues(a.id, b.id);
+    };
+}
+
+function encodeCursor(sort, item, keys) {
+    const position = { id: item.id };
+    for (const { field } of keys) position[field] = item[field];
+    return Buffer.from(JSON.stringify({ sort, position })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    } catch {
+        throw badQuery('Invalid cursor');
+    }
+    if (!decoded?.position) throw badQuery('Invalid cursor');
+    if (decoded.sort !== sort) throw badQuery('Cursor was issued for a different sort order');
+    return decoded.position;
+}
+
+/** Does `value` (a scalar or an array field) match any of the wanted strings? */
+function matches(value, wanted) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.some(v => v !== undefined && v !== null && wanted.includes(String(v)));
+}
+
+/**
+ * List a collection according to request query parameters.
+ * `defaultSort` applies when the request names none (e.g. '-updatedAt').
+ */
+export async function queryCollection(collection, query = {}, { defaultSort = 'id' } = {}) {
+    const filters = [];
+    const ranges = [];
+    const fields = getSchema(collection)?.properties;
+    for (const [param, raw] of Object.entries(query)) {
+        if (RESERVED.has(param) || param.startsWith('_')) continue;
+        const value = Array.isArray(raw) ? raw.join(',') : String(raw);
+        if (DATE_RANGES[param]) {
+            ranges.push({ ...DATE_RANGES[param], time: parseDate(value, param) });
+            continue;
+        }
+        const field = ALIASES[param] || param;
+        if (fields && !Object.hasOwn(fields, field)) throw badQuery(`Unknown query parameter '${param}' (${collection} has no such field)`);
+        filters.push({ field, wanted: value.split(',') });
+    }
+
+    const sort = query.sort ? String(query.sort) : defaultSort;
+    const keys = parseSort(sort);
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) throw badQuery('limit must be a positive integer');
+        limit = Math.min(limit, MAX_LIMIT);
+    }
+    const paginate = limit !== null || query.cursor !== undefined;
+
+    let items = (await storage.listAll(collection)).filter(item =>
+        filters.every(f => matches(item[f.field], f.wanted)) &&
+        ranges.every(r => {
+            const time = Date.parse(item[r.field]);
+            if (Number.isNaN(time)) return false;
+            return r.after ? time >= r.time : time < r.time;
+        })
+    );
+    const compare = comparator(keys);
+    items.sort(compare);
+    if (!paginate) return items;
+
+    const total = items.length;
+    if (query.cursor !== undefined) {
+        const position = decodeCursor(query.cursor, sort);
+        items = items.filter(item => compare(item, position) > 0);
+    }
+    const pageSize = limit ?? MAX_LIMIT;
+    const page = items.slice(0, pageSize);
+    const nextCursor = items.length > pageSize ? encodeCursor(sort, page[page.length - 1], keys) : null;
+    return { items: page, nextCursor, total };
+}
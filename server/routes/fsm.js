@@ -0,0 +1,82 @@
+/**
+ * FSM Routes — Manage the state machine definitions intents follow
+ * Each definition lists its states, transitions, confidence per state and
+ * dispatch state; the Timeline draws one board per active machine.
+ */
+
+import { Router } from 'express';
+import * as storage from '../storage.js';
+import * as fsm from '../fsm.js';
+import { KernelError, sendError } from '../errors.js';
+
+const router = Router();
+
+async function assertTypesFree(def) {
+    const conflicts = await fsm.conflictingTypes(def);
+    if (conflicts.length > 0) {
+        throw new KernelError(`Intent type '${conflicts[0].type}' already belongs to machine '${conflicts[0].machine}'`, 409, { conflicts });
+    }
+}
+
+// GET /api/fsm/definitions — active definitions (the built-in default included)
+router.get('/definitions', async (req, res) => {
+    try {
+        const machines = await fsm.getMachines();
+        res.json([...machines.values()]);
+    } catch (err) {
+        sendError(res, err, 'Failed to list state machines');
+    }
+});
+
+// GET /api/fsm/definitions/:id — get one active definition
+router.get('/definitions/:id', async (req, res) => {
+    try {
+        const machine = await fsm.getMachine(req.params.id);
+        if (!machine) return res.status(404).json({ error: 'State machine not found' });
+        res.json(machine);
+    } catch (err) {
+        sendError(res, err, 'Failed to get state machine');
+    }
+});
+
+// POST /api/fsm/definitions — store a definition (POST with id 'default' replaces the built-in one)
+router.post('/definitions', async (req, res) => {
+    if (!req.body.id) return res.status(400).json({ error: 'id is required' });
+    try {
+        if (await storage.getById('state-machines', req.body.id)) {
+            return res.status(409).json({ error: `State machine '${req.body.id}' already exists` });
+        }
+        const { builtIn, ...def } = req.body;
+        await assertTypesFree(def);
+        const machine = await storage.create('state-machines', { intentTypes: [], active: true, ...def });
+        res.status(201).json(machine);
+    } catch (err) {
+        sendError(res, err, 'Failed to create state machine');
+    }
+});
+
+// PUT /api/fsm/definitions/:id — update a stored definition
+router.put('/definitions/:id', async (req, res) => {
+    try {
+        const existing = await storage.getById('state-machines', req.params.id);
+        if (!existing) return res.status(404).json({ error: 'State machine not found' });
+        const { id, builtIn, ...updates } = req.body;
+        await assertTypesFree({ ...existing, ...updates });
+        res.json(await storage.update('state-machines', req.params.id, updates));
+    } catch (err) {
+        sendError(res, err, 'Failed to update state machine');
+    }
+});
+
+// DELETE /api/fsm/definitions/:id — delete a stored definition; its intents fall back to the default machine
+router.delete('/definitions/:id', async (req, res) => {
+    try {
+        const removed = await storage.remove('state-machines', req.params.id);
+        if (!removed) return res.status(404).json({ error: 'State machine not found' });
+        res.status(204).send();
+    } catch (err) {
+        sendError(res, err, 'Failed to delete state machine');
+    }
+});
+
+export default router;
@@ -7,18 +7,41 @@
 import { Router } from 'express';
 import * as storage from '../storage.js';
 import * as fsm from '../fsm.js';
+import { sendError } from '../errors.js';
+import { deleteEntity } from '../integrity.js';
+import { queryCollection } from '../query.js';
+import { dryRun } from '../transaction.js';
+import { intentDag, parentIds, propagateConfidence, recomputeAll } from '../dag.js';
+import { applyIntentUpdate, applyIntentBatch } from '../intent-updates.js';
 
 const router = Router();
 
-// Valid cognitive stages
-const STAGES = [fsm.STATES.EXPLORATION, fsm.STATES.REFINING, fsm.STATES.DECISION, fsm.STATES.REFUTED];
-
-// GET /api/intents — list all intents
+// GET /api/intents — list intents (filters, sort and cursor pagination: see query.js), newest first
 router.get('/', async (req, res) => {
-    const intents = await storage.listAll('intents');
-    // Sort by updatedAt desc
-    intents.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-    res.json(intents);
+    try {
+        res.json(await queryCollection('intents', req.query, { defaultSort: '-updatedAt' }));
+    } catch (err) {
+        sendError(res, err, 'Failed to list intents');
+    }
+});
+
+// GET /api/intents/dag — topological order of the intent DAG with depth, parents, children and ancestors
+router.get('/dag', async (req, res) => {
+    try {
+        res.json(await intentDag());
+    } catch (err) {
+        sendError(res, err, 'Failed to build intent DAG');
+    }
+});
+
+// POST /api/intents/confidence/recompute — re-blend every intent's confidence (e.g. after hand edits)
+router.post('/confidence/recompute', async (req, res) => {
+    try {
+        const changes = await recomputeAll();
+        res.json({ changed: changes.length, changes });
+    } catch (err) {
+        sendError(res, err, 'Failed to recompute confidence');
+    }
 });
 
 // GET /api/intents/:id — get one intent
@@ -28,15 +51,15 @@ router.get('/:id', async (req, res) => {
     res.json(intent);
 });
 
-// POST /api/intents — create an intent
+// POST /api/intents — create an intent; `type` picks its state machine
 router.post('/', async (req, res) => {
-    const { title, description, stage, tags, parentId, linkedPersons } = req.body;
+    const { title, description, type, tags, parentId, linkedPersons } = req.body;
     if (!title) return res.status(400).json({ error: 'Title is required' });
     try {
         const intent = await fsm.createIntent({
             title,
             description: description || '',
-            stage: stage || fsm.STATES.EXPLORATION,
+            ...(type ? { type } : {}),
             tags: tags || [],
             parentId: parentId || null,
             linkedPersons: linkedPersons || [],
@@ -45,41 +68,61 @@ router.post('/', async (req, res) => {
         });
         res.status(201).json(intent);
     } catch (err) {
-        res.status(500).json({ error: 'Failed to create intent: ' + err.message });
+        sendError(res, err, 'Failed to create intent');
     }
 });
 
-// PUT /api/intents/:id — update an intent
-router.put('/:id', async (req, res) => {
+// POST /api/intents/batch — apply many updates and transitions in one transaction
+// body: { operations: [{ id, stage?, stageNote?, ...fields }], atomic = true, dryRun = false }
+router.post('/batch', async (req, res) => {
+    const { operations, atomic = true, dryRun: preview = false } = req.body;
     try {
-        const existing = await storage.getById('intents', req.params.id);
-        if (!existing) return res.status(404).json({ error: 'Intent not found' });
+        const report = await applyIntentBatch(operations, { atomic: atomic !== false, dryRun: preview === true });
+        const failure = report.atomic && report.results.find(r => !r.ok && r.error.status !== 424);
+        res.status(failure ? failure.error.status : 200).json(report);
+    } catch (err) {
+        sendError(res, err, 'Failed to apply batch');
+    }
+});
 
-        // If stage is changing, add to stage history via FSM
-        if (req.body.stage && req.body.stage !== existing.stage) {
-            await fsm.transitionState(req.params.id, req.body.stage, req.body.stageNote || `Moved to ${req.body.stage}`);
+// PUT /api/intents/:id — update an intent; with ?dryRun=true, return the plan of
+// everything it would change (stages, confidence, dispatches, logs) and write nothing
+router.put('/:id', async (req, res) => {
+    try {
+        if (req.query.dryRun === 'true') {
+            const { result, plan } = await dryRun(() => applyIntentUpdate(req.params.id, req.body));
+            if (!result) return res.status(404).json({ error: 'Intent not found' });
+            return res.json({ dryRun: true, intent: result, plan });
         }
-
-        // Fetch fresh object in case FSM modified it
-        const fresh = await storage.getById('intents', req.params.id);
-
-        // Remove stage from body to not overwrite FSM logic
-        const updates = { ...req.body };
-        delete updates.stage;
-        delete updates.stageHistory;
-
-        const updated = await storage.update('intents', req.params.id, { ...fresh, ...updates, updatedAt: new Date().toISOString() });
+        const updated = await applyIntentUpdate(req.params.id, req.body);
+        if (!updated) return res.status(404).json({ error: 'Intent not found' });
         res.json(updated);
     } catch (err) {
-        res.status(500).json({ error: 'Failed to update intent: ' + err.message });
+        sendError(res, err, 'Failed to update intent');
+    }
+});
+
+// POST /api/intents/:id/revert — undo the latest transition and what it set off
+// (parent roll-ups, dispatches not yet picked up); body { note? }
+router.post('/:id/revert', async (req, res) => {
+    try {
+        res.json(await fsm.revertTransition(req.params.id, req.body.note));
+    } catch (err) {
+        sendError(res, err, 'Failed to revert transition');
     }
 });
 
 // DELETE /api/intents/:id — delete an intent
 router.delete('/:id', async (req, res) => {
-    const removed = await storage.remove('intents', req.params.id);
-    if (!removed) return res.status(404).json({ error: 'Intent not found' });
-    res.status(204).send();
+    try {
+        const parents = await parentIds(req.params.id);
+        const report = await deleteEntity('intents', req.params.id, { policy: req.query.policy });
+        if (!report) return res.status(404).json({ error: 'Intent not found' });
+        await propagateConfidence(parents.filter(id => !report.removed.includes(`intents/${id}`)), `Child intent ${req.params.id} deleted`);
+        res.status(204).send();
+    } catch (err) {
+        sendError(res, err, 'Failed to delete intent');
+    }
 });
 
 export default router;
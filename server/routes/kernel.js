@@ -3,7 +3,14 @@
  */
 
 import { Router } from 'express';
+import { Readable, pipeline } from 'stream';
+import zlib from 'zlib';
 import * as storage from '../storage.js';
+import { getSchema, getSchemas, validate } from '../schema.js';
+import { sendError } from '../errors.js';
+import { deleteEntity, scanIntegrity, repairIntegrity } from '../integrity.js';
+import { exportChunks, importBundle, shareableMeta } from '../bundle.js';
+import { withAcyclicWrite } from '../dag.js';
 
 const router = Router();
 const startTime = Date.now();
@@ -18,7 +25,7 @@ router.get('/status', async (req, res) => {
     res.json({
         status: 'online',
         uptime: Math.floor((Date.now() - startTime) / 1000),
-        kernel: meta,
+        kernel: shareableMeta(meta),
         entities: counts,
         capabilities: [
             'intent-management',
@@ -26,7 +33,8 @@ router.get('/status', async (req, res) => {
             'relationship-modeling',
             'thinking-chains',
             'white-box-inspection',
-            'mcp-interface'
+            'mcp-interface',
+            ...(storage.isEncrypted() ? ['encryption-at-rest'] : [])
         ],
         mcpServer: {
             status: 'active',
@@ -91,18 +99,121 @@ router.get('/inspect/:collection/:id', async (req, res) => {
     const { collection, id } = req.params;
     const data = await storage.getRawData(collection, id);
     if (!data) return res.status(404).json({ error: 'Entity not found' });
-    res.json(data);
+    // Hand edits on disk bypass the storage checks — report what they broke
+    res.json({ ...data, errors: validate(collection, data.content) });
 });
 
 // PUT /api/kernel/inspect/:collection/:id — save raw data from inspector
 router.put('/inspect/:collection/:id', async (req, res) => {
     const { collection, id } = req.params;
+    if (!storage.COLLECTIONS.includes(collection)) return res.status(404).json({ error: 'Unknown collection' });
     try {
-        const updated = await storage.saveRawData(collection, id, JSON.stringify(req.body));
+        const updated = await withAcyclicWrite(collection, { ...req.body, id },
+            () => storage.saveRawData(collection, id, JSON.stringify(req.body)));
         res.json(updated);
     } catch (e) {
+        if (e.status) return sendError(res, e);
         res.status(400).json({ error: 'Invalid JSON: ' + e.message });
     }
 });
 
+// DELETE /api/kernel/inspect/:collection/:id — delete any entity, applying the collection's delete policy
+router.delete('/inspect/:collection/:id', async (req, res) => {
+    const { collection, id } = req.params;
+    if (!storage.COLLECTIONS.includes(collection)) return res.status(404).json({ error: 'Unknown collection' });
+    try {
+        const report = await deleteEntity(collection, id, { policy: req.query.policy });
+        if (!report) return res.status(404).json({ error: 'Entity not found' });
+        res.json(report);
+    } catch (e) {
+        sendError(res, e, 'Failed to delete entity');
+    }
+});
+
+// GET /api/kernel/integrity — every reference whose target no longer exists
+router.get('/integrity', async (req, res) => {
+    try {
+        res.json(await scanIntegrity());
+    } catch (err) {
+        sendError(res, err, 'Integrity scan failed');
+    }
+});
+
+// POST /api/kernel/integrity/repair — remove broken relations and clear dangling references
+router.post('/integrity/repair', async (req, res) => {
+    try {
+        res.json(await repairIntegrity());
+    } catch (e) {
+        sendError(res, e, 'Integrity repair failed');
+    }
+});
+
+// GET /api/kernel/export — stream every collection, kernel-meta and a checksum manifest as one bundle (?gzip=true to compress)
+router.get('/export', (req, res) => {
+    const gzip = req.query.gzip === 'true';
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', gzip ? 'application/gzip' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="self-kernel-${stamp}.json${gzip ? '.gz' : ''}"`);
+    const streams = [Readable.from(exportChunks()), ...(gzip ? [zlib.createGzip()] : []), res];
+    pipeline(...streams, err => {
+        if (err) {
+            console.error('Export failed:', err.message);
+            res.destroy(err);
+        }
+    });
+});
+
+// POST /api/kernel/import — load a bundle (?strategy=skip|overwrite|newest|rekey, ?dryRun=true for a report only)
+router.post('/import', async (req, res) => {
+    try {
+        const report = await importBundle(req.body, {
+            strategy: req.query.strategy || 'skip',
+            dryRun: req.query.dryRun === 'true'
+        });
+        res.json(report);
+    } catch (e) {
+        sendError(res, e, 'Import failed');
+    }
+});
+
+// GET /api/kernel/schemas — JSON Schemas for every collection
+router.get('/schemas', (req, res) => {
+    res.json(getSchemas());
+});
+
+// GET /api/kernel/schemas/:collection — one collection's JSON Schema
+router.get('/schemas/:collection', (req, res) => {
+    const schema = getSchema(req.params.collection);
+    if (!schema) return res.status(404).json({ error: 'No schema for this collection' });
+    res.json(schema);
+});
+
+// GET /api/kernel/history/:collection/:id — revision history with field-level diffs
+router.get('/history/:collection/:id', async (req, res) => {
+    const { collection, id } = req.params;
+    if (!storage.COLLECTIONS.includes(collection)) return res.status(404).json({ error: 'Unknown collection' });
+    try {
+        const revisions = await storage.getHistory(collection, id);
+        res.json({ collection, id, revisions });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// POST /api/kernel/history/:collection/:id/restore — roll back to a revision ({ rev })
+router.post('/history/:collection/:id/restore', async (req, res) => {
+    const { collection, id } = req.params;
+    if (!storage.COLLECTIONS.includes(collection)) return res.status(404).json({ error: 'Unknown collection' });
+    const rev = Number(req.body.rev);
+    if (!Number.isInteger(rev)) return res.status(400).json({ error: 'rev must be a revision number' });
+    try {
+        const restored = await storage.restoreRevision(collection, id, rev);
+        if (!restored) return res.status(404).json({ error: `Revision ${rev} not found` });
+        res.json(restored);
+    } catch (e) {
+        if (e.status) return sendError(res, e);
+        res.status(400).json({ error: e.message });
+    }
+});
+
 export default router;
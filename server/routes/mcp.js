@@ -11,6 +11,8 @@
 import { Router } from 'express';
 import * as storage from '../storage.js';
 import * as orchestrator from '../orchestrator.js';
+import { queryCollection } from '../query.js';
+import { sendError } from '../errors.js';
 
 const router = Router();
 
@@ -69,144 +71,158 @@ router.get('/status', async (req, res) => {
             'trajectory-replay',
             'permission-management'
         ],
-        outboundQueue: orchestrator.getExecutionQueue()
+        outboundQueue: await orchestrator.getExecutionQueue()
     });
 });
 
 // POST /api/mcp/context — an external agent queries for user context
 router.post('/context', async (req, res) => {
-    const { agentId, query, scope } = req.body;
-
-    // Log the query
-    await storage.create('mcp-logs', {
-        agentId: agentId || 'unknown',
-        type: 'context-query',
-        query: query || '',
-        scope: scope || 'general',
-        timestamp: new Date().toISOString(),
-        granted: true
-    });
-
-    // Return relevant context based on scope
-    const [intents, persons, chains] = await Promise.all([
-        storage.listAll('intents'),
-        storage.listAll('persons'),
-        storage.listAll('thinking-chains')
-    ]);
-
-    const activeIntents = intents.filter(i => i.active);
-    const recentChains = chains.sort((a, b) =>
-        new Date(b.updatedAt) - new Date(a.updatedAt)
-    ).slice(0, 5);
+    try {
+        const { agentId, query, scope } = req.body;
+
+        // Log the query
+        await storage.create('mcp-logs', {
+            agentId: agentId || 'unknown',
+            type: 'context-query',
+            query: query || '',
+            scope: scope || 'general',
+            timestamp: new Date().toISOString(),
+            granted: true
+        });
 
-    res.json({
-        status: 'granted',
-        context: {
-            activeIntents: activeIntents.map(i => ({
-                title: i.title,
-                stage: i.stage,
-                description: i.description
-            })),
-            cognitiveState: {
-                primaryFocus: activeIntents[0]?.title || 'No active focus',
-                stage: activeIntents[0]?.stage || 'idle',
-                recentThinking: recentChains.map(c => c.title)
-            },
-            personCount: persons.length,
-            intentCount: intents.length
-        }
-    });
-});
+        // Return relevant context based on scope
+        const [intents, persons, chains] = await Promise.all([
+            storage.listAll('intents'),
+            storage.listAll('persons'),
+            storage.listAll('thinking-chains')
+        ]);
 
-// POST /api/mcp/intent — query specific intent information
-router.post('/intent', async (req, res) => {
-    const { agentId, intentId, detail } = req.body;
-
-    await storage.create('mcp-logs', {
-        agentId: agentId || 'unknown',
-        type: 'intent-query',
-        intentId,
-        detail: detail || 'summary',
-        timestamp: new Date().toISOString(),
-        granted: true
-    });
+        const activeIntents = intents.filter(i => i.active);
+        const recentChains = chains.sort((a, b) =>
+            new Date(b.updatedAt) - new Date(a.updatedAt)
+        ).slice(0, 5);
 
-    if (intentId) {
-        const intent = await storage.getById('intents', intentId);
-        if (!intent) return res.status(404).json({ error: 'Intent not found' });
-        res.json({ status: 'granted', intent });
-    } else {
-        const intents = await storage.listAll('intents');
         res.json({
             status: 'granted',
-            intents: intents.map(i => ({
-                id: i.id,
-                title: i.title,
-                stage: i.stage,
-                active: i.active
-            }))
+            context: {
+                activeIntents: activeIntents.map(i => ({
+                    title: i.title,
+                    stage: i.stage,
+                    description: i.description
+                })),
+                cognitiveState: {
+                    primaryFocus: activeIntents[0]?.title || 'No active focus',
+                    stage: activeIntents[0]?.stage || 'idle',
+                    recentThinking: recentChains.map(c => c.title)
+                },
+                personCount: persons.length,
+                intentCount: intents.length
+            }
         });
+    } catch (err) {
+        sendError(res, err, 'Failed to answer context query');
     }
 });
 
-// POST /api/mcp/query — generic query endpoint
-router.post('/query', async (req, res) => {
-    const { agentId, type, params } = req.body;
-
-    await storage.create('mcp-logs', {
-        agentId: agentId || 'unknown',
-        type: 'generic-query',
-        queryType: type,
-        params,
-        timestamp: new Date().toISOString(),
-        granted: true
-    });
+// POST /api/mcp/intent — query specific intent information
+router.post('/intent', async (req, res) => {
+    try {
+        const { agentId, intentId, detail } = req.body;
+
+        await storage.create('mcp-logs', {
+            agentId: agentId || 'unknown',
+            type: 'intent-query',
+            intentId,
+            detail: detail || 'summary',
+            timestamp: new Date().toISOString(),
+            granted: true
+        });
 
-    switch (type) {
-        case 'cognitive-state': {
+        if (intentId) {
+            const intent = await storage.getById('intents', intentId);
+            if (!intent) return res.status(404).json({ error: 'Intent not found' });
+            res.json({ status: 'granted', intent });
+        } else {
             const intents = await storage.listAll('intents');
-            const stages = await storage.listAll('cognitive-stages');
             res.json({
                 status: 'granted',
-                cognitiveState: {
-                    activeIntents: intents.filter(i => i.active).length,
-                    stages: stages
-                }
+                intents: intents.map(i => ({
+                    id: i.id,
+                    title: i.title,
+                    stage: i.stage,
+                    active: i.active
+                }))
             });
-            break;
-        }
-        case 'relationship-graph': {
-            const relations = await storage.listAll('relations');
-            res.json({ status: 'granted', relations });
-            break;
         }
-        case 'expression-profile': {
-            res.json({
-                status: 'granted',
-                profile: {
-                    formalityLevel: 0.65,
-                    preferredStructure: 'analytical',
-                    languageStyle: 'concise-technical',
-                    topDomains: ['technology', 'AI', 'product-strategy'],
-                    communicationPatterns: {
-                        professional: 'structured, data-driven',
-                        casual: 'exploratory, metaphor-rich',
-                        brainstorming: 'rapid-fire, builds on others'
+    } catch (err) {
+        sendError(res, err, 'Failed to answer intent query');
+    }
+});
+
+// POST /api/mcp/query — generic query endpoint
+router.post('/query', async (req, res) => {
+    try {
+        const { agentId, type, params } = req.body;
+
+        await storage.create('mcp-logs', {
+            agentId: agentId || 'unknown',
+            type: 'generic-query',
+            queryType: type,
+            params,
+            timestamp: new Date().toISOString(),
+            granted: true
+        });
+
+        switch (type) {
+            case 'cognitive-state': {
+                const intents = await storage.listAll('intents');
+                const stages = await storage.listAll('cognitive-stages');
+                res.json({
+                    status: 'granted',
+                    cognitiveState: {
+                        activeIntents: intents.filter(i => i.active).length,
+                        stages: stages
                     }
-                }
-            });
-            break;
+                });
+                break;
+            }
+            case 'relationship-graph': {
+                const relations = await storage.listAll('relations');
+                res.json({ status: 'granted', relations });
+                break;
+            }
+            case 'expression-profile': {
+                res.json({
+                    status: 'granted',
+                    profile: {
+                        formalityLevel: 0.65,
+                        preferredStructure: 'analytical',
+                        languageStyle: 'concise-technical',
+                        topDomains: ['technology', 'AI', 'product-strategy'],
+                        communicationPatterns: {
+                            professional: 'structured, data-driven',
+                            casual: 'exploratory, metaphor-rich',
+                            brainstorming: 'rapid-fire, builds on others'
+                        }
+                    }
+                });
+                break;
+            }
+            default:
+                res.status(400).json({ error: `Unknown query type: ${type}` });
         }
-        default:
-            res.status(400).json({ error: `Unknown query type: ${type}` });
+    } catch (err) {
+        sendError(res, err, 'Failed to answer query');
     }
 });
 
-// GET /api/mcp/logs — access log
+// GET /api/mcp/logs — access log, newest first (page with ?limit= and ?cursor=; see query.js)
 router.get('/logs', async (req, res) => {
-    const logs = await storage.listAll('mcp-logs');
-    logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    res.json(logs.slice(0, 100));
+    try {
+        res.json(await queryCollection('mcp-logs', req.query, { defaultSort: '-createdAt' }));
+    } catch (err) {
+        sendError(res, err, 'Failed to list access logs');
+    }
 });
 
 export default router;
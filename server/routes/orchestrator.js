@@ -0,0 +1,161 @@
+/**
+ * Orchestrator Routes — The outbox of execution tasks and the executors it delivers to
+ * Executors report back on /callback/:id with the token their payload
+ * carried: they acknowledge the task, report progress and its outcome, which
+ * is written back into the kernel. The user can cancel a task that isn't finished.
+ * Tasks no executor took after every attempt wait under /dead-letters.
+ * Tasks an approval rule holds back wait under /approvals for a person.
+ */
+
+import { Router } from 'express';
+import * as storage from '../storage.js';
+import * as tasks from '../tasks.js';
+import { getExecutors, maskExecutor, retryDeadLetter, discardDeadLetter } from '../executors/index.js';
+import { sendError } from '../errors.js';
+import { queryCollection } from '../query.js';
+import { handleCallback } from '../outcomes.js';
+import { getApprovalRules, editPendingPayload, approveTask, rejectTask } from '../approvals.js';
+
+const router = Router();
+
+// GET /api/orchestrator/executors — configured executors in routing order, with config errors
+// (set them under `executors` in kernel-meta.json; header values are not shown)
+router.get('/executors', async (req, res) => {
+    try {
+        res.json((await getExecutors()).map(maskExecutor));
+    } catch (err) {
+        sendError(res, err, 'Failed to list executors');
+    }
+});
+
+// GET /api/orchestrator/tasks — list tasks (e.g. ?status=dispatched,running or ?intentId=…), newest first
+// (tasks held for approval haven't been released to executors: only listed when ?status= names pending-approval)
+router.get('/tasks', async (req, res) => {
+    try {
+        const released = Object.keys(tasks.TASK_LIFECYCLE.transitions).filter(status => status !== 'pending-approval');
+        res.json(await queryCollection('tasks', { status: released.join(','), ...req.query }, { defaultSort: '-createdAt' }));
+    } catch (err) {
+        sendError(res, err, 'Failed to list tasks');
+    }
+});
+
+// GET /api/orchestrator/tasks/:id — get one task with its payload and status history
+router.get('/tasks/:id', async (req, res) => {
+    try {
+        const task = await storage.getById('tasks', req.params.id);
+        if (!task) return res.status(404).json({ error: 'Task not found' });
+        res.json(task);
+    } catch (err) {
+        sendError(res, err, 'Failed to get task');
+    }
+});
+
+// POST /api/orchestrator/tasks/:id/cancel — body { reason? }
+router.post('/tasks/:id/cancel', async (req, res) => {
+    try {
+        res.json(await tasks.cancelTask(req.params.id, req.body.reason));
+    } catch (err) {
+        sendError(res, err, 'Failed to cancel task');
+    }
+});
+
+// POST /api/orchestrator/callback/:id — an executor reports on a task it was pushed
+// Authorization: Bearer <payload.callback.token>; body { event: 'ack' | 'progress' | 'outcome', ... }
+router.post('/callback/:id', async (req, res) => {
+    try {
+        const token = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+        const { task, effects } = await handleCallback(req.params.id, token, req.body);
+        res.json({ task, ...(effects ? { effects } : {}) });
+    } catch (err) {
+        sendError(res, err, 'Failed to handle callback');
+    }
+});
+
+// GET /api/orchestrator/dead-letters — tasks that never reached an executor, most recent first
+router.get('/dead-letters', async (req, res) => {
+    try {
+        res.json(await queryCollection('tasks', { ...req.query, status: 'dead-lettered' }, { defaultSort: '-updatedAt' }));
+    } catch (err) {
+        sendError(res, err, 'Failed to list dead letters');
+    }
+});
+
+// GET /api/orchestrator/dead-letters/:id — a dead-lettered task with its delivery attempts from the activity log
+router.get('/dead-letters/:id', async (req, res) => {
+    try {
+        const task = await storage.getById('tasks', req.params.id);
+        if (!task || task.status !== 'dead-lettered') return res.status(404).json({ error: 'Dead letter not found' });
+        const attempts = (await storage.findBy('mcp-logs', 'taskId', task.id))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        res.json({ ...task, attempts });
+    } catch (err) {
+        sendError(res, err, 'Failed to get dead letter');
+    }
+});
+
+// POST /api/orchestrator/dead-letters/:id/retry — back to the outbox with fresh attempts; body { note? }
+router.post('/dead-letters/:id/retry', async (req, res) => {
+    try {
+        const { task, delivery } = await retryDeadLetter(req.params.id, req.body.note);
+        res.json({ task, delivery });
+    } catch (err) {
+        sendError(res, err, 'Failed to retry task');
+    }
+});
+
+// POST /api/orchestrator/dead-letters/:id/discard — cancel it for good; body { reason? }
+router.post('/dead-letters/:id/discard', async (req, res) => {
+    try {
+        res.json(await discardDeadLetter(req.params.id, req.body.reason));
+    } catch (err) {
+        sendError(res, err, 'Failed to discard task');
+    }
+});
+
+// GET /api/orchestrator/approvals — tasks waiting for approval, oldest first
+router.get('/approvals', async (req, res) => {
+    try {
+        res.json(await queryCollection('tasks', { ...req.query, status: 'pending-approval' }, { defaultSort: 'createdAt' }));
+    } catch (err) {
+        sendError(res, err, 'Failed to list approvals');
+    }
+});
+
+// GET /api/orchestrator/approvals/rules — the approval rules in kernel-meta.json, with config errors
+router.get('/approvals/rules', async (req, res) => {
+    try {
+        res.json(await getApprovalRules());
+    } catch (err) {
+        sendError(res, err, 'Failed to list approval rules');
+    }
+});
+
+// PUT /api/orchestrator/approvals/:id/payload — body: the payload to send once approved
+router.put('/approvals/:id/payload', async (req, res) => {
+    try {
+        res.json(await editPendingPayload(req.params.id, req.body));
+    } catch (err) {
+        sendError(res, err, 'Failed to edit payload');
+    }
+});
+
+// POST /api/orchestrator/approvals/:id/approve — body { note?, payload? }; sends the task
+router.post('/approvals/:id/approve', async (req, res) => {
+    try {
+        const { task, delivery } = await approveTask(req.params.id, req.body);
+        res.json({ task, delivery });
+    } catch (err) {
+        sendError(res, err, 'Failed to approve task');
+    }
+});
+
+// POST /api/orchestrator/approvals/:id/reject — body { note? }; the task is cancelled, never sent
+router.post('/approvals/:id/reject', async (req, res) => {
+    try {
+        res.json(await rejectTask(req.params.id, req.body.note));
+    } catch (err) {
+        sendError(res, err, 'Failed to reject task');
+    }
+});
+
+export default router;
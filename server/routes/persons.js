@@ -5,13 +5,19 @@
 
 import { Router } from 'express';
 import * as storage from '../storage.js';
+import { sendError } from '../errors.js';
+import { deleteEntity } from '../integrity.js';
+import { queryCollection } from '../query.js';
 
 const router = Router();
 
-// GET /api/persons — list all persons
+// GET /api/persons — list persons (filters, sort and cursor pagination: see query.js)
 router.get('/', async (req, res) => {
-    const persons = await storage.listAll('persons');
-    res.json(persons);
+    try {
+        res.json(await queryCollection('persons', req.query));
+    } catch (err) {
+        sendError(res, err, 'Failed to list persons');
+    }
 });
 
 // GET /api/persons/:id — get one person
@@ -25,30 +31,42 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
     const { name, type, role, notes, tags } = req.body;
     if (!name) return res.status(400).json({ error: 'Name is required' });
-    const person = await storage.create('persons', {
-        name,
-        type: type || 'other', // self | other | digital-twin
-        role: role || '',
-        notes: notes || '',
-        tags: tags || [],
-        interactions: 0,
-        lastSeen: new Date().toISOString()
-    });
-    res.status(201).json(person);
+    try {
+        const person = await storage.create('persons', {
+            name,
+            type: type || 'other', // self | other | digital-twin
+            role: role || '',
+            notes: notes || '',
+            tags: tags || [],
+            interactions: 0,
+            lastSeen: new Date().toISOString()
+        });
+        res.status(201).json(person);
+    } catch (err) {
+        sendError(res, err, 'Failed to create person');
+    }
 });
 
 // PUT /api/persons/:id — update a person
 router.put('/:id', async (req, res) => {
-    const updated = await storage.update('persons', req.params.id, req.body);
-    if (!updated) return res.status(404).json({ error: 'Person not found' });
-    res.json(updated);
+    try {
+        const updated = await storage.update('persons', req.params.id, req.body);
+        if (!updated) return res.status(404).json({ error: 'Person not found' });
+        res.json(updated);
+    } catch (err) {
+        sendError(res, err, 'Failed to update person');
+    }
 });
 
 // DELETE /api/persons/:id — delete a person
 router.delete('/:id', async (req, res) => {
-    const removed = await storage.remove('persons', req.params.id);
-    if (!removed) return res.status(404).json({ error: 'Person not found' });
-    res.status(204).send();
+    try {
+        const report = await deleteEntity('persons', req.params.id, { policy: req.query.policy });
+        if (!report) return res.status(404).json({ error: 'Person not found' });
+        res.status(204).send();
+    } catch (err) {
+        sendError(res, err, 'Failed to delete person');
+    }
 });
 
 export default router;
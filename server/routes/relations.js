@@ -5,13 +5,27 @@
 
 import { Router } from 'express';
 import * as storage from '../storage.js';
+import { sendError } from '../errors.js';
+import { deleteEntity } from '../integrity.js';
+import { queryCollection } from '../query.js';
+import { withAcyclicWrite, propagateConfidence } from '../dag.js';
 
 const router = Router();
 
-// GET /api/relations — list all relations
+/** An intent → intent relation changed: its parent (and theirs) re-blend confidence */
+async function reblend(relation, reason) {
+    if (relation?.sourceType === 'intent' && relation.targetType === 'intent') {
+        await propagateConfidence([relation.sourceId], reason);
+    }
+}
+
+// GET /api/relations — list relations (filters, sort and cursor pagination: see query.js)
 router.get('/', async (req, res) => {
-    const relations = await storage.listAll('relations');
-    res.json(relations);
+    try {
+        res.json(await queryCollection('relations', req.query));
+    } catch (err) {
+        sendError(res, err, 'Failed to list relations');
+    }
 });
 
 // GET /api/relations/:id — get one relation
@@ -27,31 +41,52 @@ router.post('/', async (req, res) => {
     if (!sourceId || !targetId) {
         return res.status(400).json({ error: 'sourceId and targetId are required' });
     }
-    const relation = await storage.create('relations', {
-        sourceType: sourceType || 'person',  // person | intent | thinking-chain
-        sourceId,
-        targetType: targetType || 'intent',
-        targetId,
-        label: label || 'related-to',
-        strength: strength || 0.5, // 0-1
-        context: context || '',
-        bidirectional: req.body.bidirectional ?? true
-    });
-    res.status(201).json(relation);
+    try {
+        const data = {
+            sourceType: sourceType || 'person',  // person | intent | thinking-chain
+            sourceId,
+            targetType: targetType || 'intent',
+            targetId,
+            label: label || 'related-to',
+            strength: strength || 0.5, // 0-1
+            context: context || '',
+            bidirectional: req.body.bidirectional ?? true
+        };
+        const relation = await withAcyclicWrite('relations', data, () => storage.create('relations', data));
+        await reblend(relation, `Child intent ${relation.targetId} linked`);
+        res.status(201).json(relation);
+    } catch (err) {
+        sendError(res, err, 'Failed to create relation');
+    }
 });
 
 // PUT /api/relations/:id — update a relation
 router.put('/:id', async (req, res) => {
-    const updated = await storage.update('relations', req.params.id, req.body);
-    if (!updated) return res.status(404).json({ error: 'Relation not found' });
-    res.json(updated);
+    try {
+        const previous = await storage.getById('relations', req.params.id);
+        if (!previous) return res.status(404).json({ error: 'Relation not found' });
+        const updated = await withAcyclicWrite('relations', { ...previous, ...req.body, id: previous.id },
+            () => storage.update('relations', req.params.id, req.body));
+        if (!updated) return res.status(404).json({ error: 'Relation not found' });
+        if (previous.sourceId !== updated.sourceId) await reblend(previous, `Child intent ${previous.targetId} unlinked`);
+        await reblend(updated, `Relation to ${updated.targetId} changed`);
+        res.json(updated);
+    } catch (err) {
+        sendError(res, err, 'Failed to update relation');
+    }
 });
 
 // DELETE /api/relations/:id — delete a relation
 router.delete('/:id', async (req, res) => {
-    const removed = await storage.remove('relations', req.params.id);
-    if (!removed) return res.status(404).json({ error: 'Relation not found' });
-    res.status(204).send();
+    try {
+        const relation = await storage.getById('relations', req.params.id);
+        const report = await deleteEntity('relations', req.params.id, { policy: req.query.policy });
+        if (!report) return res.status(404).json({ error: 'Relation not found' });
+        await reblend(relation, `Child intent ${relation.targetId} unlinked`);
+        res.status(204).send();
+    } catch (err) {
+        sendError(res, err, 'Failed to delete relation');
+    }
 });
 
 // GET /api/relations/graph — full graph data for visualization
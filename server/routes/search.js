@@ -0,0 +1,24 @@
+/**
+ * Search Routes — Full-text search across the kernel's intents, persons, relations and thoughts
+ */
+
+import { Router } from 'express';
+import { search } from '../search.js';
+import { sendError } from '../errors.js';
+
+const router = Router();
+
+// GET /api/search?q=…&type=intent|person|relation|thought&limit=20 — ranked results with snippets and type facets
+router.get('/', async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'Query parameter q is required' });
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: 'limit must be a positive integer' });
+    try {
+        res.json(await search(q, { type: req.query.type || null, limit }));
+    } catch (err) {
+        sendError(res, err, 'Search failed');
+    }
+});
+
+export default router;
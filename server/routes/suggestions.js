@@ -0,0 +1,54 @@
+/**
+ * Suggestion Routes — Review what the idle scheduler proposes
+ * A suggestion names an intent that has gone cold and the move to make
+ * ("Refute?", "Revisit?"); accepting it runs that move through the FSM.
+ */
+
+import { Router } from 'express';
+import * as scheduler from '../scheduler.js';
+import { sendError } from '../errors.js';
+import { queryCollection } from '../query.js';
+
+const router = Router();
+
+// GET /api/suggestions — list suggestions (e.g. ?status=pending), newest first
+router.get('/', async (req, res) => {
+    try {
+        res.json(await queryCollection('suggestions', req.query, { defaultSort: '-createdAt' }));
+    } catch (err) {
+        sendError(res, err, 'Failed to list suggestions');
+    }
+});
+
+// POST /api/suggestions/scan — scan for idle intents now instead of waiting for the scheduler
+router.post('/scan', async (req, res) => {
+    try {
+        res.json(await scheduler.scanIntents());
+    } catch (err) {
+        sendError(res, err, 'Failed to scan intents');
+    }
+});
+
+// POST /api/suggestions/:id/accept — make the suggested move; body { note? } is added to the stage history
+router.post('/:id/accept', async (req, res) => {
+    try {
+        const result = await scheduler.acceptSuggestion(req.params.id, req.body.note);
+        if (!result) return res.status(404).json({ error: 'Suggestion not found' });
+        res.json(result);
+    } catch (err) {
+        sendError(res, err, 'Failed to accept suggestion');
+    }
+});
+
+// POST /api/suggestions/:id/dismiss — keep the intent as it is; body { note? }
+router.post('/:id/dismiss', async (req, res) => {
+    try {
+        const suggestion = await scheduler.dismissSuggestion(req.params.id, req.body.note);
+        if (!suggestion) return res.status(404).json({ error: 'Suggestion not found' });
+        res.json(suggestion);
+    } catch (err) {
+        sendError(res, err, 'Failed to dismiss suggestion');
+    }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+/**
+ * Self Kernel — Idle Scheduler
+ *
+ * Notices intents that have gone cold. An intent has been idle since its
+ * last activity: the later of its last write and its last stage change.
+ * Each state may say, in its machine definition, when that is too long:
+ *
+ *   idle.afterDays    idle this long, the intent is stale
+ *   idle.decayPerDay  from then on its stage confidence shrinks by this
+ *                     fraction per whole day (stored as the intent's `decay`)
+ *   idle.suggest      the move to propose, asked as idle.label ("Refute?")
+ *
+ * A scan writes the decay without touching updatedAt, so its own bookkeeping
+ * never counts as activity, re-blends the ancestors, and raises at most one
+ * suggestion per intent and idle spell. Suggestions are kept for review:
+ * accepting one moves the intent through the FSM with a note saying why,
+ * dismissing it keeps the intent as it is. Pending ones expire once the
+ * intent moves or is edited.
+ *
+ * The scan runs in process every SELF_KERNEL_SCAN_MINUTES (default 60,
+ * 0 turns it off) and on demand via POST /api/suggestions/scan. The first
+ * one waits a full interval, so starting the server writes nothing.
+ */
+
+import * as storage from './storage.js';
+import * as fsm from './fsm.js';
+import { propagateConfidence } from './dag.js';
+import { KernelError } from './errors.js';
+
+export const DEFAULT_SCAN_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** When the intent last saw activity, as an ISO timestamp (null if it never says) */
+export function lastActivity(intent) {
+    const times = [intent.createdAt, intent.updatedAt, intent.stageHistory?.at(-1)?.timestamp]
+        .map(t => Date.parse(t))
+        .filter(t => !Number.isNaN(t));
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/** Scale on the stage confidence after `idleDays` in a state with these `idle` settings */
+export function decayFactor(idle, idleDays) {
+    const overdue = Math.floor(idleDays - idle.afterDays);
+    if (!idle.decayPerDay || overdue <= 0) return 1;
+    return Math.round((1 - idle.decayPerDay) ** overdue * 1000) / 1000;
+}
+
+/** Store the intent's decay (1 clears it) and re-blend it and its ancestors */
+async function applyDecay(intent, factor, reason) {
+    if ((intent.decay ?? 1) === factor) return false;
+    await storage.mutate('intents', intent.id, current => {
+        if (factor === 1) delete current.decay;
+        else current.decay = factor;
+    }, { touch: false });
+    await propagateConfidence([intent.id], reason);
+    return true;
+}
+
+async function runScan(now) {
+    const report = { scannedAt: now.toISOString(), scanned: 0, stale: [], decayed: [], raised: [], expired: [] };
+    const intents = new Map((await storage.listAll('intents')).map(i => [i.id, i]));
+    const suggestions = await storage.listAll('suggestions');
+
+    // Pending suggestions the intent has moved on from
+    for (const suggestion of suggestions) {
+        if (suggestion.status !== 'pending') continue;
+        const intent = intents.get(suggestion.intentId);
+        if (intent && intent.stage === suggestion.from && lastActivity(intent) === suggestion.idleSince) continue;
+        await storage.update('suggestions', suggestion.id, { status: 'expired', resolvedAt: now.toISOString() });
+        report.expired.push(suggestion.id);
+    }
+
+    for (const intent of intents.values()) {
+        report.scanned++;
+        try {
+            const machine = await fsm.machineFor(intent);
+            const state = machine.states.find(s => s.id === intent.stage);
+            const since = lastActivity(intent);
+            const idleDays = since ? Math.floor((now - Date.parse(since)) / DAY_MS) : 0;
+            const idle = state?.idle;
+
+            if (!idle || idleDays < idle.afterDays) {
+                // Active again (or no longer tracked): lift any decay
+                if (await applyDecay(intent, 1, `Active again in ${intent.stage}`)) report.decayed.push({ id: intent.id, decay: 1 });
+                continue;
+            }
+            report.stale.push(intent.id);
+
+            const factor = decayFactor(idle, idleDays);
+            if (await applyDecay(intent, factor, `Idle ${idleDays} days in ${intent.stage}: stage confidence ×${factor}`)) {
+                report.decayed.push({ id: intent.id, decay: factor });
+            }
+
+            if (!idle.suggest) continue;
+            const raised = suggestions.some(s => s.intentId === intent.id && s.from === intent.stage && s.idleSince === since);
+            if (raised) continue;
+            const suggestion = await storage.create('suggestions', {
+                intentId: intent.id,
+                machine: machine.id,
+                from: intent.stage,
+                to: idle.suggest,
+                label: idle.label || `Move to ${idle.suggest}?`,
+                message: `'${intent.title}' has been idle for ${idleDays} days in ${state.label || state.id}`,
+                idleDays,
+                idleSince: since,
+                status: 'pending'
+            });
+            report.raised.push(suggestion.id);
+        } catch (err) {
+            console.error(`[Scheduler] Failed to scan intent ${intent.id}: ${err.message}`);
+        }
+    }
+    return report;
+}
+
+let scanning = null;
+
+/**
+ * Scan every intent as of `now`. Returns { scannedAt, scanned, stale, decayed,
+ * raised, expired }. A scan already running is joined rather than repeated.
+ */
+export function scanIntents({ now = new Date() } = {}) {
+    scanning = scanning || runScan(now).finally(() => {
+        scanning = null;
+    });
+    return scanning;
+}
+
+/** Move the intent as `suggestion` proposes (through the FSM) and mark it accepted. Null if it doesn't exist. */
+export async function acceptSuggestion(id, note = '') {
+    const suggestion = await storage.getById('suggestions', id);
+    if (!suggestion) return null;
+    if (suggestion.status !== 'pending') throw new KernelError(`Suggestion is already ${suggestion.status}`, 409);
+    const intent = await storage.getById('intents', suggestion.intentId);
+    if (!intent || intent.stage !== suggestion.from) {
+        throw new KernelError('The intent has moved on since this suggestion was raised', 409);
+    }
+
+    const reason = `${suggestion.label} accepted after ${suggestion.idleDays} idle days${note ? `: ${note}` : ''}`;
+    const moved = await fsm.transitionState(intent.id, suggestion.to, reason);
+    const accepted = await storage.update('suggestions', id, {
+        status: 'accepted',
+        resolvedAt: new Date().toISOString(),
+        ...(note ? { note } : {})
+    });
+    return { suggestion: accepted, intent: moved };
+}
+
+/** Mark a pending suggestion dismissed; the intent stays as it is. Null if it doesn't exist. */
+export async function dismissSuggestion(id, note = '') {
+    return storage.mutate('suggestions', id, suggestion => {
+        if (suggestion.status !== 'pending') throw new KernelError(`Suggestion is already ${suggestion.status}`, 409);
+        suggestion.status = 'dismissed';
+        suggestion.resolvedAt = new Date().toISOString();
+        if (note) suggestion.note = note;
+    });
+}
+
+let timer = null;
+
+/** Scan every `minutes`, starting one interval from now; returns false if off (0) or already running */
+export function startScheduler({ minutes = Number(process.env.SELF_KERNEL_SCAN_MINUTES ?? DEFAULT_SCAN_MINUTES) } = {}) {
+    if (timer || !(minutes > 0)) return false;
+    const run = async () => {
+        try {
+            const report = await scanIntents();
+            if (report.raised.length > 0 || report.decayed.length > 0) {
+                console.log(`[Scheduler] ${report.stale.length} idle intent(s): ${report.raised.length} new suggestion(s), ${report.decayed.length} decayed`);
+            }
+        } catch (err) {
+            console.error(`[Scheduler] Scan failed: ${err.message}`);
+        }
+    };
+    timer = setInterval(run, minutes * 60 * 1000);
+    timer.unref();
+    return true;
+}
+
+export function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
@@ -0,0 +1,147 @@
+/**
+ * Self Kernel — Entity Schemas
+ *
+ * Each collection has a JSON Schema in server/schemas/<collection>.json.
+ * The storage layer checks every write against it, so a malformed entity
+ * never reaches disk — whether it comes from a route, the FSM, ingest or a
+ * manual edit in the inspector.
+ *
+ * The validator covers the subset of JSON Schema the kernel's schemas use:
+ * type, enum, required, properties, additionalProperties, items, minItems,
+ * minLength, pattern, minimum, maximum, format: date-time and local $refs.
+ * Rules JSON Schema can't express (e.g. a state machine's transitions naming
+ * only its own states) are added per collection with addValidator.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+
+const schemas = Object.fromEntries(
+    fs.readdirSync(SCHEMA_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => [file.slice(0, -'.json'.length), JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf-8'))])
+);
+
+// collection -> [fn(item) => errors]: checks that run after the schema passes
+const validators = new Map();
+
+/** Add a check for `collection`; `fn(item)` returns { pointer, keyword, message } errors */
+export function addValidator(collection, fn) {
+    if (!validators.has(collection)) validators.set(collection, []);
+    validators.get(collection).push(fn);
+}
+
+/** The schema for a collection, or null if the collection is unconstrained */
+export function getSchema(collection) {
+    return schemas[collection] || null;
+}
+
+export function getSchemas() {
+    return schemas;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function pointerSegment(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+function check(schema, value, pointer, root, errors) {
+    if (schema.$ref) return check(resolveRef(root, schema.$ref), value, pointer, root, errors);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push({ pointer, keyword: 'type', message: `must be ${types.join(' or ')}` });
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ pointer, keyword: 'enum', message: `must be one of: ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ pointer, keyword: 'minLength', message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ pointer, keyword: 'pattern', message: `must match ${schema.pattern}` });
+        }
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+            errors.push({ pointer, keyword: 'format', message: 'must be an ISO 8601 date-time' });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ pointer, keyword: 'minimum', message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ pointer, keyword: 'maximum', message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ pointer, keyword: 'minItems', message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => check(schema.items, item, `${pointer}/${i}`, root, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ pointer: `${pointer}/${pointerSegment(key)}`, keyword: 'required', message: 'is required' });
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${pointerSegment(key)}`;
+            if (schema.properties?.[key]) {
+                check(schema.properties[key], child, childPointer, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: childPointer, keyword: 'additionalProperties', message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, child, childPointer, root, errors);
+            }
+        }
+    }
+}
+
+/** Validate an entity; returns a list of { pointer, keyword, message } (empty when valid) */
+export function validate(collection, item) {
+    const schema = getSchema(collection);
+    const errors = [];
+    if (schema) check(schema, item, '', schema, errors);
+    if (errors.length > 0) return errors;
+    for (const fn of validators.get(collection) || []) errors.push(...fn(item));
+    return errors;
+}
+
+/** Throw a ValidationError (HTTP 422) if the entity doesn't match its schema */
+export function assertValid(collection, item) {
+    const errors = validate(collection, item);
+    if (errors.length > 0) throw new ValidationError(collection, errors);
+}
@@ -0,0 +1,244 @@
+/**
+ * Self Kernel — Full-Text Search
+ *
+ * An in-memory inverted index over the kernel's free text:
+ *   intents          title, description
+ *   persons          name, role, notes
+ *   relations        label, context
+ *   thinking chains  each node's content, as its own document
+ *
+ * Built on first search, then kept current through storage.subscribe, so
+ * writes from any route, the FSM, ingest or hand edits show up immediately.
+ * Ranking is BM25 with per-field weights; the last query word also matches
+ * as a prefix, so partially typed queries find something.
+ */
+
+import * as storage from './storage.js';
+
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_RADIUS = 80;
+const MAX_LIMIT = 100;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// What gets indexed per collection: one or more documents per entity
+const SOURCES = {
+    intents: intent => [{
+        key: `intents/${intent.id}`, type: 'intent', id: intent.id, title: intent.title,
+        fields: { title: [intent.title, 3], description: [intent.description, 1] }
+    }],
+    persons: person => [{
+        key: `persons/${person.id}`, type: 'person', id: person.id, title: person.name,
+        fields: { name: [person.name, 3], role: [person.role, 2], notes: [person.notes, 1] }
+    }],
+    relations: relation => [{
+        key: `relations/${relation.id}`, type: 'relation', id: relation.id, title: relation.label || 'relation',
+        fields: { label: [relation.label, 1], context: [relation.context, 1] }
+    }],
+    'thinking-chains': chain => (chain.nodes || []).map(node => ({
+        key: `thinking-chains/${chain.id}#${node.id}`, type: 'thought', id: chain.id, nodeId: node.id, title: chain.title,
+        fields: { content: [node.content, 1] }
+    }))
+};
+
+/** Lower-cased, accent-folded words with their offsets in the original text */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+        const term = match[0].normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+        tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function indexTerms(text) {
+    return tokenize(text).map(t => t.term).filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** A window of `text` around the first hit, HTML-escaped, with hits wrapped in <mark> */
+function snippet(text, isHit) {
+    const tokens = tokenize(text);
+    const first = tokens.find(t => isHit(t.term));
+    const from = first ? Math.max(0, first.start - SNIPPET_RADIUS) : 0;
+    const to = Math.min(text.length, (first ? first.end : 0) + SNIPPET_RADIUS * 2);
+
+    let html = '';
+    let pos = from;
+    for (const t of tokens) {
+        if (t.start < from || t.end > to || !isHit(t.term)) continue;
+        html += escapeHtml(text.slice(pos, t.start)) + `<mark>${escapeHtml(text.slice(t.start, t.end))}</mark>`;
+        pos = t.end;
+    }
+    html += escapeHtml(text.slice(pos, to));
+    return (from > 0 ? '…' : '') + html.trim() + (to < text.length ? '…' : '');
+}
+
+function createIndex() {
+    const docs = new Map();        // key -> { ...doc, length }
+    const postings = new Map();    // term -> Map<key, weighted term frequency>
+    const entityDocs = new Map();  // "collection/id" -> Set<key>
+    let totalLength = 0;
+
+    function removeEntity(collection, id) {
+        const entity = `${collection}/${id}`;
+        for (const key of entityDocs.get(entity) || []) {
+            const doc = docs.get(key);
+            totalLength -= doc.length;
+            for (const term of doc.terms) {
+                const posting = postings.get(term);
+                posting?.delete(key);
+                if (posting?.size === 0) postings.delete(term);
+            }
+            docs.delete(key);
+        }
+        entityDocs.delete(entity);
+    }
+
+    function addEntity(collection, item) {
+        const keys = new Set();
+        for (const doc of SOURCES[collection](item)) {
+            const weights = new Map();
+            let length = 0;
+            for (const [text, weight] of Object.values(doc.fields)) {
+                for (const term of indexTerms(text)) {
+                    weights.set(term, (weights.get(term) || 0) + weight);
+                    length++;
+                }
+            }
+            if (length === 0) continue;
+            for (const [term, tf] of weights) {
+                if (!postings.has(term)) postings.set(term, new Map());
+                postings.get(term).set(doc.key, tf);
+            }
+            docs.set(doc.key, { ...doc, collection, terms: [...weights.keys()], length });
+            totalLength += length;
+            keys.add(doc.key);
+        }
+        entityDocs.set(`${collection}/${item.id}`, keys);
+    }
+
+    return {
+        docs,
+        postings,
+        get averageLength() {
+            return docs.size ? totalLength / docs.size : 0;
+        },
+        set(collection, id, item) {
+            removeEntity(collection, id);
+            if (item) addEntity(collection, item);
+        },
+        clear(collection) {
+            for (const entity of [...entityDocs.keys()]) {
+                if (entity.startsWith(`${collection}/`)) removeEntity(collection, entity.slice(collection.length + 1));
+            }
+        }
+    };
+}
+
+let index = null;
+let building = null;
+// Collections changed on disk as a whole: re-read before the next search
+const stale = new Set();
+
+async function loadCollection(collection) {
+    index.clear(collection);
+    for (const item of await storage.listAll(collection)) index.set(collection, item.id, item);
+}
+
+async function useIndex() {
+    if (!building) {
+        building = (async () => {
+            index = createIndex();
+            storage.subscribe((collection, id, item) => {
+                if (!SOURCES[collection]) return;
+                if (id) index.set(collection, id, item);
+                else stale.add(collection);
+            });
+            for (const collection of Object.keys(SOURCES)) await loadCollection(collection);
+            return index;
+        })();
+    }
+    await building;
+    for (const collection of [...stale]) {
+        stale.delete(collection);
+        await loadCollection(collection);
+    }
+    return index;
+}
+
+/**
+ * Search the kernel. Returns { query, total, facets, results } where facets
+ * count matches per type (before the `type` filter is applied) and each result
+ * carries an HTML snippet with the matching words in <mark>.
+ */
+export async function search(q, { type = null, limit = 20 } = {}) {
+    const idx = await useIndex();
+    const words = indexTerms(q);
+    const response = { query: q, total: 0, facets: {}, results: [] };
+    if (words.length === 0) return response;
+
+    // Expand the last word to every indexed term it prefixes
+    const last = words[words.length - 1];
+    const queryTerms = words.slice(0, -1).map(term => ({ term, boost: 1 }));
+    queryTerms.push({ term: last, boost: 1 });
+    if (last.length >= 3) {
+        for (const term of idx.postings.keys()) {
+            if (term !== last && term.startsWith(last)) queryTerms.push({ term, boost: 0.5, prefixOf: last });
+        }
+    }
+
+    const scores = new Map();   // key -> { score, matched: Set<query word> }
+    for (const { term, boost, prefixOf } of queryTerms) {
+        const posting = idx.postings.get(term);
+        if (!posting) continue;
+        const idf = Math.log(1 + (idx.docs.size - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [key, tf] of posting) {
+            const doc = idx.docs.get(key);
+            const norm = tf + K1 * (1 - B + B * doc.length / idx.averageLength);
+            const entry = scores.get(key) || { score: 0, matched: new Set() };
+            entry.score += boost * idf * (tf * (K1 + 1)) / norm;
+            entry.matched.add(prefixOf || term);
+            scores.set(key, entry);
+        }
+    }
+
+    const wordCount = new Set(words).size;
+    let ranked = Array.from(scores, ([key, { score, matched }]) => ({
+        doc: idx.docs.get(key),
+        // Documents matching more of the query words rank above single-word matches
+        score: score * (matched.size / wordCount)
+    }));
+    for (const { doc } of ranked) response.facets[doc.type] = (response.facets[doc.type] || 0) + 1;
+    if (type) ranked = ranked.filter(r => r.doc.type === type);
+    ranked.sort((a, b) => b.score - a.score || a.doc.key.localeCompare(b.doc.key));
+    response.total = ranked.length;
+
+    const hit = term => words.includes(term) || (last.length >= 3 && term.startsWith(last));
+    response.results = ranked.slice(0, Math.min(limit, MAX_LIMIT)).map(({ doc, score }) => {
+        // Snippet from the field with the most hits
+        let best = null;
+        for (const [field, [text]] of Object.entries(doc.fields)) {
+            const hits = tokenize(text).filter(t => hit(t.term)).length;
+            if (text && (!best || hits > best.hits)) best = { field, text: String(text), hits };
+        }
+        return {
+            type: doc.type,
+            collection: doc.collection,
+            id: doc.id,
+            ...(doc.nodeId ? { nodeId: doc.nodeId } : {}),
+            title: doc.title,
+            score: Math.round(score * 1000) / 1000,
+            field: best.field,
+            snippet: snippet(best.text, hit)
+        };
+    });
+    return response;
+}
@@ -37,6 +37,39 @@ const IDS = {
     mainTrajectory: 'tr-career-pivot',
 };
 
+const RESEARCH_MACHINE = {
+    id: 'research',
+    name: 'Research Question',
+    description: 'A question to investigate. Ends answered, disproven or parked — nothing to execute.',
+    intentTypes: ['research'],
+    initialState: 'OPEN',
+    dispatchState: null,
+    states: [
+        {
+            id: 'OPEN', label: 'Open', description: 'Question raised, not yet looked into', confidence: 0.2, color: '#74b9ff', onChildDispatch: 'INVESTIGATING',
+            idle: { afterDays: 30, suggest: 'PARKED', label: 'Park?' }
+        },
+        {
+            id: 'INVESTIGATING', label: 'Investigating', description: 'Collecting sources and evidence', confidence: 0.5, color: '#a29bfe',
+            idle: { afterDays: 21, decayPerDay: 0.01, suggest: 'PARKED', label: 'Park?' }
+        },
+        { id: 'ANSWERED', label: 'Answered', description: 'Enough evidence to act on', confidence: 1.0, color: '#00b894' },
+        { id: 'DISPROVEN', label: 'Disproven', description: 'The premise turned out wrong', confidence: 0.0, color: '#e17055' },
+        { id: 'PARKED', label: 'Parked', description: 'Not worth pursuing right now', confidence: 0.1, color: '#636e72' }
+    ],
+    transitions: {
+        OPEN: ['INVESTIGATING', 'PARKED'],
+        INVESTIGATING: ['ANSWERED', 'DISPROVEN', 'PARKED'],
+        ANSWERED: ['INVESTIGATING'],
+        DISPROVEN: ['OPEN'],
+        PARKED: ['OPEN']
+    },
+    guards: [
+        { to: 'ANSWERED', rule: 'required', field: 'description', message: 'write down the answer before closing the question' }
+    ],
+    active: true
+};
+
 const DAY = 24 * 60 * 60 * 1000;
 const baseDate = new Date('2025-01-15');
 const d = (offset) => new Date(baseDate.getTime() + offset * DAY).toISOString();
@@ -634,6 +667,15 @@ async function seed() {
         clarityLevel: 0.85
     });
 
+    // ═══════════════════════════════════════════
+    // STATE MACHINES
+    // ═══════════════════════════════════════════
+    console.log('  ⚙️  Creating state machines...');
+
+    // Intents without a type follow the built-in lifecycle (fsm.js); research
+    // questions get their own, and never dispatch anything for execution
+    await create('state-machines', RESEARCH_MACHINE);
+
     console.log('\n✅ Seed complete! Your Self Kernel has been initialized with:');
     console.log('   • 6 persons (including digital twin)');
     console.log('   • 7 intents with cognitive stage histories');
@@ -641,6 +683,7 @@ async function seed() {
     console.log('   • 16 relations (person↔person, person↔intent, intent↔intent)');
     console.log('   • 1 career trajectory with 10 milestones');
     console.log('   • 4 weekly cognitive stage snapshots');
+    console.log('   • 1 state machine for research intents');
     console.log('');
     console.log('   Data stored in: data/');
     console.log('   Run "npm run dev" to explore your kernel!');
@@ -3,78 +3,313 @@
  * 
  * All data is stored as human-readable JSON files in the data/ directory.
  * This is the "white-box" principle: everything is transparent, inspectable, and editable.
+ *
+ * The on-disk layout is delegated to a pluggable backend (see backends/index.js);
+ * this module adds locking and caching on top and is the only API the rest of
+ * the server uses.
+ *
+ * Reads and writes made inside runInTransaction go to that transaction's
+ * overlay instead (see transaction.js), so whole operations can be previewed
+ * or applied all-or-nothing without the code doing them knowing.
  */
 
 import fs from 'fs/promises';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import { randomUUID as uuidv4 } from 'crypto';
 import { fileURLToPath } from 'url';
+import { createBackend, resolveBackendName } from './backends/index.js';
+import { writeFileAtomic, toJson, readJsonFile } from './backends/files.js';
+import { createHistoryStore } from './history.js';
+import { openCodec } from './encryption.js';
+import { assertValid } from './schema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'database');
+export const DATA_DIR = process.env.SELF_KERNEL_DATA_DIR || path.join(__dirname, '..', 'database');
+const META_PATH = path.join(DATA_DIR, 'kernel-meta.json');
+const history = createHistoryStore(DATA_DIR);
 
-const COLLECTIONS = [
+export const COLLECTIONS = [
     'persons',
     'intents',
     'relations',
     'thinking-chains',
     'cognitive-stages',
     'trajectories',
+    'state-machines',
+    'suggestions',
+    'tasks',
     'mcp-logs'
 ];
 
-/** Ensure all collection directories exist */
+// Tail of the pending-operation chain for each locked key ("collection/id")
+const locks = new Map();
+
+/**
+ * Run `fn` while holding the lock for `key`. Callers on the same key are
+ * serialised in arrival order; different keys run concurrently.
+ * Not re-entrant: never take the same key again from inside `fn`.
+ */
+export async function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    locks.set(key, tail);
+    await previous;
+    try {
+        return await fn();
+    } finally {
+        release();
+        if (locks.get(key) === tail) locks.delete(key);
+    }
+}
+
+// Secondary indexes maintained for cached collections. Array fields index each element.
+const INDEXED_FIELDS = {
+    relations: ['sourceId', 'targetId'],
+    intents: ['stage', 'tags'],
+    tasks: ['intentId', 'status']
+};
+
+// In-process cache: collection -> { items: Map<id, item>, indexes: { field: Map<value, Set<id>> } }.
+// Collections load lazily on first list; our own writes update entries in place
+// and the backend's watcher picks up hand edits to the white-box files.
+const cache = new Map();
+// Collections being loaded: collection -> { promise, writes: Map<id, item | null> }.
+// Writes that land before a load finishes are kept and win over what it read.
+const cacheLoads = new Map();
+
+function indexValues(item, field) {
+    const value = item[field];
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function cacheInsert(entry, collection, id, item) {
+    entry.items.set(id, item);
+    for (const field of INDEXED_FIELDS[collection] || []) {
+        for (const value of indexValues(item, field)) {
+            if (!entry.indexes[field].has(value)) entry.indexes[field].set(value, new Set());
+            entry.indexes[field].get(value).add(id);
+        }
+    }
+}
+
+function cacheEvict(entry, collection, id) {
+    const item = entry.items.get(id);
+    if (!item) return;
+    entry.items.delete(id);
+    for (const field of INDEXED_FIELDS[collection] || []) {
+        for (const value of indexValues(item, field)) {
+            const ids = entry.indexes[field].get(value);
+            ids?.delete(id);
+            if (ids?.size === 0) entry.indexes[field].delete(value);
+        }
+    }
+}
+
+// The transaction overlay the current async call chain runs in, if any
+const transactionScope = new AsyncLocalStorage();
+
+/** Run `fn` with every storage read and write going through `overlay` */
+export function runInTransaction(overlay, fn) {
+    return transactionScope.run(overlay, fn);
+}
+
+/** Run `fn` against the real store, even from inside a transaction */
+export function outsideTransaction(fn) {
+    return transactionScope.exit(fn);
+}
+
+/** The overlay of the transaction the caller runs in, or null */
+export function activeTransaction() {
+    return transactionScope.getStore() ?? null;
+}
+
+// Change listeners (see subscribe): derived state such as the search index follows every write
+const listeners = new Set();
+
+function notify(collection, id, item) {
+    for (const listener of listeners) {
+        try {
+            listener(collection, id, item);
+        } catch (err) {
+            console.error('[Storage] Change listener failed:', err.message);
+        }
+    }
+}
+
+/**
+ * Call `listener(collection, id, item)` after every write: `item` is the new
+ * version, or null once deleted. `id` null means the whole collection changed
+ * on disk and should be re-read. Returns a function that unsubscribes.
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/** Reflect a write (item) or delete (null) in the cache, if the collection is loaded or loading, and tell listeners */
+function cacheStore(collection, id, item) {
+    const entry = cache.get(collection);
+    if (entry) {
+        cacheEvict(entry, collection, id);
+        if (item) cacheInsert(entry, collection, id, item);
+    } else {
+        cacheLoads.get(collection)?.writes.set(id, item);
+    }
+    notify(collection, id, item);
+}
+
+async function loadCollection(collection) {
+    if (cache.has(collection)) return cache.get(collection);
+    if (!cacheLoads.has(collection)) {
+        const load = { writes: new Map() };
+        load.promise = (async () => {
+            const entry = { items: new Map(), indexes: {} };
+            for (const field of INDEXED_FIELDS[collection] || []) entry.indexes[field] = new Map();
+            for (const { id, item } of await (await useBackend()).list(collection)) {
+                cacheInsert(entry, collection, id, item);
+            }
+            // The list may have read an entity before a write to it landed
+            for (const [id, item] of load.writes) {
+                cacheEvict(entry, collection, id);
+                if (item) cacheInsert(entry, collection, id, item);
+            }
+            cache.set(collection, entry);
+            cacheLoads.delete(collection);
+            return entry;
+        })();
+        cacheLoads.set(collection, load);
+    }
+    return cacheLoads.get(collection).promise;
+}
+
+/**
+ * Re-read an entity after an external change (id null: the whole collection).
+ * The read and the cache update share the entity's lock, so a write of ours
+ * landing in between can't be replaced in the cache by the older read.
+ */
+async function refreshFromDisk(collection, id) {
+    if (!cache.has(collection)) return;
+    if (!id) {
+        cache.delete(collection); // reload lazily
+        notify(collection, null, null);
+        return;
+    }
+    const backend = await useBackend();
+    await withLock(entityKey(collection, id), async () => {
+        cacheStore(collection, id, await backend.read(collection, id));
+    });
+}
+
+/** Stop watching for external edits and drop every cached collection */
+export function closeStorage() {
+    stopWatching?.();
+    stopWatching = null;
+    cache.clear();
+}
+
+let backendPromise = null;
+let stopWatching = null;
+let encrypted = false;
+
+async function openBackend() {
+    const meta = await getKernelMeta();
+    // Encrypted kernels refuse to open without the right passphrase
+    const codec = await openCodec(meta);
+    history.setCodec(codec);
+    encrypted = codec.encrypted;
+    const backend = createBackend(resolveBackendName(meta), DATA_DIR, { codec });
+    await backend.init(COLLECTIONS);
+    return backend;
+}
+
+/** The active backend, opened on first use */
+export function useBackend() {
+    if (!backendPromise) {
+        backendPromise = openBackend().catch(err => {
+            backendPromise = null;
+            throw err;
+        });
+    }
+    return backendPromise;
+}
+
+/** Whether the open kernel is encrypted at rest */
+export function isEncrypted() {
+    return encrypted;
+}
+
+function entityKey(collection, id) {
+    return `${collection}/${id}`;
+}
+
+/** Ensure the data directory, kernel metadata and backend are ready */
 export async function initStorage() {
     await fs.mkdir(DATA_DIR, { recursive: true });
-    for (const col of COLLECTIONS) {
-        await fs.mkdir(path.join(DATA_DIR, col), { recursive: true });
-    }
     // Create metadata file if it doesn't exist
-    const metaPath = path.join(DATA_DIR, 'kernel-meta.json');
-    try {
-        await fs.access(metaPath);
-    } catch {
-        await fs.writeFile(metaPath, JSON.stringify({
+    if (!(await getKernelMeta())) {
+        await writeFileAtomic(META_PATH, toJson({
             kernelId: uuidv4(),
             createdAt: new Date().toISOString(),
             version: '0.1.0',
             owner: 'Anonymous',
             description: 'My Personal Intelligence Core'
-        }, null, 2));
+        }));
+    }
+    const backend = await useBackend();
+    if (!stopWatching) {
+        stopWatching = backend.watch(COLLECTIONS, (collection, id) => {
+            refreshFromDisk(collection, id).catch(() => cache.delete(collection));
+        });
     }
 }
 
-/** List all items in a collection */
+/** List all items in a collection (copies — mutating them never touches the cache) */
 export async function listAll(collection) {
-    const dir = path.join(DATA_DIR, collection);
-    try {
-        const files = await fs.readdir(dir);
-        const items = [];
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const content = await fs.readFile(path.join(dir, file), 'utf-8');
-                items.push(JSON.parse(content));
-            }
-        }
-        return items;
-    } catch {
-        return [];
-    }
+    const tx = activeTransaction();
+    if (tx) return tx.listAll(collection);
+    const entry = await loadCollection(collection);
+    return Array.from(entry.items.values(), item => structuredClone(item));
 }
 
 /** Get a single item by ID */
 export async function getById(collection, id) {
-    const filePath = path.join(DATA_DIR, collection, `${id}.json`);
-    try {
-        const content = await fs.readFile(filePath, 'utf-8');
-        return JSON.parse(content);
-    } catch {
-        return null;
+    const tx = activeTransaction();
+    if (tx) return tx.getById(collection, id);
+    const entry = cache.get(collection);
+    if (entry) {
+        const item = entry.items.get(id);
+        return item ? structuredClone(item) : null;
     }
+    return (await useBackend()).read(collection, id);
+}
+
+/**
+ * List items whose `field` equals `value` (or, for array fields, contains it).
+ * Indexed fields (see INDEXED_FIELDS) are answered without scanning the collection.
+ */
+export async function findBy(collection, field, value) {
+    const tx = activeTransaction();
+    if (tx) return tx.findBy(collection, field, value);
+    const entry = await loadCollection(collection);
+    const index = entry.indexes[field];
+    if (index) {
+        return Array.from(index.get(value) || [], id => structuredClone(entry.items.get(id)));
+    }
+    const matches = [];
+    for (const item of entry.items.values()) {
+        if (indexValues(item, field).includes(value)) matches.push(structuredClone(item));
+    }
+    return matches;
 }
 
 /** Create a new item */
 export async function create(collection, data) {
+    const tx = activeTransaction();
+    if (tx) return tx.create(collection, data);
     const id = data.id || uuidv4();
     const item = {
         id,
@@ -82,79 +317,195 @@ export async function create(collection, data) {
         createdAt: data.createdAt || new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
-    const filePath = path.join(DATA_DIR, collection, `${id}.json`);
-    await fs.writeFile(filePath, JSON.stringify(item, null, 2));
+    assertValid(collection, item);
+    const backend = await useBackend();
+    await withLock(entityKey(collection, id), async () => {
+        const previous = history.isVersioned(collection) ? await backend.read(collection, id) : null;
+        await backend.write(collection, id, item);
+        cacheStore(collection, id, structuredClone(item));
+        await history.record(collection, id, { action: previous ? 'overwrite' : 'create', snapshot: item, previous });
+    });
     return item;
 }
 
-/** Update an existing item */
-export async function update(collection, id, data) {
-    const existing = await getById(collection, id);
-    if (!existing) return null;
-    const updated = {
-        ...existing,
-        ...data,
-        id, // preserve original ID
-        updatedAt: new Date().toISOString()
-    };
-    const filePath = path.join(DATA_DIR, collection, `${id}.json`);
-    await fs.writeFile(filePath, JSON.stringify(updated, null, 2));
-    return updated;
+/** Update an existing item (shallow merge of `data` over the stored fields) */
+export async function update(collection, id, data, options = {}) {
+    return mutate(collection, id, existing => ({ ...existing, ...data }), options);
+}
+
+/**
+ * Read-modify-write an item under its lock. `fn` receives the freshly read
+ * item and returns the new version (or mutates it in place and returns nothing).
+ * Use this instead of getById + update whenever the change depends on the
+ * current contents, e.g. appending to an array.
+ * With `touch: false` updatedAt is left alone, for bookkeeping that shouldn't
+ * count as activity (e.g. the scheduler's decay).
+ */
+export async function mutate(collection, id, fn, { touch = true } = {}) {
+    const tx = activeTransaction();
+    if (tx) return tx.mutate(collection, id, fn, { touch });
+    const backend = await useBackend();
+    return withLock(entityKey(collection, id), async () => {
+        const existing = await backend.read(collection, id);
+        if (!existing) return null;
+        const draft = structuredClone(existing);
+        const next = (await fn(draft)) || draft;
+        const updated = {
+            ...next,
+            id, // preserve original ID
+            updatedAt: touch ? new Date().toISOString() : existing.updatedAt
+        };
+        assertValid(collection, updated);
+        await backend.write(collection, id, updated);
+        cacheStore(collection, id, structuredClone(updated));
+        await history.record(collection, id, { action: 'update', snapshot: updated, previous: existing });
+        return updated;
+    });
 }
 
 /** Delete an item */
 export async function remove(collection, id) {
-    const filePath = path.join(DATA_DIR, collection, `${id}.json`);
-    try {
-        await fs.unlink(filePath);
-        return true;
-    } catch {
-        return false;
-    }
+    const tx = activeTransaction();
+    if (tx) return tx.remove(collection, id);
+    const backend = await useBackend();
+    return withLock(entityKey(collection, id), async () => {
+        const previous = history.isVersioned(collection) ? await backend.read(collection, id) : null;
+        const removed = await backend.delete(collection, id);
+        if (removed) {
+            cacheStore(collection, id, null);
+            await history.record(collection, id, { action: 'delete', snapshot: null, previous });
+        }
+        return removed;
+    });
+}
+
+/**
+ * Write an item exactly as given, timestamps included — imports use this so a
+ * bundle's createdAt/updatedAt survive the move. Recorded in history as `action`.
+ */
+export async function put(collection, item, { action = 'import' } = {}) {
+    if (!item?.id) throw new Error(`Cannot write a ${collection} entity without an id`);
+    const tx = activeTransaction();
+    if (tx) return tx.put(collection, item, { action });
+    assertValid(collection, item);
+    const backend = await useBackend();
+    await withLock(entityKey(collection, item.id), async () => {
+        const previous = history.isVersioned(collection) ? await backend.read(collection, item.id) : null;
+        await backend.write(collection, item.id, item);
+        cacheStore(collection, item.id, structuredClone(item));
+        await history.record(collection, item.id, { action, snapshot: item, previous });
+    });
+    return item;
+}
+
+/**
+ * Write several entities as one unit — transactions commit through this.
+ * `writes` are { collection, id, item, action } (item null to delete). Every
+ * entity's lock is held from the first read to the last write: `check` gets
+ * their stored versions ("collection/id" -> item or null) before anything is
+ * written and may throw to write nothing. If a write fails, the ones already
+ * made are put back as they were.
+ */
+export async function writeAll(writes, check = () => {}) {
+    const backend = await useBackend();
+    const keys = [...new Set(writes.map(({ collection, id }) => entityKey(collection, id)))].sort();
+    const locked = keys.reduceRight((inner, key) => () => withLock(key, inner), async () => {
+        const stored = new Map();
+        for (const { collection, id } of writes) stored.set(entityKey(collection, id), await backend.read(collection, id));
+        await check(stored);
+
+        const done = [];
+        try {
+            for (const write of writes) {
+                if (write.item) await backend.write(write.collection, write.id, write.item);
+                else await backend.delete(write.collection, write.id);
+                done.push(write);
+            }
+        } catch (err) {
+            for (const { collection, id } of done.reverse()) {
+                const previous = stored.get(entityKey(collection, id));
+                if (previous) await backend.write(collection, id, previous);
+                else await backend.delete(collection, id);
+            }
+            throw err;
+        }
+
+        for (const { collection, id, item, action } of writes) {
+            const previous = stored.get(entityKey(collection, id));
+            cacheStore(collection, id, item ? structuredClone(item) : null);
+            if (item || previous) await history.record(collection, id, { action: item ? action : 'delete', snapshot: item, previous });
+        }
+    });
+    return locked();
 }
 
 /** Get kernel metadata */
 export async function getKernelMeta() {
-    const metaPath = path.join(DATA_DIR, 'kernel-meta.json');
-    try {
-        const content = await fs.readFile(metaPath, 'utf-8');
-        return JSON.parse(content);
-    } catch {
-        return null;
-    }
+    return readJsonFile(META_PATH);
+}
+
+/** Merge fields into the kernel metadata file */
+export async function updateKernelMeta(data) {
+    return withLock('kernel-meta', async () => {
+        const updated = { ...(await getKernelMeta()), ...data };
+        await writeFileAtomic(META_PATH, toJson(updated));
+        return updated;
+    });
 }
 
 /** Get counts for all collections */
 export async function getCounts() {
+    const backend = await useBackend();
     const counts = {};
     for (const col of COLLECTIONS) {
-        const dir = path.join(DATA_DIR, col);
-        try {
-            const files = await fs.readdir(dir);
-            counts[col] = files.filter(f => f.endsWith('.json')).length;
-        } catch {
-            counts[col] = 0;
-        }
+        counts[col] = cache.has(col) ? cache.get(col).items.size : await backend.count(col);
     }
     return counts;
 }
 
 /** Get raw JSON for the data inspector */
 export async function getRawData(collection, id) {
-    const filePath = path.join(DATA_DIR, collection, `${id}.json`);
-    try {
-        const content = await fs.readFile(filePath, 'utf-8');
-        return { path: filePath, content: JSON.parse(content), raw: content };
-    } catch {
-        return null;
-    }
+    return (await useBackend()).readRaw(collection, id);
 }
 
 /** Save raw JSON from the data inspector */
 export async function saveRawData(collection, id, rawJson) {
-    const filePath = path.join(DATA_DIR, collection, `${id}.json`);
     const parsed = JSON.parse(rawJson); // validate JSON
     parsed.updatedAt = new Date().toISOString();
-    await fs.writeFile(filePath, JSON.stringify(parsed, null, 2));
+    assertValid(collection, parsed);
+    const backend = await useBackend();
+    await withLock(entityKey(collection, id), async () => {
+        const previous = await backend.read(collection, id);
+        await backend.write(collection, id, parsed);
+        cacheStore(collection, id, structuredClone(parsed));
+        await history.record(collection, id, { action: 'manual-edit', snapshot: parsed, previous });
+    });
     return parsed;
 }
+
+/** Revision history of an entity, oldest first, with field-level diffs */
+export async function getHistory(collection, id) {
+    await useBackend(); // history shares the backend's encryption
+    return history.list(collection, id);
+}
+
+/**
+ * Roll an entity back to an earlier revision. Works for deleted entities too.
+ * The restore is itself a new revision, so it can be undone the same way.
+ */
+export async function restoreRevision(collection, id, rev) {
+    const backend = await useBackend();
+    const revision = await history.get(collection, id, rev);
+    if (!revision) return null;
+    if (!revision.snapshot) throw new Error(`Revision ${rev} records a deletion; pick an earlier revision`);
+
+    return withLock(entityKey(collection, id), async () => {
+        const previous = await backend.read(collection, id);
+        const restored = { ...revision.snapshot, id, updatedAt: new Date().toISOString() };
+        assertValid(collection, restored);
+        await backend.write(collection, id, restored);
+        cacheStore(collection, id, structuredClone(restored));
+        await history.record(collection, id, { action: 'restore', snapshot: restored, previous, meta: { restoredFrom: rev } });
+        return restored;
+    });
+}
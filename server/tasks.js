@@ -0,0 +1,168 @@
+/**
+ * Self Kernel — Execution Tasks
+ *
+ * Every payload the orchestrator dispatches is stored as a task (its id is
+ * the payload's task_id), so the outbox survives restarts and executors can
+ * report back. A task has a small lifecycle of its own:
+ *
+ *   dispatched → acknowledged → running → succeeded | failed
+ *   cancelled from any open state
+ *   dispatched → dead-lettered → dispatched (retried) | cancelled (discarded)
+ *   pending-approval → dispatched (approved) | cancelled (rejected)
+ *
+ * An executor may skip ahead, e.g. report success without acknowledging
+ * first. A task no executor would take after every delivery attempt is
+ * dead-lettered (see executors/) and waits there for a person. A task an
+ * approval rule holds back starts out pending-approval (see approvals.js)
+ * and is only sent once approved. Finished
+ * tasks stay put; every move is kept in statusHistory.
+ *
+ * Each task has a callback token. Delivered payloads carry it with the
+ * callback URL, so the executor that got a task (and only that one) can
+ * report back on it. The token isn't stored: it is an HMAC of the task id
+ * under `callbackSecret` in kernel-meta.json (made on first use), so no
+ * task, revision or bundle holds it.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import * as storage from './storage.js';
+import { KernelError, TransitionError } from './errors.js';
+
+/** Where executors reach this kernel; set SELF_KERNEL_URL when that isn't localhost */
+export const KERNEL_URL = process.env.SELF_KERNEL_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+export const OPEN_STATES = ['dispatched', 'acknowledged', 'running'];
+
+/** The lifecycle shaped like a state machine definition, for TransitionError */
+export const TASK_LIFECYCLE = {
+    id: 'task',
+    transitions: {
+        dispatched: ['acknowledged', 'running', 'succeeded', 'failed', 'cancelled', 'dead-lettered'],
+        acknowledged: ['running', 'succeeded', 'failed', 'cancelled'],
+        running: ['succeeded', 'failed', 'cancelled'],
+        succeeded: [],
+        failed: [],
+        cancelled: [],
+        'dead-lettered': ['dispatched', 'cancelled'],
+        'pending-approval': ['dispatched', 'cancelled']
+    }
+};
+
+/** Open, or about to be: what a new dispatch for the same intent would duplicate */
+export const ACTIVE_STATES = ['pending-approval', ...OPEN_STATES];
+
+/**
+ * Store a freshly built execution payload as a dispatched task, or as
+ * pending-approval when an `approval` ({ rule }) holds it back
+ */
+export async function createTask(payload, note = 'Dispatched by the orchestrator', { approval = null } = {}) {
+    const status = approval ? 'pending-approval' : 'dispatched';
+    return storage.create('tasks', {
+        id: payload.task_id,
+        intentId: payload.intent_source_id,
+        transitionId: payload.transition_id ?? null,
+        ...(payload.idempotency_key ? { idempotencyKey: payload.idempotency_key } : {}),
+        status,
+        payload,
+        ...(approval ? { approval: { status: 'pending', rule: approval.rule, requestedAt: new Date().toISOString() } } : {}),
+        statusHistory: [{ status, timestamp: new Date().toISOString(), note }]
+    });
+}
+
+let secret = null;
+
+/** The key callback tokens are made with, created and stored on first use */
+function callbackSecret() {
+    secret ??= storage.getKernelMeta().then(async meta => {
+        if (meta?.callbackSecret) return meta.callbackSecret;
+        const created = randomBytes(32).toString('hex');
+        await storage.updateKernelMeta({ callbackSecret: created });
+        return created;
+    }).catch(err => {
+        secret = null; // try again on the next call instead of failing every one after
+        throw err;
+    });
+    return secret;
+}
+
+/** The token that authorises callbacks for task `id` */
+export async function callbackToken(id) {
+    return createHmac('sha256', await callbackSecret()).update(`task:${id}`).digest('hex');
+}
+
+/** The payload as executors get it: with where and how to report back */
+export async function deliverablePayload(task) {
+    return {
+        ...task.payload,
+        callback: { url: `${KERNEL_URL}/api/orchestrator/callback/${task.id}`, token: await callbackToken(task.id) }
+    };
+}
+
+/** Does `token` authorise callbacks for `task`? */
+export async function checkCallbackToken(task, token) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(await callbackToken(task.id));
+    const given = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Move a task to `status`, applying `changes` in the same write. 404 if it
+ * doesn't exist, 409 (TransitionError) if the lifecycle doesn't allow it.
+ */
+export async function moveTask(id, status, { note = '', changes = {} } = {}) {
+    const task = await storage.mutate('tasks', id, current => {
+        if (!TASK_LIFECYCLE.transitions[current.status]?.includes(status)) {
+            throw new TransitionError(current.status, status, TASK_LIFECYCLE);
+        }
+        Object.assign(current, changes);
+        current.status = status;
+        current.statusHistory.push({ status, timestamp: new Date().toISOString(), ...(note ? { note } : {}) });
+    });
+    if (!task) throw new KernelError('Task not found', 404);
+    return task;
+}
+
+/** An executor has picked the task up */
+export async function acknowledgeTask(id, { executor } = {}) {
+    return moveTask(id, 'acknowledged', {
+        note: executor ? `Picked up by ${executor}` : 'Picked up',
+        changes: executor ? { executor } : {}
+    });
+}
+
+/** Record progress ({ percent?, message? }); the first report marks the task running */
+export async function reportProgress(id, { percent, message } = {}) {
+    const progress = {
+        ...(percent !== undefined ? { percent } : {}),
+        ...(message ? { message } : {}),
+        timestamp: new Date().toISOString()
+    };
+    const task = await storage.getById('tasks', id);
+    if (!task) throw new KernelError('Task not found', 404);
+    if (task.status !== 'running') return moveTask(id, 'running', { note: message || 'Started', changes: { progress } });
+
+    return storage.mutate('tasks', id, current => {
+        if (current.status !== 'running') throw new TransitionError(current.status, 'running', TASK_LIFECYCLE);
+        current.progress = progress;
+    });
+}
+
+/** Finish a task as 'succeeded' (with an optional `result`) or 'failed' (with an `error`) */
+export async function completeTask(id, { status = 'succeeded', result, error } = {}) {
+    if (status !== 'succeeded' && status !== 'failed') {
+        throw new KernelError("status must be 'succeeded' or 'failed'", 400);
+    }
+    return moveTask(id, status, {
+        note: status === 'failed' ? error || 'Failed' : 'Completed',
+        changes: {
+            completedAt: new Date().toISOString(),
+            ...(result !== undefined ? { result } : {}),
+            ...(error ? { error } : {})
+        }
+    });
+}
+
+export async function cancelTask(id, reason = '') {
+    return moveTask(id, 'cancelled', { note: reason || 'Cancelled', changes: { completedAt: new Date().toISOString() } });
+}
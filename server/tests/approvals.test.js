@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { scratchKernel, readyFixture } from './fixtures.js';
+
+const { dataDir, storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+const tasks = await import('../tasks.js');
+const executors = await import('../executors/index.js');
+const approvals = await import('../approvals.js');
+const orchestrator = await import('../orchestrator.js');
+
+test('Dispatch Approvals', async (t) => {
+    await storage.updateKernelMeta({
+        approvalRules: [
+            { label: 'Bad', tags: 'funding' },
+            { label: 'Funding', tags: ['funding'] },
+            { label: 'Critical via drop', priorities: ['critical'], executors: ['drop'] }
+        ],
+        executors: [{ id: 'drop', type: 'file-drop', config: { dir: 'approved' } }]
+    });
+    t.after(() => {
+        executors.stopDeliveries();
+        return storage.updateKernelMeta({ approvalRules: [], executors: [] });
+    });
+    const decide = async (id, title, fields) => {
+        await storage.create('intents', readyFixture(id, title, fields));
+        await fsm.transitionState(id, 'DECISION', 'Decided');
+        const [task] = await storage.findBy('tasks', 'intentId', id);
+        return task;
+    };
+
+    await t.test('Rules match by tag, priority and executor; broken ones are reported and skipped', async () => {
+        const rules = await approvals.getApprovalRules();
+        assert.deepStrictEqual(rules[0].errors, ['tags must be a list']);
+        const payload = { priority: 'critical', context: { tags: [], involved_entities: [{ name: 'Sarah Chen' }] } };
+        assert.strictEqual(approvals.ruleApplies(rules[2], payload, { id: 'drop' }), true);
+        assert.strictEqual(approvals.ruleApplies(rules[2], payload, null), false);
+        assert.strictEqual(approvals.ruleApplies({ persons: ['*'] }, payload, null), true);
+        assert.strictEqual(approvals.ruleApplies({ persons: ['Ming Zhang'] }, payload, null), false);
+        assert.strictEqual(await approvals.approvalFor({ ...payload, priority: 'low' }, { id: 'drop' }), null);
+    });
+
+    const held = await decide('a-fund', 'Pitch the seed round', { tags: ['funding'] });
+
+    await t.test('A matching dispatch waits and nothing is delivered', async () => {
+        assert.strictEqual(held.status, 'pending-approval');
+        assert.deepStrictEqual([held.approval.status, held.approval.rule], ['pending', 'Funding']);
+        assert.ok(!(await orchestrator.getExecutionQueue()).some(task => task.id === held.id));
+        assert.strictEqual(await executors.deliverTask(held), null);
+        await assert.rejects(fs.access(path.join(dataDir, 'approved', `${held.id}.json`)));
+        await assert.rejects(tasks.acknowledgeTask(held.id), { status: 409 });
+        const [log] = (await storage.findBy('mcp-logs', 'type', 'APPROVAL_REQUESTED')).filter(l => l.intentId === 'a-fund');
+        assert.match(log.details, /Funding/);
+    });
+
+    await t.test('Edited and approved, the payload leaves as edited', async () => {
+        await assert.rejects(approvals.editPendingPayload(held.id, { directive: ' ' }), { status: 400 });
+        const edited = await approvals.editPendingPayload(held.id, {
+            ...held.payload, task_id: 'forged', directive: 'Pitch the seed round to three funds only'
+        });
+        assert.strictEqual(edited.payload.task_id, held.id);
+        assert.ok(edited.approval.editedAt);
+
+        const { task, delivery } = await approvals.approveTask(held.id, { note: 'Narrowed it down' });
+        assert.strictEqual(task.status, 'dispatched');
+        assert.strictEqual(task.approval.status, 'approved');
+        assert.strictEqual(delivery.status, 'delivered');
+        const sent = JSON.parse(await fs.readFile(path.join(dataDir, 'approved', `${held.id}.json`), 'utf-8'));
+        assert.strictEqual(sent.directive, 'Pitch the seed round to three funds only');
+        await assert.rejects(approvals.approveTask(held.id), { status: 409 });
+    });
+
+    await t.test('Rejected, the task is cancelled and never sent', async () => {
+        const other = await decide('a-crit', 'Announce the hire', { priority: 'critical' });
+        assert.strictEqual(other.approval.rule, 'Critical via drop');
+        const rejected = await approvals.rejectTask(other.id, 'Not before the contract is signed');
+        assert.strictEqual(rejected.status, 'cancelled');
+        assert.strictEqual(rejected.approval.status, 'rejected');
+        await assert.rejects(fs.access(path.join(dataDir, 'approved', `${other.id}.json`)));
+    });
+
+    await t.test('Dispatches no rule matches go straight out', async () => {
+        const free = await decide('a-free', 'Tidy the backlog', { tags: ['chores'] });
+        assert.strictEqual(free.status, 'dispatched');
+        assert.strictEqual(free.approval, undefined);
+        // Delivery runs after the transition; let it land
+        for (let i = 0; i < 100 && !(await storage.getById('tasks', free.id)).delivery; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        assert.strictEqual((await storage.getById('tasks', free.id)).delivery.status, 'delivered');
+    });
+});
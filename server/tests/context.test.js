@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, intentFixture, readyFixture, relationFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+await import('../orchestrator.js'); // registers its dispatch hook with the FSM
+const executionContext = await import('../context.js');
+
+test('Execution Context', async (t) => {
+    const at = minutes => new Date(Date.UTC(2026, 0, 1, 12, minutes)).toISOString();
+    await storage.create('intents', { ...intentFixture('x-goal', 'Grow the newsletter'), description: 'Reach 10k readers' });
+    await storage.create('intents', readyFixture('x-step', 'Launch a referral scheme', {
+        description: 'Reward readers who invite friends',
+        stageHistory: [
+            { stage: 'EXPLORATION', timestamp: at(0) },
+            { stage: 'REFINING', from: 'EXPLORATION', timestamp: at(1), note: 'Competitors saw 30% growth from referrals' }
+        ]
+    }));
+    await storage.create('intents', { ...intentFixture('x-part', 'Design the reward tiers'), parentId: 'x-step' });
+    await storage.create('relations', { ...relationFixture('x-r', 'x-goal', 'x-step'), label: 'serves', strength: 0.9 });
+    await storage.create('thinking-chains', {
+        id: 'x-chain', title: 'Growth ideas', linkedIntents: ['x-step'],
+        nodes: [
+            { id: 'x-n1', content: 'Stickers are cheap', timestamp: at(2) },
+            { id: 'x-n2', content: 'x'.repeat(2000), timestamp: at(3) }
+        ]
+    });
+    await storage.create('trajectories', {
+        id: 'x-path', title: 'Newsletter 2026',
+        milestones: [{ label: 'Referrals live', date: at(60), status: 'planned', intentId: 'x-step' }]
+    });
+
+    await t.test('Gathers every kind of context, best first', async () => {
+        const intent = await storage.getById('intents', 'x-step');
+        const { items, budget } = await executionContext.assembleContext(intent, { unit: 'chars', limit: 100000 });
+        assert.deepStrictEqual(items.map(item => item.kind), ['decision-note', 'parent', 'milestone', 'child', 'thought', 'thought']);
+        assert.deepStrictEqual(items.map(item => item.score), [...items.map(item => item.score)].sort((a, b) => b - a));
+        const parent = items.find(item => item.kind === 'parent');
+        assert.deepStrictEqual([parent.id, parent.relation, parent.strength], ['x-goal', 'serves', 0.9]);
+        assert.strictEqual(items.find(item => item.kind === 'child').id, 'x-part');
+        // Newest thought first, and clipped
+        assert.strictEqual(items[4].text.length, 501);
+        assert.strictEqual(budget.omitted, 0);
+    });
+
+    await t.test('Cuts to the budget, in characters or tokens', async () => {
+        const intent = await storage.getById('intents', 'x-step');
+        const full = await executionContext.assembleContext(intent, { unit: 'chars', limit: 100000 });
+        const limit = full.items.slice(0, 2).reduce((sum, item) => sum + executionContext.measure(item, 'chars'), 0);
+
+        const cut = await executionContext.assembleContext(intent, { unit: 'chars', limit });
+        assert.deepStrictEqual(cut.items.map(item => item.kind), ['decision-note', 'parent']);
+        assert.deepStrictEqual(cut.budget, { unit: 'chars', limit, used: limit, omitted: 4 });
+
+        const tokens = await executionContext.assembleContext(intent, { unit: 'tokens', limit: Math.ceil(limit / 4) + 1 });
+        assert.ok(tokens.items.length >= 2);
+        assert.ok(tokens.budget.used <= tokens.budget.limit);
+    });
+
+    await t.test('The configured budget goes into dispatched payloads', async () => {
+        await storage.updateKernelMeta({ executionContext: { unit: 'tokens', limit: 200 } });
+        t.after(() => storage.updateKernelMeta({ executionContext: undefined }));
+        await fsm.transitionState('x-step', 'DECISION', 'Cheap to try, and readers asked for it');
+        const [task] = await storage.findBy('tasks', 'intentId', 'x-step');
+        const { payload } = task;
+        assert.strictEqual(payload.schema_version, 2);
+        assert.strictEqual(payload.context.budget.unit, 'tokens');
+        assert.ok(payload.context.budget.used <= 200);
+        assert.strictEqual(payload.context.related[0].text, 'Cheap to try, and readers asked for it');
+    });
+});
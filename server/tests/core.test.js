@@ -41,5 +41,19 @@ test('Orchestrator Logic', async (t) => {
         assert.strictEqual(ctx.directive, 'Test Intent');
         assert.strictEqual(ctx.priority, 'high');
         assert.deepStrictEqual(ctx.context.tags, ['testing']);
+        assert.strictEqual(ctx.schema_version, orchestrator.PAYLOAD_SCHEMA_VERSION);
+        assert.deepStrictEqual(ctx.context.related, []);
+    });
+
+    await t.test('Idempotency keys follow the content, not the dispatch', () => {
+        const intent = { id: 'i-test-123', title: 'Test Intent', description: 'Run automated tests', tags: ['testing', 'ci'] };
+        const first = orchestrator.buildExecutionPayload(intent);
+        const again = orchestrator.buildExecutionPayload({ ...intent, tags: ['ci', 'testing'] }, [], 't-2');
+        assert.notStrictEqual(first.task_id, again.task_id);
+        assert.strictEqual(first.idempotency_key, again.idempotency_key);
+        assert.match(first.idempotency_key, /^i-test-123:/);
+
+        const changed = orchestrator.buildExecutionPayload({ ...intent, description: 'Run the flaky ones too' });
+        assert.notStrictEqual(changed.idempotency_key, first.idempotency_key);
     });
 });
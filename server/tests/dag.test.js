@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, intentFixture, relationFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+const dag = await import('../dag.js');
+
+test('DAG Confidence', async (t) => {
+    // goal → plan → (step-a, step-b), all in the built-in lifecycle
+    for (const id of ['c-goal', 'c-plan', 'c-step-a', 'c-step-b']) {
+        await fsm.createIntent({ id, title: id, description: 'd', linkedPersons: ['p-self-001'] });
+    }
+    await storage.create('relations', { ...relationFixture('r-c-1', 'c-goal', 'c-plan'), strength: 1 });
+    await storage.create('relations', { ...relationFixture('r-c-2', 'c-plan', 'c-step-a'), strength: 0.75 });
+    await storage.create('relations', { ...relationFixture('r-c-3', 'c-plan', 'c-step-b'), strength: 0.25 });
+
+    await t.test('Blends the stage with strength-weighted children', () => {
+        assert.strictEqual(dag.blendConfidence(0.3, 0.5, []), 0.3);
+        assert.strictEqual(dag.blendConfidence(0.3, 0.5, [{ confidence: 1, strength: 0.75 }, { confidence: 0, strength: 0.25 }]), 0.525);
+        assert.strictEqual(dag.blendConfidence(0, 0, [{ confidence: 1, strength: 1 }]), 0);
+    });
+
+    await t.test('A landing sub-decision lifts every ancestor, with the reason recorded', async () => {
+        await fsm.transitionState('c-step-a', 'REFINING');
+        await fsm.transitionState('c-step-a', 'DECISION');
+        const step = await storage.getById('intents', 'c-step-a');
+        const plan = await storage.getById('intents', 'c-plan');
+        const goal = await storage.getById('intents', 'c-goal');
+        assert.strictEqual(step.confidence, 1);
+        // plan: rolled up to REFINING (0.7), children 0.75·1 + 0.25·0.3
+        assert.strictEqual(plan.stage, 'REFINING');
+        assert.strictEqual(plan.confidence, 0.763);
+        // goal: EXPLORATION (0.3) blended with plan
+        assert.strictEqual(goal.confidence, 0.532);
+        assert.match(goal.confidenceHistory.at(-1).reason, /c-plan/);
+        assert.strictEqual(goal.confidenceHistory.at(-1).previous, goal.confidenceHistory.at(-2).value);
+    });
+
+    await t.test('Cycles end, and each intent is written once per pass', async () => {
+        await storage.create('relations', relationFixture('r-c-cycle', 'c-step-b', 'c-goal'));
+        const changes = await dag.propagateConfidence(['c-step-b'], 'Cycle test');
+        const ids = changes.map(c => c.id);
+        assert.strictEqual(new Set(ids).size, ids.length);
+        assert.ok(ids.includes('c-step-b'));
+        await storage.remove('relations', 'r-c-cycle');
+    });
+});
+
+test('DAG Enforcement', async (t) => {
+    for (const id of ['g-a', 'g-b', 'g-d']) await storage.create('intents', intentFixture(id, id));
+    await storage.create('relations', relationFixture('r-g-ab', 'g-a', 'g-b'));
+    await storage.create('intents', { ...intentFixture('g-c', 'g-c'), parentId: 'g-b' });
+    await storage.create('relations', relationFixture('r-g-ad', 'g-a', 'g-d'));
+
+    await t.test('Refuses an edge that closes a loop, naming the path', async () => {
+        await assert.rejects(dag.assertAcyclic('relations', relationFixture('r-g-ca', 'g-c', 'g-a')), err => {
+            assert.strictEqual(err.status, 409);
+            assert.deepStrictEqual(err.details.path, ['g-c', 'g-a', 'g-b', 'g-c']);
+            assert.deepStrictEqual(err.details.via, ['relations/r-g-ca', 'relations/r-g-ab', 'intents/g-c#parentId']);
+            return true;
+        });
+        await assert.rejects(dag.assertAcyclic('intents', { id: 'g-a', parentId: 'g-c' }), { status: 409 });
+        await assert.rejects(dag.assertAcyclic('relations', relationFixture('r-g-self', 'g-d', 'g-d')), { status: 409 });
+        // Reversing an existing edge replaces it, so it isn't a loop
+        await dag.assertAcyclic('relations', relationFixture('r-g-ad', 'g-d', 'g-a'));
+        await dag.assertAcyclic('relations', relationFixture('r-g-dc', 'g-d', 'g-c'));
+    });
+
+    await t.test('Of two edges closing a loop together, only the first is written', async () => {
+        const link = relation => dag.withAcyclicWrite('relations', relation, () => storage.create('relations', relation));
+        const results = await Promise.allSettled([
+            link(relationFixture('r-g-cd', 'g-c', 'g-d')),
+            link(relationFixture('r-g-dc', 'g-d', 'g-c'))
+        ]);
+        assert.deepStrictEqual(results.map(r => r.status), ['fulfilled', 'rejected']);
+        assert.strictEqual(results[1].reason.status, 409);
+        assert.strictEqual(await storage.getById('relations', 'r-g-dc'), null);
+    });
+
+    await t.test('Orders the DAG with depth and ancestry', async () => {
+        const graph = await dag.intentDag();
+        const index = id => graph.order.indexOf(id);
+        assert.ok(index('g-a') < index('g-b') && index('g-b') < index('g-c'));
+        const c = graph.intents.find(i => i.id === 'g-c');
+        assert.strictEqual(c.depth, 2);
+        assert.deepStrictEqual(c.parents, ['g-b']);
+        assert.deepStrictEqual(c.ancestors, ['g-a', 'g-b']);
+        assert.ok(graph.roots.includes('g-a'));
+        assert.deepStrictEqual(graph.cyclic, []);
+    });
+});
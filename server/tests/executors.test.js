@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { scratchKernel } from './fixtures.js';
+
+const { dataDir, storage } = await scratchKernel();
+const tasks = await import('../tasks.js');
+const executors = await import('../executors/index.js');
+
+test('Executor Adapters', async (t) => {
+    const payloadFor = (id, tags, priority = 'medium') => ({
+        task_id: id, intent_source_id: 'x-intent', directive: `Do ${id}`, priority, context: { tags }
+    });
+    const taskFor = async (id, tags, priority) => tasks.createTask(payloadFor(id, tags, priority));
+    const script = "let s='';process.stdin.on('data',c=>s+=c).on('end',()=>{const p=JSON.parse(s);" +
+        "if(p.priority==='low'){console.error('refused');process.exit(3)}console.log('ran '+p.task_id+' '+process.env.SELF_KERNEL_TASK_ID)})";
+    await storage.updateKernelMeta({
+        executors: [
+            { id: 'broken', type: 'carrier-pigeon', config: {} },
+            { id: 'drop', type: 'file-drop', config: { dir: 'outbox' }, match: { tags: ['files'] } },
+            { id: 'off', type: 'file-drop', config: { dir: 'off' }, enabled: false },
+            { id: 'runner', type: 'command', config: { command: process.execPath, args: ['-e', script] }, match: { priorities: ['high', 'low'] } }
+        ]
+    });
+    t.after(() => {
+        executors.stopDeliveries();
+        return storage.updateKernelMeta({ executors: [] });
+    });
+
+    await t.test('Routes by tag and priority, skipping broken and disabled executors', async () => {
+        const listed = await executors.getExecutors();
+        assert.match(listed[0].errors[0], /unknown type 'carrier-pigeon'/);
+        assert.strictEqual((await executors.routeTask(payloadFor('r1', ['files'], 'high'))).id, 'drop');
+        assert.strictEqual((await executors.routeTask(payloadFor('r2', ['misc'], 'high'))).id, 'runner');
+        assert.strictEqual(await executors.routeTask(payloadFor('r3', ['misc'], 'medium')), null);
+    });
+
+    await t.test('File drops write the payload where watchers look', async () => {
+        const task = await taskFor('x-file', ['files']);
+        const delivery = await executors.deliverTask(task);
+        assert.strictEqual(delivery.status, 'delivered');
+        const dropped = JSON.parse(await fs.readFile(path.join(dataDir, 'outbox', 'x-file.json'), 'utf-8'));
+        assert.strictEqual(dropped.directive, 'Do x-file');
+        const stored = await storage.getById('tasks', 'x-file');
+        assert.strictEqual(stored.executor, 'drop');
+        assert.strictEqual(stored.delivery.status, 'delivered');
+    });
+
+    await t.test('Commands get the payload on stdin; failures are recorded, not thrown', async () => {
+        const ran = await executors.deliverTask(await taskFor('x-cmd', [], 'high'));
+        assert.strictEqual(ran.detail, 'ran x-cmd x-cmd');
+        const refused = await executors.deliverTask(await taskFor('x-cmd-low', [], 'low'));
+        assert.strictEqual(refused.status, 'failed');
+        assert.match(refused.error, /exited 3: refused/);
+        const logs = await storage.findBy('mcp-logs', 'type', 'TASK_DELIVERY_FAILED');
+        assert.ok(logs.some(log => log.details.includes('x-cmd-low')));
+        assert.strictEqual(await executors.deliverTask(await taskFor('x-none', [], 'medium')), null);
+    });
+});
+
+test('Delivery Retries', async (t) => {
+    const failing = { id: 'flaky', type: 'command', config: { command: process.execPath, args: ['-e', "console.error('down');process.exit(2)"] }, retry: { maxAttempts: 3, baseDelayMs: 5 } };
+    await storage.updateKernelMeta({ executors: [failing] });
+    t.after(() => {
+        executors.stopDeliveries();
+        return storage.updateKernelMeta({ executors: [] });
+    });
+    const payload = id => ({ task_id: id, intent_source_id: 'x-intent', directive: `Do ${id}`, priority: 'medium', context: { tags: [] } });
+    const waitFor = async (check) => {
+        for (let i = 0; i < 200; i++) {
+            const found = await check();
+            if (found) return found;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error('Gave up waiting');
+    };
+
+    await t.test('Backoff doubles per attempt up to the cap; bad settings are reported', () => {
+        const retry = { ...executors.DEFAULT_RETRY, baseDelayMs: 1000, maxDelayMs: 3000 };
+        assert.deepStrictEqual([1, 2, 3].map(n => executors.retryDelay(retry, n)), [1000, 2000, 3000]);
+        assert.deepStrictEqual(executors.checkExecutor({ ...failing, retry: { maxAttempts: 0, jitter: 1 } }),
+            ['retry.maxAttempts must be a whole number of at least 1', "unknown retry setting 'jitter'"]);
+    });
+
+    await t.test('A task failing every attempt is dead-lettered, each attempt logged', async () => {
+        const first = await executors.deliverTask(await tasks.createTask(payload('x-dead')));
+        assert.strictEqual(first.attempt, 1);
+        assert.ok(first.nextAttemptAt);
+
+        const logs = await waitFor(async () => {
+            const found = await storage.findBy('mcp-logs', 'taskId', 'x-dead');
+            return found.some(log => log.type === 'TASK_DEAD_LETTERED') && found;
+        });
+        const task = await storage.getById('tasks', 'x-dead');
+        assert.strictEqual(task.status, 'dead-lettered');
+        assert.strictEqual(task.delivery.attempt, 3);
+        assert.strictEqual(task.delivery.nextAttemptAt, undefined);
+        assert.deepStrictEqual(logs.map(log => log.type).sort(), ['TASK_DEAD_LETTERED', 'TASK_DELIVERY_FAILED', 'TASK_DELIVERY_FAILED', 'TASK_DELIVERY_FAILED']);
+    });
+
+    await t.test('A cancelled task is not retried', async () => {
+        await executors.deliverTask(await tasks.createTask(payload('x-gone')));
+        await tasks.cancelTask('x-gone', 'Changed my mind');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const task = await storage.getById('tasks', 'x-gone');
+        assert.strictEqual(task.status, 'cancelled');
+        assert.strictEqual(task.delivery.attempt, 1);
+    });
+
+    await t.test('Dead letters can be retried by hand or discarded', async () => {
+        await assert.rejects(executors.retryDeadLetter('x-gone'), { status: 409 });
+
+        await storage.updateKernelMeta({ executors: [{ id: 'drop', type: 'file-drop', config: { dir: 'outbox' } }] });
+        const { task, delivery } = await executors.retryDeadLetter('x-dead', 'Executor is back');
+        assert.strictEqual(delivery.status, 'delivered');
+        assert.strictEqual(task.status, 'dispatched');
+        assert.deepStrictEqual(task.statusHistory.map(h => h.status), ['dispatched', 'dead-lettered', 'dispatched']);
+
+        await storage.updateKernelMeta({ executors: [{ ...failing, retry: { maxAttempts: 1 } }] });
+        await executors.deliverTask(await tasks.createTask(payload('x-drop')));
+        assert.strictEqual((await storage.getById('tasks', 'x-drop')).status, 'dead-lettered');
+        const discarded = await executors.discardDeadLetter('x-drop', 'Not needed');
+        assert.strictEqual(discarded.status, 'cancelled');
+        assert.strictEqual((await storage.findBy('mcp-logs', 'type', 'TASK_DISCARDED')).length, 1);
+    });
+});
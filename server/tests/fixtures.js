@@ -0,0 +1,34 @@
+import { after } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Point the storage layer at a scratch kernel, removed when the file's tests
+ * end. Call it before importing anything that loads storage.js, since the
+ * data directory is fixed when that module loads.
+ */
+export async function scratchKernel() {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'self-kernel-test-'));
+    process.env.SELF_KERNEL_DATA_DIR = dataDir;
+    const storage = await import('../storage.js');
+    await storage.initStorage();
+    after(() => {
+        storage.closeStorage();
+        return fs.rm(dataDir, { recursive: true, force: true });
+    });
+    return { dataDir, storage };
+}
+
+export function intentFixture(id, title) {
+    return { id, title, stage: 'EXPLORATION', stageHistory: [{ stage: 'EXPLORATION', timestamp: new Date().toISOString() }] };
+}
+
+export function relationFixture(id, sourceId, targetId) {
+    return { id, sourceType: 'intent', sourceId, targetType: 'intent', targetId };
+}
+
+/** An intent in REFINING that passes the default machine's guards into DECISION. */
+export function readyFixture(id, title, fields = {}) {
+    return { ...intentFixture(id, title), stage: 'REFINING', confidence: 0.7, description: 'Do it', linkedPersons: ['p-self-001'], ...fields };
+}
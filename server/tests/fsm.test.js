@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, intentFixture, readyFixture, relationFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+await import('../orchestrator.js'); // registers its dispatch hook with the FSM
+const dag = await import('../dag.js');
+const tasks = await import('../tasks.js');
+
+test('State Machines', async (t) => {
+    const review = {
+        id: 'review',
+        name: 'Review',
+        intentTypes: ['review'],
+        initialState: 'DRAFT',
+        dispatchState: 'APPROVED',
+        states: [
+            { id: 'DRAFT', confidence: 0.2, onChildDispatch: 'IN_REVIEW' },
+            { id: 'IN_REVIEW', confidence: 0.6 },
+            { id: 'APPROVED', confidence: 0.9 }
+        ],
+        transitions: { DRAFT: ['IN_REVIEW'], IN_REVIEW: ['DRAFT', 'APPROVED'], APPROVED: [] }
+    };
+
+    await t.test('Definitions naming unknown states are rejected', async () => {
+        const broken = { ...review, id: 'broken', intentTypes: [], transitions: { DRAFT: ['DONE'] } };
+        await assert.rejects(storage.create('state-machines', broken), err =>
+            err.status === 422 && err.details.errors.some(e => e.pointer === '/transitions/DRAFT/0'));
+        assert.strictEqual((await fsm.getMachines()).has('broken'), false);
+    });
+
+    await t.test('Intents follow the machine for their type', async () => {
+        await storage.create('state-machines', review);
+        const typed = await fsm.createIntent({ id: 'i-fsm-review', title: 'Review', type: 'review' });
+        assert.strictEqual(typed.stage, 'DRAFT');
+        assert.strictEqual(typed.confidence, 0.2);
+        const untyped = await fsm.createIntent({ id: 'i-fsm-plain', title: 'Plain' });
+        assert.strictEqual(untyped.stage, 'EXPLORATION');
+
+        await assert.rejects(fsm.transitionState('i-fsm-review', 'APPROVED'), { status: 409 });
+        await assert.rejects(fsm.transitionState('i-fsm-review', 'REFINING'), { status: 409 });
+        const moved = await fsm.transitionState('i-fsm-review', 'IN_REVIEW');
+        assert.strictEqual(moved.confidence, 0.6);
+    });
+
+    await t.test('Roll-ups follow the child and parent machines', async () => {
+        await fsm.createIntent({ id: 'i-fsm-parent', title: 'Parent', type: 'review' });
+        await storage.create('relations', relationFixture('r-fsm', 'i-fsm-parent', 'i-fsm-review'));
+        await fsm.transitionState('i-fsm-review', 'APPROVED');
+        assert.strictEqual((await storage.getById('intents', 'i-fsm-parent')).stage, 'IN_REVIEW');
+    });
+
+    await t.test('A stored default replaces the built-in lifecycle', async () => {
+        assert.strictEqual((await fsm.getMachine('default')).builtIn, true);
+        await storage.create('state-machines', { ...fsm.DEFAULT_MACHINE, builtIn: undefined, initialState: 'REFINING' });
+        assert.strictEqual((await fsm.createIntent({ id: 'i-fsm-default', title: 'Default' })).stage, 'REFINING');
+        await storage.remove('state-machines', 'default');
+        assert.strictEqual((await fsm.getMachine('default')).builtIn, true);
+    });
+});
+
+test('Transition Guards and Hooks', async (t) => {
+    await storage.create('intents', { ...intentFixture('i-guard', 'Guarded'), stage: 'REFINING', description: '' });
+    await storage.create('intents', { ...intentFixture('i-guard-child', 'Child') });
+    await storage.create('relations', relationFixture('r-guard', 'i-guard', 'i-guard-child'));
+
+    await t.test('Failing guards are listed and nothing is written', async () => {
+        await assert.rejects(fsm.transitionState('i-guard', 'DECISION'), err => {
+            assert.strictEqual(err.status, 422);
+            assert.deepStrictEqual(err.details.failed.map(f => f.rule), ['required', 'minItems', 'children']);
+            assert.match(err.details.failed[2].reason, /i-guard-child \(EXPLORATION\)/);
+            return true;
+        });
+        assert.strictEqual((await storage.getById('intents', 'i-guard')).stage, 'REFINING');
+    });
+
+    await t.test('Changes made with the transition count towards its guards', async () => {
+        await fsm.transitionState('i-guard-child', 'REFUTED');
+        const decided = await fsm.transitionState('i-guard', 'DECISION', 'Ready', {
+            changes: { description: 'Ship it', linkedPersons: ['p-self-001'] }
+        });
+        assert.strictEqual(decided.stage, 'DECISION');
+        assert.strictEqual(decided.description, 'Ship it');
+    });
+
+    await t.test('Before hooks can veto, after hooks see the stored intent', async () => {
+        const seen = [];
+        const removeBefore = fsm.addHook('before', ({ to }) => {
+            if (to === 'EXPLORATION') throw new Error('vetoed');
+        });
+        const removeAfter = fsm.addHook('after', ({ intent, from, to }) => seen.push([intent.id, from, to]));
+        try {
+            await assert.rejects(fsm.transitionState('i-guard-child', 'EXPLORATION'), /vetoed/);
+            await fsm.transitionState('i-guard', 'REFINING');
+        } finally {
+            removeBefore();
+            removeAfter();
+        }
+        assert.deepStrictEqual(seen, [['i-guard', 'DECISION', 'REFINING']]);
+        assert.strictEqual((await storage.getById('intents', 'i-guard-child')).stage, 'REFUTED');
+    });
+});
+
+test('Transition Reverts', async (t) => {
+    await fsm.createIntent({ id: 'u-goal', title: 'Goal' });
+    await storage.create('intents', readyFixture('u-step', 'Step'));
+    await storage.create('relations', relationFixture('r-u', 'u-goal', 'u-step'));
+    await dag.propagateConfidence(['u-goal'], 'Setup');
+    const goalBefore = await storage.getById('intents', 'u-goal');
+
+    await t.test('Undoes the transition, its roll-up and its queued dispatch', async () => {
+        const decided = await fsm.transitionState('u-step', 'DECISION', 'Mis-click');
+        const transitionId = decided.stageHistory.at(-1).id;
+        assert.strictEqual((await storage.getById('intents', 'u-goal')).stageHistory.at(-1).causedBy, transitionId);
+        const [task] = await storage.findBy('tasks', 'transitionId', transitionId);
+        assert.strictEqual(task.status, 'dispatched');
+
+        const { intent, undone, skipped } = await fsm.revertTransition('u-step', 'Wrong card');
+        assert.strictEqual(intent.stage, 'REFINING');
+        assert.strictEqual(intent.confidence, 0.7);
+        assert.strictEqual(intent.stageHistory.at(-1).stage, 'DECISION');
+        assert.strictEqual(intent.stageHistory.at(-1).reverted.note, 'Wrong card');
+        assert.deepStrictEqual(undone.map(u => [u.type, u.intentId]), [
+            ['transition', 'u-step'], ['transition', 'u-goal'], ['dispatch', 'u-step']
+        ]);
+        assert.deepStrictEqual(skipped, []);
+        assert.strictEqual((await storage.getById('tasks', task.id)).status, 'cancelled');
+
+        const goal = await storage.getById('intents', 'u-goal');
+        assert.strictEqual(goal.stage, 'EXPLORATION');
+        assert.strictEqual(goal.confidence, goalBefore.confidence);
+        assert.ok(goal.stageHistory.at(-1).reverted);
+    });
+
+    await t.test('Dispatches already picked up are left alone', async () => {
+        const decided = await fsm.transitionState('u-step', 'DECISION', 'Decided');
+        const [task] = await storage.findBy('tasks', 'transitionId', decided.stageHistory.at(-1).id);
+        await tasks.reportProgress(task.id, { percent: 10 });
+        const { skipped } = await fsm.revertTransition('u-step');
+        assert.deepStrictEqual(skipped.map(s => [s.type, s.reason]), [['dispatch', 'already running']]);
+        assert.strictEqual((await storage.getById('tasks', task.id)).status, 'running');
+    });
+
+    await t.test('Refuses when nothing is left to revert', async () => {
+        await assert.rejects(fsm.revertTransition('u-goal'), { status: 409 });
+    });
+});
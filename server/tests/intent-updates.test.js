@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { scratchKernel, intentFixture, relationFixture } from './fixtures.js';
+
+const { dataDir, storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+const dag = await import('../dag.js');
+const { createTransaction } = await import('../transaction.js');
+const { applyIntentBatch } = await import('../intent-updates.js');
+
+test('Intent Batches', async (t) => {
+    await fsm.createIntent({ id: 'b-parent', title: 'Parent' });
+    for (const id of ['b-1', 'b-2', 'b-3']) {
+        await storage.create('intents', { ...intentFixture(id, id), stage: 'REFINING', confidence: 0.7 });
+        await storage.create('relations', relationFixture(`r-${id}`, 'b-parent', id));
+    }
+    await dag.propagateConfidence(['b-parent'], 'Setup');
+
+    await t.test('Atomic batches write nothing when one operation fails', async () => {
+        const report = await applyIntentBatch([
+            { id: 'b-1', stage: 'REFUTED' },
+            { id: 'b-2', stage: 'DECISION' },   // guards fail: no description
+            { id: 'b-3', stage: 'REFUTED' }
+        ]);
+        assert.strictEqual(report.committed, false);
+        assert.deepStrictEqual(report.results.map(r => r.ok), [true, false, false]);
+        assert.strictEqual(report.results[1].error.status, 422);
+        assert.strictEqual(report.results[2].error.status, 424);
+        assert.strictEqual((await storage.getById('intents', 'b-1')).stage, 'REFINING');
+    });
+
+    await t.test('Non-atomic batches keep the operations that succeed, with one cascade', async () => {
+        const before = (await storage.getById('intents', 'b-parent')).confidenceHistory.length;
+        const report = await applyIntentBatch([
+            { id: 'b-1', stage: 'REFUTED', stageNote: 'Stale' },
+            { id: 'b-2', stage: 'DECISION' },
+            { id: 'b-3', stage: 'REFUTED', tags: ['weekly-review'] }
+        ], { atomic: false });
+        assert.strictEqual(report.committed, true);
+        assert.deepStrictEqual(report.results.map(r => r.ok), [true, false, true]);
+        assert.deepStrictEqual(report.plan.stageChanges.map(c => c.id), ['b-1', 'b-3']);
+
+        const b3 = await storage.getById('intents', 'b-3');
+        assert.strictEqual(b3.stage, 'REFUTED');
+        assert.deepStrictEqual(b3.tags, ['weekly-review']);
+        assert.strictEqual((await storage.getById('intents', 'b-2')).stage, 'REFINING');
+        // Both refutations reach the parent in a single re-blend
+        const parent = await storage.getById('intents', 'b-parent');
+        assert.strictEqual(parent.confidenceHistory.length, before + 1);
+        assert.strictEqual(parent.confidence, dag.blendConfidence(0.3, 0.5, [
+            { confidence: 0, strength: 0.5 }, { confidence: 0.7, strength: 0.5 }, { confidence: 0, strength: 0.5 }
+        ]));
+    });
+
+    await t.test('Commit refuses entities changed by another writer meanwhile', async () => {
+        const tx = createTransaction();
+        await storage.runInTransaction(tx, () => storage.update('intents', 'b-2', { description: 'mine' }));
+        await storage.update('intents', 'b-2', { description: 'theirs' });
+        await assert.rejects(tx.commit(), { status: 409 });
+        assert.strictEqual((await storage.getById('intents', 'b-2')).description, 'theirs');
+    });
+
+    await t.test('Writers that arrive during a commit wait for it', async () => {
+        const tx = createTransaction();
+        await storage.runInTransaction(tx, () => storage.update('intents', 'b-2', { description: 'batched' }));
+        const [committed] = await Promise.allSettled([
+            tx.commit(),
+            storage.mutate('intents', 'b-2', intent => { intent.tags = ['meanwhile']; })
+        ]);
+        const b2 = await storage.getById('intents', 'b-2');
+        assert.deepStrictEqual(b2.tags, ['meanwhile']);
+        if (committed.status === 'fulfilled') assert.strictEqual(b2.description, 'batched');
+        else assert.strictEqual(committed.reason.status, 409);
+    });
+
+    await t.test('A failed write puts back the ones already made', async () => {
+        const tx = createTransaction();
+        await storage.runInTransaction(tx, async () => {
+            await storage.update('intents', 'b-3', { description: 'half-written' });
+            await storage.create('intents', intentFixture('b-missing/dir', 'Cannot be written'));
+        });
+        await assert.rejects(tx.commit(), { code: 'ENOENT' });
+        assert.strictEqual((await storage.getById('intents', 'b-3')).description, undefined);
+        const onDisk = JSON.parse(await fs.readFile(path.join(dataDir, 'intents', 'b-3.json'), 'utf-8'));
+        assert.strictEqual(onDisk.description, undefined);
+    });
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { scratchKernel, readyFixture } from './fixtures.js';
+
+const { dataDir, storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+await import('../orchestrator.js'); // registers its dispatch hook with the FSM
+const executors = await import('../executors/index.js');
+
+test('Dispatch De-duplication', async (t) => {
+    await storage.create('intents', readyFixture('k-step', 'Book the venue', { description: 'Somewhere central' }));
+    t.after(() => {
+        executors.stopDeliveries();
+        return storage.updateKernelMeta({ executors: [] });
+    });
+    const redecide = async (changes = {}) => {
+        await fsm.transitionState('k-step', 'REFINING', 'Not quite');
+        if (Object.keys(changes).length > 0) await storage.update('intents', 'k-step', changes);
+        await fsm.transitionState('k-step', 'DECISION', 'Decided again');
+    };
+    const tasksFor = async () => (await storage.findBy('tasks', 'intentId', 'k-step'))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const skipped = async () => (await storage.findBy('mcp-logs', 'type', 'DISPATCH_SKIPPED')).filter(log => log.intentId === 'k-step');
+
+    await fsm.transitionState('k-step', 'DECISION', 'Decided');
+    const [first] = await tasksFor();
+
+    await t.test('Deciding again with the same payload sends nothing new', async () => {
+        assert.match(first.idempotencyKey, /^k-step:[0-9a-f]{16}$/);
+        await redecide();
+        assert.deepStrictEqual((await tasksFor()).map(task => task.id), [first.id]);
+        const [log] = await skipped();
+        assert.strictEqual(log.taskId, first.id);
+        assert.doesNotMatch(log.details, /changed payload/);
+    });
+
+    await t.test("A changed payload follows the executor's policy: skip by default", async () => {
+        await redecide({ description: 'Somewhere with parking' });
+        assert.strictEqual((await tasksFor()).length, 1);
+        assert.match((await skipped()).at(-1).details, /the changed payload was not sent/);
+    });
+
+    await t.test('Under supersede the open task is cancelled and its executor told', async () => {
+        await storage.updateKernelMeta({ executors: [{ id: 'drop', type: 'file-drop', config: { dir: 'dedup' }, onDuplicate: 'supersede' }] });
+        assert.strictEqual((await executors.deliverTask(first)).status, 'delivered');
+
+        await redecide({ description: 'Somewhere with a garden' });
+        const [old, replacement] = await tasksFor();
+        assert.strictEqual(old.status, 'cancelled');
+        assert.strictEqual(old.supersededBy, replacement.id);
+        assert.strictEqual(replacement.status, 'dispatched');
+        assert.notStrictEqual(replacement.idempotencyKey, old.idempotencyKey);
+
+        const noticeFile = path.join(dataDir, 'dedup', `${old.id}.json`);
+        let notice;
+        for (let i = 0; i < 100 && notice?.status !== 'superseded'; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            notice = JSON.parse(await fs.readFile(noticeFile, 'utf-8'));
+        }
+        assert.deepStrictEqual(notice, {
+            task_id: old.id, status: 'superseded', superseded_by: replacement.id,
+            intent_source_id: 'k-step', idempotency_key: old.idempotencyKey
+        });
+    });
+
+    await t.test('Unknown policies are configuration errors', () => {
+        assert.deepStrictEqual(executors.checkExecutor({ id: 'x', type: 'file-drop', config: { dir: 'x' }, onDuplicate: 'both' }),
+            ['onDuplicate must be one of skip, supersede']);
+    });
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, intentFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+const tasks = await import('../tasks.js');
+const outcomes = await import('../outcomes.js');
+
+test('Execution Outcomes', async (t) => {
+    const decided = (id, title) => ({
+        ...intentFixture(id, title),
+        stage: 'DECISION',
+        stageHistory: [{ stage: 'DECISION', timestamp: new Date().toISOString() }]
+    });
+    const dispatch = (id, intentId) => tasks.createTask({ task_id: id, intent_source_id: intentId, directive: `Do ${id}`, context: { tags: [] } });
+    await storage.create('intents', decided('o-fail', 'Ship the thing'));
+    await storage.create('intents', decided('o-win', 'Write the post'));
+    await storage.create('thinking-chains', { id: 'o-chain', title: 'Shipping', nodes: [], linkedIntents: ['o-fail'] });
+    await storage.create('trajectories', {
+        id: 'o-path', title: 'Launch',
+        milestones: [
+            { label: 'Shipped', date: new Date().toISOString(), status: 'in-progress', intentId: 'o-fail' },
+            { label: 'Posted', date: new Date().toISOString(), status: 'planned', intentId: 'o-win' }
+        ]
+    });
+
+    await t.test('Callbacks need the task\'s own token, which the task doesn\'t store', async () => {
+        const task = await dispatch('o-t1', 'o-fail');
+        const { callback } = await tasks.deliverablePayload(task);
+        assert.strictEqual(callback.token, await tasks.callbackToken('o-t1'));
+        assert.notStrictEqual(callback.token, await tasks.callbackToken('o-t2'));
+        assert.match(callback.url, /\/api\/orchestrator\/callback\/o-t1$/);
+        assert.ok(!JSON.stringify(await storage.getById('tasks', 'o-t1')).includes(callback.token));
+
+        await assert.rejects(outcomes.handleCallback('o-t1', 'wrong', { event: 'ack' }), { status: 401 });
+        await assert.rejects(outcomes.handleCallback('o-t1', undefined, { event: 'ack' }), { status: 401 });
+        await assert.rejects(outcomes.handleCallback('o-t1', callback.token, { event: 'shrug' }), { status: 400 });
+        const { task: running } = await outcomes.handleCallback('o-t1', callback.token, { event: 'progress', percent: 40 });
+        assert.strictEqual(running.status, 'running');
+    });
+
+    await t.test('A failure is noted on the chain, blocks the milestone and sends the intent back', async () => {
+        const token = await tasks.callbackToken('o-t1');
+        const { task, effects } = await outcomes.handleCallback('o-t1', token, { event: 'outcome', status: 'failed', error: 'Build broke' });
+        assert.strictEqual(task.status, 'failed');
+        assert.deepStrictEqual(effects.errors, []);
+
+        assert.strictEqual(effects.chain.chainId, 'o-chain');
+        const chain = await storage.getById('thinking-chains', 'o-chain');
+        assert.strictEqual(chain.nodes.at(-1).type, 'execution-result');
+        assert.strictEqual(chain.nodes.at(-1).content, 'Build broke');
+
+        assert.deepStrictEqual(effects.milestones, [{ trajectoryId: 'o-path', label: 'Shipped', from: 'in-progress', to: 'blocked' }]);
+        assert.deepStrictEqual(effects.stage, { from: 'DECISION', to: 'REFINING' });
+        const intent = await storage.getById('intents', 'o-fail');
+        assert.strictEqual(intent.stage, 'REFINING');
+        assert.match(intent.stageHistory.at(-1).note, /Execution failed .*Build broke/);
+    });
+
+    await t.test('A success starts a chain if none is linked and completes the milestone', async () => {
+        await dispatch('o-t2', 'o-win');
+        const { effects } = await outcomes.recordOutcome('o-t2', { result: { summary: 'Published' } });
+        assert.strictEqual(effects.chain.created, true);
+        const chain = await storage.getById('thinking-chains', effects.chain.chainId);
+        assert.strictEqual(chain.title, 'Execution: Write the post');
+        assert.deepStrictEqual(chain.linkedIntents, ['o-win']);
+        assert.strictEqual(chain.nodes[0].content, 'Published');
+
+        const trajectory = await storage.getById('trajectories', 'o-path');
+        assert.strictEqual(trajectory.milestones[1].status, 'completed');
+        // The default machine names no state after success
+        assert.strictEqual(effects.stage, null);
+        assert.strictEqual((await storage.getById('intents', 'o-win')).stage, 'DECISION');
+    });
+
+    await t.test('afterExecution must be reachable from the dispatch state', () => {
+        const errors = fsm.checkDefinition({ ...fsm.DEFAULT_MACHINE, afterExecution: { succeeded: 'EXPLORATION' } });
+        assert.deepStrictEqual(errors.map(e => e.pointer), ['/afterExecution/succeeded']);
+        assert.match(errors[0].message, /DECISION has no transition to EXPLORATION/);
+    });
+});
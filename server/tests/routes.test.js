@@ -0,0 +1,115 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, intentFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const { default: express } = await import('express');
+const { default: orchestratorRouter } = await import('../routes/orchestrator.js');
+const { default: kernelRouter } = await import('../routes/kernel.js');
+const { default: mcpRouter } = await import('../routes/mcp.js');
+const tasks = await import('../tasks.js');
+
+// The routers under test, mounted as server/index.js mounts them
+const app = express();
+app.use(express.json());
+app.use('/api/orchestrator', orchestratorRouter);
+app.use('/api/kernel', kernelRouter);
+app.use('/api/mcp', mcpRouter);
+const server = app.listen(0, '127.0.0.1');
+await new Promise(resolve => server.once('listening', resolve));
+after(() => server.close());
+
+async function api(method, url, { body, token } = {}) {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    });
+    return { status: res.status, text: await res.text() };
+}
+
+test('Task Routes', async (t) => {
+    await storage.create('intents', {
+        ...intentFixture('rt-intent', 'Send the deck'), stage: 'DECISION',
+        stageHistory: [{ stage: 'DECISION', timestamp: new Date().toISOString() }]
+    });
+    await storage.create('trajectories', {
+        id: 'rt-path', title: 'Raise',
+        milestones: [{ label: 'Deck sent', date: new Date().toISOString(), status: 'planned', intentId: 'rt-intent' }]
+    });
+    const dispatch = id => tasks.createTask({ task_id: id, intent_source_id: 'rt-intent', directive: 'Send the deck', context: { tags: [] } });
+
+    await t.test('Executors can only report through the callback', async () => {
+        await dispatch('rt-plain');
+        for (const step of ['ack', 'progress', 'complete']) {
+            const { status } = await api('POST', `/api/orchestrator/tasks/rt-plain/${step}`, { body: { status: 'failed', error: 'Gave up' } });
+            assert.strictEqual(status, 404, step);
+        }
+        assert.strictEqual((await storage.getById('tasks', 'rt-plain')).status, 'dispatched');
+        assert.strictEqual((await storage.getById('intents', 'rt-intent')).stage, 'DECISION');
+        assert.strictEqual((await storage.getById('trajectories', 'rt-path')).milestones[0].status, 'planned');
+    });
+
+    await t.test('Tasks held for approval are only listed when asked for', async () => {
+        const held = { task_id: 'rt-held', intent_source_id: 'rt-intent', directive: 'Wire the money', context: { tags: [] } };
+        await tasks.createTask(held, 'Held', { approval: { rule: 'Funding' } });
+        const ids = async url => JSON.parse((await api('GET', url)).text).map(task => task.id);
+        assert.ok(!(await ids('/api/orchestrator/tasks')).includes('rt-held'));
+        assert.ok(!(await ids('/api/orchestrator/tasks?intentId=rt-intent')).includes('rt-held'));
+        assert.deepStrictEqual(await ids('/api/orchestrator/tasks?status=pending-approval'), ['rt-held']);
+    });
+
+    await t.test('The callback refuses a missing or wrong token', async () => {
+        await dispatch('rt-callback');
+        const outcome = { event: 'outcome', status: 'failed', error: 'Forged' };
+        assert.strictEqual((await api('POST', '/api/orchestrator/callback/rt-callback', { body: outcome })).status, 401);
+        assert.strictEqual((await api('POST', '/api/orchestrator/callback/rt-callback', { body: outcome, token: 'guess' })).status, 401);
+        assert.strictEqual((await storage.getById('tasks', 'rt-callback')).status, 'dispatched');
+    });
+
+    await t.test('No route shows a callback token or the key they are made with', async () => {
+        const { callback } = await tasks.deliverablePayload(await storage.getById('tasks', 'rt-callback'));
+        const { callbackSecret } = await storage.getKernelMeta();
+        const ack = await api('POST', '/api/orchestrator/callback/rt-callback', { body: { event: 'ack' }, token: callback.token });
+        assert.strictEqual(ack.status, 200);
+
+        for (const url of [
+            '/api/orchestrator/tasks',
+            '/api/orchestrator/tasks/rt-callback',
+            '/api/kernel/inspect/tasks/rt-callback',
+            '/api/kernel/history/tasks/rt-callback',
+            '/api/kernel/export',
+            '/api/kernel/status'
+        ]) {
+            const { status, text } = await api('GET', url);
+            assert.strictEqual(status, 200, url);
+            assert.ok(text.includes('rt-callback') || url === '/api/kernel/status', url);
+            assert.ok(!text.includes(callback.token), `${url} shows the token`);
+            assert.ok(!text.includes(callbackSecret), `${url} shows the key`);
+        }
+        assert.ok(ack.text.includes('acknowledged') && !ack.text.includes(callback.token));
+    });
+});
+
+test('MCP Routes', async (t) => {
+    await t.test('Queries that fail validation are answered with a 422', async () => {
+        for (const [url, body] of [
+            ['/api/mcp/context', { agentId: 42 }],
+            ['/api/mcp/intent', { intentId: ['i-1'] }],
+            ['/api/mcp/query', { agentId: {}, type: 'cognitive-state' }]
+        ]) {
+            const { status, text } = await api('POST', url, { body });
+            assert.strictEqual(status, 422, url);
+            assert.strictEqual(JSON.parse(text).collection, 'mcp-logs');
+        }
+        assert.strictEqual((await api('GET', '/api/kernel/integrity')).status, 200);
+    });
+});
+
+test('Inspector Routes', async (t) => {
+    await t.test('Unknown collections are refused before anything is written', async () => {
+        const { status } = await api('PUT', '/api/kernel/inspect/secrets/x', { body: { id: 'x' } });
+        assert.strictEqual(status, 404);
+        assert.strictEqual((await api('DELETE', '/api/kernel/inspect/secrets/x')).status, 404);
+    });
+});
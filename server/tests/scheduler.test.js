@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, intentFixture, relationFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+const scheduler = await import('../scheduler.js');
+
+test('Idle Scheduler', async (t) => {
+    const daysAgo = n => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString();
+    const idleFixture = (id, stage, days) => ({
+        ...intentFixture(id, id), stage, confidence: stage === 'REFINING' ? 0.7 : 0.3,
+        stageHistory: [{ stage, timestamp: daysAgo(days) }], createdAt: daysAgo(days), updatedAt: daysAgo(days)
+    });
+    await storage.put('intents', idleFixture('s-old', 'EXPLORATION', 20));
+    await storage.put('intents', idleFixture('s-cold', 'REFINING', 25));
+    await fsm.createIntent({ id: 's-parent', title: 'Parent' });
+    await storage.create('relations', relationFixture('r-s-old', 's-parent', 's-old'));
+    const oldUpdatedAt = (await storage.getById('intents', 's-old')).updatedAt;
+    const parentUpdatedAt = (await storage.getById('intents', 's-parent')).updatedAt;
+
+    await t.test('Idle intents decay and get a suggestion, without counting as activity', async () => {
+        const report = await scheduler.scanIntents();
+        assert.deepStrictEqual(report.stale.sort(), ['s-cold', 's-old']);
+        assert.strictEqual(report.raised.length, 2);
+
+        const old = await storage.getById('intents', 's-old');
+        assert.strictEqual(old.decay, 0.886);   // 6 days past EXPLORATION's 14, at 2% a day
+        assert.strictEqual(old.confidence, 0.266);
+        assert.strictEqual(old.updatedAt, oldUpdatedAt);
+        assert.strictEqual((await storage.getById('intents', 's-parent')).updatedAt, parentUpdatedAt);
+
+        const pending = await storage.findBy('suggestions', 'intentId', 's-old');
+        assert.strictEqual(pending.length, 1);
+        assert.strictEqual(pending[0].to, 'REFUTED');
+        assert.strictEqual(pending[0].status, 'pending');
+    });
+
+    await t.test('Scanning again raises nothing new', async () => {
+        const report = await scheduler.scanIntents();
+        assert.deepStrictEqual(report.raised, []);
+        assert.deepStrictEqual(report.decayed, []);
+    });
+
+    await t.test('Accepting moves the intent through the FSM with a note', async () => {
+        const [suggestion] = await storage.findBy('suggestions', 'intentId', 's-old');
+        const { intent } = await scheduler.acceptSuggestion(suggestion.id, 'no time for it');
+        assert.strictEqual(intent.stage, 'REFUTED');
+        assert.strictEqual(intent.decay, undefined);
+        assert.match(intent.stageHistory.at(-1).note, /^Refute\? accepted after 20 idle days: no time for it$/);
+        assert.strictEqual((await storage.getById('suggestions', suggestion.id)).status, 'accepted');
+        await assert.rejects(scheduler.acceptSuggestion(suggestion.id), { status: 409 });
+    });
+
+    await t.test('Dismissed suggestions stay dismissed until the intent is touched', async () => {
+        const [suggestion] = await storage.findBy('suggestions', 'intentId', 's-cold');
+        await scheduler.dismissSuggestion(suggestion.id);
+        assert.deepStrictEqual((await scheduler.scanIntents()).raised, []);
+
+        await storage.update('intents', 's-cold', { description: 'Picked up again' });
+        const report = await scheduler.scanIntents();
+        assert.deepStrictEqual(report.decayed, [{ id: 's-cold', decay: 1 }]);
+        assert.strictEqual((await storage.getById('intents', 's-cold')).confidence, 0.7);
+    });
+
+    await t.test('A parent goes stale even while its children move', async () => {
+        await storage.put('intents', idleFixture('s-goal', 'EXPLORATION', 20));
+        const idleSince = (await storage.getById('intents', 's-goal')).updatedAt;
+        await storage.create('intents', { ...intentFixture('s-busy', 'Busy'), stage: 'REFINING', confidence: 0.7 });
+        await storage.create('relations', relationFixture('r-s-busy', 's-goal', 's-busy'));
+        await fsm.transitionState('s-busy', 'REFUTED', 'Dropped');
+
+        const goal = await storage.getById('intents', 's-goal');
+        assert.match(goal.confidenceHistory.at(-1).reason, /Busy/);
+        assert.strictEqual(goal.updatedAt, idleSince);
+        assert.ok((await scheduler.scanIntents()).stale.includes('s-goal'));
+    });
+});
@@ -0,0 +1,467 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { scratchKernel, intentFixture, relationFixture } from './fixtures.js';
+
+const { dataDir, storage } = await scratchKernel();
+const { createJsonlLogBackend } = await import('../backends/jsonl-log.js');
+const integrity = await import('../integrity.js');
+const bundles = await import('../bundle.js');
+const encryption = await import('../encryption.js');
+const { createHistoryStore } = await import('../history.js');
+const { queryCollection } = await import('../query.js');
+const { search } = await import('../search.js');
+
+test('Storage Writes', async (t) => {
+    await t.test('Concurrent mutations are serialised per entity', async () => {
+        await storage.create('thinking-chains', { id: 'tc-log', title: 'Log', nodes: [] });
+        await Promise.all(Array.from({ length: 20 }, (_, n) =>
+            storage.mutate('thinking-chains', 'tc-log', chain => {
+                chain.nodes.push({ id: `n${n}`, content: `Thought ${n}`, timestamp: new Date().toISOString() });
+            })
+        ));
+        const chain = await storage.getById('thinking-chains', 'tc-log');
+        assert.strictEqual(chain.nodes.length, 20);
+    });
+
+    await t.test('Update merges against the stored copy', async () => {
+        await storage.create('intents', intentFixture('i-merge', 'Merge'));
+        await Promise.all([
+            storage.update('intents', 'i-merge', { description: 'set by A' }),
+            storage.update('intents', 'i-merge', { priority: 'high' })
+        ]);
+        const intent = await storage.getById('intents', 'i-merge');
+        assert.strictEqual(intent.description, 'set by A');
+        assert.strictEqual(intent.priority, 'high');
+        assert.strictEqual(await storage.update('intents', 'i-missing', {}), null);
+    });
+
+    await t.test('Writes leave no temp files behind', async () => {
+        const files = await fs.readdir(path.join(dataDir, 'thinking-chains'));
+        assert.deepStrictEqual(files, ['tc-log.json']);
+    });
+});
+
+test('Storage Cache', async (t) => {
+    await t.test('Indexes follow creates, updates and deletes', async () => {
+        await storage.create('relations', relationFixture('r-1', 'i-a', 'i-b'));
+        await storage.create('relations', relationFixture('r-2', 'i-a', 'i-c'));
+        assert.strictEqual((await storage.findBy('relations', 'sourceId', 'i-a')).length, 2);
+
+        await storage.update('relations', 'r-2', { sourceId: 'i-z' });
+        assert.deepStrictEqual((await storage.findBy('relations', 'sourceId', 'i-a')).map(r => r.id), ['r-1']);
+
+        await storage.remove('relations', 'r-1');
+        assert.strictEqual((await storage.findBy('relations', 'targetId', 'i-b')).length, 0);
+    });
+
+    await t.test('Array fields are indexed per element', async () => {
+        await storage.create('intents', { ...intentFixture('i-tagged', 'Tagged'), tags: ['ai', 'funding'] });
+        const found = await storage.findBy('intents', 'tags', 'funding');
+        assert.deepStrictEqual(found.map(i => i.id), ['i-tagged']);
+    });
+
+    await t.test('Returned items are copies', async () => {
+        const [rel] = await storage.findBy('relations', 'sourceId', 'i-z');
+        rel.sourceId = 'tampered';
+        assert.strictEqual((await storage.getById('relations', 'r-2')).sourceId, 'i-z');
+    });
+
+    await t.test('Writes landing while a collection first loads are kept', async () => {
+        await storage.create('persons', { id: 'p-race', name: 'Before', type: 'other' });
+        const backend = await storage.useBackend();
+        const list = backend.list;
+        let listed, written;
+        const hasListed = new Promise(resolve => { listed = resolve; });
+        const hasWritten = new Promise(resolve => { written = resolve; });
+        // Hold the load between reading the files and filling the cache
+        backend.list = async (collection) => {
+            const items = await list.call(backend, collection);
+            if (collection === 'persons') {
+                listed();
+                await hasWritten;
+            }
+            return items;
+        };
+        try {
+            const loading = storage.listAll('persons');
+            await hasListed;
+            await storage.update('persons', 'p-race', { name: 'After' });
+            written();
+            assert.strictEqual((await loading).find(p => p.id === 'p-race').name, 'After');
+            assert.strictEqual((await storage.getById('persons', 'p-race')).name, 'After');
+        } finally {
+            backend.list = list;
+        }
+    });
+
+    await t.test('Hand edits on disk reach the cache', async () => {
+        const filePath = path.join(dataDir, 'relations', 'r-2.json');
+        const edited = { ...JSON.parse(await fs.readFile(filePath, 'utf-8')), label: 'hand-edited' };
+        await fs.writeFile(filePath, JSON.stringify(edited, null, 2));
+
+        let label;
+        for (let attempt = 0; attempt < 40 && label !== 'hand-edited'; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            label = (await storage.getById('relations', 'r-2')).label;
+        }
+        assert.strictEqual(label, 'hand-edited');
+    });
+});
+
+test('JSONL Log Backend', async (t) => {
+    const logRoot = path.join(dataDir, 'jsonl-kernel');
+    const logFile = path.join(logRoot, 'log', 'intents.jsonl');
+
+    await t.test('Latest record wins and survives a reload', async () => {
+        const backend = createJsonlLogBackend(logRoot);
+        await backend.init();
+        await backend.write('intents', 'i-1', { id: 'i-1', title: 'First' });
+        await backend.write('intents', 'i-1', { id: 'i-1', title: 'Renamed' });
+        await backend.write('intents', 'i-2', { id: 'i-2', title: 'Second' });
+        assert.strictEqual(await backend.delete('intents', 'i-2'), true);
+
+        const reopened = createJsonlLogBackend(logRoot);
+        assert.deepStrictEqual(await reopened.list('intents'), [{ id: 'i-1', item: { id: 'i-1', title: 'Renamed' } }]);
+    });
+
+    await t.test('A torn last line is skipped and compacted away', async () => {
+        await fs.appendFile(logFile, '{"op":"put","id":"i-3","item":{"id":"i-3"');
+        const backend = createJsonlLogBackend(logRoot);
+        assert.strictEqual(await backend.count('intents'), 1);
+        await backend.write('intents', 'i-4', { id: 'i-4', title: 'After crash' });
+
+        const lines = (await fs.readFile(logFile, 'utf-8')).trim().split('\n');
+        assert.strictEqual(lines.length, 2);
+        assert.ok(lines.every(line => JSON.parse(line).op === 'put'));
+    });
+});
+
+test('Entity History', async (t) => {
+    const { diffSnapshots } = await import('../history.js');
+
+    await t.test('Every write adds a revision with field-level diffs', async () => {
+        await storage.create('persons', { id: 'p-hist', name: 'Alex', type: 'other', tags: ['engineer'] });
+        await storage.update('persons', 'p-hist', { role: 'cofounder' });
+        await storage.saveRawData('persons', 'p-hist', JSON.stringify({ id: 'p-hist', name: 'Alex R.', type: 'other', role: 'cofounder', tags: [] }));
+
+        const revisions = await storage.getHistory('persons', 'p-hist');
+        assert.deepStrictEqual(revisions.map(r => r.action), ['create', 'update', 'manual-edit']);
+        assert.deepStrictEqual(revisions[1].changes, [{ path: '/role', op: 'add', to: 'cofounder' }]);
+        assert.deepStrictEqual(revisions[2].changes, [
+            { path: '/name', op: 'replace', from: 'Alex', to: 'Alex R.' },
+            { path: '/tags/0', op: 'remove', from: 'engineer' },
+            { path: '/createdAt', op: 'remove', from: revisions[1].snapshot.createdAt }
+        ]);
+    });
+
+    await t.test('Restore rolls back, even after a delete', async () => {
+        await storage.remove('persons', 'p-hist');
+        const restored = await storage.restoreRevision('persons', 'p-hist', 2);
+        assert.strictEqual(restored.name, 'Alex');
+        assert.strictEqual((await storage.getById('persons', 'p-hist')).role, 'cofounder');
+
+        const revisions = await storage.getHistory('persons', 'p-hist');
+        assert.deepStrictEqual(revisions.slice(-2).map(r => r.action), ['delete', 'restore']);
+        assert.strictEqual(revisions.at(-1).restoredFrom, 2);
+    });
+
+    await t.test('Diff paths escape JSON-pointer characters', () => {
+        assert.deepStrictEqual(diffSnapshots({ 'a/b': 1 }, { 'a/b': 2 }), [{ path: '/a~1b', op: 'replace', from: 1, to: 2 }]);
+    });
+});
+
+test('Schema Validation', async (t) => {
+    const { ValidationError } = await import('../errors.js');
+
+    await t.test('Writes that break a schema are rejected with JSON pointers', async () => {
+        await assert.rejects(
+            storage.create('relations', { ...relationFixture('r-bad', 'i-a', 'i-b'), sourceType: 'planet', strength: 2 }),
+            err => {
+                assert.ok(err instanceof ValidationError);
+                assert.strictEqual(err.status, 422);
+                assert.deepStrictEqual(err.details.errors.map(e => e.pointer), ['/sourceType', '/strength']);
+                return true;
+            }
+        );
+        assert.strictEqual(await storage.getById('relations', 'r-bad'), null);
+    });
+
+    await t.test('Updates are checked against the merged entity', async () => {
+        await assert.rejects(storage.update('intents', 'i-merge', { stageHistory: undefined }), ValidationError);
+        await assert.rejects(
+            storage.saveRawData('intents', 'i-merge', JSON.stringify({ id: 'i-merge', title: 'No history', stage: 'EXPLORATION' })),
+            err => err.details.errors[0].pointer === '/stageHistory'
+        );
+        assert.strictEqual((await storage.getById('intents', 'i-merge')).title, 'Merge');
+    });
+});
+
+test('Referential Integrity', async (t) => {
+    const person = { id: 'p-ref', name: 'Ref', type: 'other' };
+
+    await t.test('Nullify detaches references and drops relations', async () => {
+        await storage.create('persons', person);
+        await storage.create('intents', { ...intentFixture('i-ref', 'Ref'), linkedPersons: ['p-ref'] });
+        await storage.create('relations', { id: 'r-ref', sourceType: 'person', sourceId: 'p-ref', targetType: 'intent', targetId: 'i-ref' });
+        await storage.create('thinking-chains', {
+            id: 'tc-ref', title: 'Ref', nodes: [{ id: 'n1', content: 'Met Ref', timestamp: new Date().toISOString(), linkedPerson: 'p-ref' }]
+        });
+
+        const report = await integrity.deleteEntity('persons', 'p-ref');
+        assert.deepStrictEqual(report.removed.sort(), ['persons/p-ref', 'relations/r-ref']);
+        assert.deepStrictEqual((await storage.getById('intents', 'i-ref')).linkedPersons, []);
+        const chain = await storage.getById('thinking-chains', 'tc-ref');
+        assert.strictEqual(chain.nodes[0].linkedPerson, undefined);
+        assert.strictEqual(chain.nodes[0].content, 'Met Ref');
+    });
+
+    await t.test('Block refuses to delete a referenced entity', async () => {
+        await storage.create('persons', person);
+        await storage.create('relations', { id: 'r-block', sourceType: 'person', sourceId: 'p-ref', targetType: 'intent', targetId: 'i-ref' });
+        await assert.rejects(integrity.deleteEntity('persons', 'p-ref', { policy: 'block' }), { status: 409 });
+        assert.ok(await storage.getById('persons', 'p-ref'));
+    });
+
+    await t.test('Cascade removes child intents and their milestones', async () => {
+        await storage.create('intents', { ...intentFixture('i-child', 'Child'), parentId: 'i-ref' });
+        await storage.create('trajectories', {
+            id: 't-ref', title: 'Ref', milestones: [{ label: 'Child', date: new Date().toISOString(), status: 'planned', intentId: 'i-child' }]
+        });
+        const report = await integrity.deleteEntity('intents', 'i-ref', { policy: 'cascade' });
+        assert.ok(report.removed.includes('intents/i-child'));
+        assert.strictEqual(await storage.getById('intents', 'i-child'), null);
+        assert.deepStrictEqual((await storage.getById('trajectories', 't-ref')).milestones, []);
+    });
+
+    await t.test('Scan finds dangling references and repair clears them', async () => {
+        await storage.create('relations', { id: 'r-dangling', sourceType: 'person', sourceId: 'p-ref', targetType: 'intent', targetId: 'i-gone' });
+        await storage.create('intents', { ...intentFixture('i-orphan', 'Orphan'), parentId: 'i-gone' });
+
+        const scan = await integrity.scanIntegrity();
+        const targets = scan.dangling.map(d => `${d.collection}/${d.id}${d.path}`);
+        assert.ok(targets.includes('relations/r-dangling/targetId'));
+        assert.ok(targets.includes('intents/i-orphan/parentId'));
+
+        const report = await integrity.repairIntegrity();
+        assert.ok(report.removed.includes('relations/r-dangling'));
+        assert.strictEqual((await storage.getById('intents', 'i-orphan')).parentId, null);
+        assert.strictEqual((await integrity.scanIntegrity()).count, 0);
+    });
+});
+
+test('Kernel Bundles', async (t) => {
+    const exportBundle = async () => {
+        let text = '';
+        for await (const chunk of bundles.exportChunks()) text += chunk;
+        return JSON.parse(text);
+    };
+
+    await t.test('Export carries every collection with a verifiable manifest', async () => {
+        const bundle = await exportBundle();
+        assert.deepStrictEqual(Object.keys(bundle.collections), storage.COLLECTIONS);
+        assert.strictEqual(bundle.manifest.collections.intents.count, bundle.collections.intents.length);
+        assert.doesNotThrow(() => bundles.verifyBundle(bundle));
+
+        bundle.collections.intents[0].title = 'Tampered';
+        assert.throws(() => bundles.verifyBundle(bundle), { status: 422 });
+    });
+
+    await t.test('Skip and dry run leave the kernel untouched', async () => {
+        const bundle = await exportBundle();
+        const before = await storage.getCounts();
+        const report = await bundles.importBundle(bundle, { strategy: 'overwrite', dryRun: true });
+        assert.strictEqual(report.collections.intents.overwritten, bundle.collections.intents.length);
+        const skipped = await bundles.importBundle(bundle, { strategy: 'skip' });
+        assert.strictEqual(skipped.collections.intents.skipped, bundle.collections.intents.length);
+        assert.deepStrictEqual(await storage.getCounts(), before);
+    });
+
+    await t.test('Newest keeps whichever side changed last', async () => {
+        await storage.create('intents', intentFixture('i-bundle', 'Local'));
+        const bundle = await exportBundle();
+        await storage.update('intents', 'i-bundle', { title: 'Edited after export' });
+        await bundles.importBundle(bundle, { strategy: 'newest' });
+        assert.strictEqual((await storage.getById('intents', 'i-bundle')).title, 'Edited after export');
+    });
+
+    await t.test('Re-key imports conflicts under new IDs and follows their references', async () => {
+        await storage.create('intents', intentFixture('i-parent', 'Parent'));
+        await storage.create('intents', { ...intentFixture('i-kid', 'Kid'), parentId: 'i-parent' });
+        const bundle = await exportBundle();
+        await storage.update('intents', 'i-parent', { title: 'Parent (local)' });
+        await storage.update('intents', 'i-kid', { title: 'Kid (local)' });
+
+        const report = await bundles.importBundle(bundle, { strategy: 'rekey' });
+        const newParent = report.rekeyed.find(r => r.from === 'i-parent').to;
+        const newKid = report.rekeyed.find(r => r.from === 'i-kid').to;
+        assert.strictEqual((await storage.getById('intents', newKid)).parentId, newParent);
+        assert.strictEqual((await storage.getById('intents', newParent)).title, 'Parent');
+        assert.strictEqual((await storage.getById('intents', 'i-parent')).title, 'Parent (local)');
+    });
+
+    await t.test('Executor credentials stay out of bundles, and executors are never imported', async () => {
+        const webhook = { id: 'hook', type: 'webhook', config: { url: 'https://example.com/run', headers: { Authorization: 'Bearer s3cret' } } };
+        await storage.updateKernelMeta({ executors: [webhook] });
+        t.after(() => storage.updateKernelMeta({ executors: undefined }));
+        const bundle = await exportBundle();
+        assert.doesNotThrow(() => bundles.verifyBundle(bundle));
+        assert.deepStrictEqual(bundle.kernelMeta.executors[0].config.headers, { Authorization: '…' });
+
+        const report = await bundles.importBundle(bundle, { strategy: 'overwrite' });
+        assert.ok(!report.meta.includes('executors'));
+        assert.strictEqual((await storage.getKernelMeta()).executors[0].config.headers.Authorization, 'Bearer s3cret');
+    });
+
+    await t.test('Tasks still open in the bundle arrive cancelled', async () => {
+        const attemptedAt = new Date().toISOString();
+        await storage.create('tasks', {
+            id: 't-bundle', intentId: 'i-bundle', status: 'dispatched',
+            payload: { task_id: 't-bundle', intent_source_id: 'i-bundle', directive: 'Ship it' },
+            delivery: { executor: 'hook', status: 'failed', attempt: 1, attemptedAt, nextAttemptAt: attemptedAt },
+            statusHistory: [{ status: 'dispatched', timestamp: attemptedAt }]
+        });
+        const bundle = await exportBundle();
+        await storage.remove('tasks', 't-bundle');
+
+        await bundles.importBundle(bundle, { strategy: 'skip' });
+        const task = await storage.getById('tasks', 't-bundle');
+        assert.strictEqual(task.status, 'cancelled');
+        assert.strictEqual(task.delivery.nextAttemptAt, undefined);
+        assert.deepStrictEqual(task.statusHistory.map(h => h.status), ['dispatched', 'cancelled']);
+    });
+
+    await t.test('Edges that close a loop with the local graph are refused before any write', async () => {
+        await storage.create('intents', intentFixture('i-loop-a', 'A'));
+        await storage.create('intents', intentFixture('i-loop-b', 'B'));
+        await storage.create('relations', relationFixture('r-loop-ab', 'i-loop-a', 'i-loop-b'));
+        const bundle = await exportBundle();
+        await storage.remove('relations', 'r-loop-ab');
+        await storage.create('relations', relationFixture('r-loop-ba', 'i-loop-b', 'i-loop-a'));
+        await storage.remove('intents', 'i-bundle');
+        const before = await storage.getCounts();
+
+        await assert.rejects(bundles.importBundle(bundle, { strategy: 'skip' }), err => {
+            assert.strictEqual(err.status, 422);
+            assert.deepStrictEqual(err.details.errors.map(e => [e.collection, e.id, e.errors[0].keyword]), [['relations', 'r-loop-ab', 'acyclic']]);
+            return true;
+        });
+        assert.deepStrictEqual(await storage.getCounts(), before);
+        assert.strictEqual(await storage.getById('intents', 'i-bundle'), null);
+    });
+});
+
+test('Encryption at Rest', async (t) => {
+    const { config, key } = await encryption.createKeyConfig('correct horse');
+    const codec = encryption.createCodec([{ kid: config.kid, key }]);
+
+    await t.test('Only the right passphrase unlocks the key', async () => {
+        const unlocked = await encryption.unlockKey('correct horse', config);
+        assert.strictEqual(encryption.createCodec([unlocked]).decode(codec.encode('secret')), 'secret');
+        await assert.rejects(encryption.unlockKey('wrong', config), /Wrong passphrase/);
+        await assert.rejects(encryption.openCodec({ encryption: config }, {}), /SELF_KERNEL_PASSPHRASE/);
+    });
+
+    await t.test('Backends and history store ciphertext and read plaintext', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'self-kernel-enc-'));
+        try {
+            const log = createJsonlLogBackend(dir, { codec });
+            await log.init();
+            await log.write('persons', 'p-secret', { id: 'p-secret', name: 'Confidant' });
+            assert.ok(!(await fs.readFile(path.join(dir, 'log', 'persons.jsonl'), 'utf-8')).includes('Confidant'));
+            const reopened = createJsonlLogBackend(dir, { codec });
+            assert.strictEqual((await reopened.read('persons', 'p-secret')).name, 'Confidant');
+
+            const history = createHistoryStore(dir);
+            history.setCodec(codec);
+            await history.record('persons', 'p-secret', { action: 'create', snapshot: { id: 'p-secret', name: 'Confidant' } });
+            const historyFile = path.join(dir, 'history', 'persons', 'p-secret.jsonl');
+            assert.ok(!(await fs.readFile(historyFile, 'utf-8')).includes('Confidant'));
+
+            // Decrypting rewrites the same revisions as plaintext
+            const plain = encryption.createCodec([{ kid: config.kid, key }], null);
+            history.setCodec(plain);
+            await history.reencode(plain);
+            assert.ok((await fs.readFile(historyFile, 'utf-8')).includes('Confidant'));
+            assert.strictEqual((await history.list('persons', 'p-secret')).length, 1);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+test('List Queries', async (t) => {
+    for (const [n, stage] of ['EXPLORATION', 'REFINING', 'EXPLORATION', 'DECISION', 'EXPLORATION'].entries()) {
+        await storage.create('intents', {
+            ...intentFixture(`q-${n}`, `Query ${n}`),
+            stage,
+            tags: n % 2 === 0 ? ['even'] : ['odd'],
+            createdAt: `2026-01-0${n + 1}T00:00:00.000Z`
+        });
+    }
+    const queried = items => items.filter(i => i.id.startsWith('q-')).map(i => i.id);
+
+    await t.test('Filters by field, tag and date range', async () => {
+        assert.deepStrictEqual(queried(await queryCollection('intents', { stage: 'EXPLORATION', tag: 'even' })), ['q-0', 'q-2', 'q-4']);
+        assert.deepStrictEqual(queried(await queryCollection('intents', { stage: 'REFINING,DECISION' })), ['q-1', 'q-3']);
+        const ranged = await queryCollection('intents', { createdAfter: '2026-01-02', createdBefore: '2026-01-04' });
+        assert.deepStrictEqual(queried(ranged), ['q-1', 'q-2']);
+        await assert.rejects(queryCollection('intents', { updatedAfter: 'yesterday' }), { status: 400 });
+        assert.deepStrictEqual(queried(await queryCollection('intents', { stage: 'REFINING,DECISION', _: '1718000000' })), ['q-1', 'q-3']);
+        await assert.rejects(queryCollection('intents', { stag: 'REFINING' }), { status: 400 });
+    });
+
+    await t.test('Sorts by any field, descending with a minus', async () => {
+        const sorted = await queryCollection('intents', { tag: 'even,odd', sort: '-createdAt' });
+        assert.deepStrictEqual(queried(sorted), ['q-4', 'q-3', 'q-2', 'q-1', 'q-0']);
+    });
+
+    await t.test('Cursor pages cover every item once, even across inserts', async () => {
+        const query = { tag: 'even,odd', sort: 'createdAt', limit: 2 };
+        const first = await queryCollection('intents', query);
+        assert.strictEqual(first.total, 5);
+        assert.deepStrictEqual(queried(first.items), ['q-0', 'q-1']);
+
+        // An entity sorted before the cursor must not shift the next page
+        await storage.create('intents', { ...intentFixture('q-early', 'Early'), tags: ['odd'], createdAt: '2025-12-31T00:00:00.000Z' });
+        const seen = [...queried(first.items)];
+        let cursor = first.nextCursor;
+        while (cursor) {
+            const page = await queryCollection('intents', { ...query, cursor });
+            seen.push(...queried(page.items));
+            cursor = page.nextCursor;
+        }
+        assert.deepStrictEqual(seen, ['q-0', 'q-1', 'q-2', 'q-3', 'q-4']);
+        await assert.rejects(queryCollection('intents', { ...query, sort: 'title', cursor: first.nextCursor }), { status: 400 });
+    });
+});
+
+test('Full-Text Search', async (t) => {
+    await storage.create('persons', { id: 'p-search', name: 'Alexandra Search', type: 'other', role: 'Data engineer', notes: '' });
+    await storage.create('thinking-chains', {
+        id: 'tc-search', title: 'Moats', nodes: [
+            { id: 'n1', content: "Alexandra said data isn't the model — the <loop> is.", timestamp: new Date().toISOString() },
+            { id: 'n2', content: 'Unrelated thought about pricing.', timestamp: new Date().toISOString() }
+        ]
+    });
+
+    await t.test('Ranks matches with highlighted, escaped snippets and facets', async () => {
+        const result = await search("data isn't the model");
+        const top = result.results[0];
+        assert.strictEqual(top.type, 'thought');
+        assert.strictEqual(top.nodeId, 'n1');
+        assert.match(top.snippet, /<mark>data<\/mark> <mark>isn<\/mark>'t the <mark>model<\/mark>/);
+        assert.match(top.snippet, /&lt;loop&gt;/);
+        assert.ok(result.facets.person >= 1);
+        assert.ok((await search('data', { type: 'person' })).results.every(r => r.type === 'person'));
+    });
+
+    await t.test('Follows writes and matches a partial last word', async () => {
+        await storage.update('persons', 'p-search', { notes: 'Knows zeppelin logistics' });
+        assert.strictEqual((await search('zeppel')).results[0]?.id, 'p-search');
+        await storage.remove('persons', 'p-search');
+        assert.strictEqual((await search('zeppelin')).total, 0);
+    });
+});
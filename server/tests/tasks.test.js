@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, readyFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+const tasks = await import('../tasks.js');
+const orchestrator = await import('../orchestrator.js');
+
+test('Execution Tasks', async (t) => {
+    await storage.create('intents', readyFixture('e-step', 'Ship it'));
+    const decided = await fsm.transitionState('e-step', 'DECISION', 'Decided');
+    const [task] = await storage.findBy('tasks', 'intentId', 'e-step');
+
+    await t.test('Dispatching stores a task in the outbox', async () => {
+        assert.strictEqual(task.status, 'dispatched');
+        assert.strictEqual(task.payload.task_id, task.id);
+        assert.strictEqual(task.transitionId, decided.stageHistory.at(-1).id);
+        assert.ok((await orchestrator.getExecutionQueue()).some(open => open.id === task.id));
+    });
+
+    await t.test('Executors move it through its lifecycle', async () => {
+        await tasks.acknowledgeTask(task.id, { executor: 'openclaw' });
+        const running = await tasks.reportProgress(task.id, { percent: 40, message: 'Drafting' });
+        assert.strictEqual(running.status, 'running');
+        assert.strictEqual((await tasks.reportProgress(task.id, { percent: 80 })).progress.percent, 80);
+        const done = await tasks.completeTask(task.id, { result: { url: 'https://example.com/pr/1' } });
+        assert.deepStrictEqual(done.statusHistory.map(h => h.status), ['dispatched', 'acknowledged', 'running', 'succeeded']);
+        assert.strictEqual(done.executor, 'openclaw');
+        assert.ok(!(await orchestrator.getExecutionQueue()).some(open => open.id === task.id));
+    });
+
+    await t.test('Finished tasks refuse further moves', async () => {
+        await assert.rejects(tasks.cancelTask(task.id), { status: 409 });
+        await assert.rejects(tasks.reportProgress(task.id, { percent: 90 }), { status: 409 });
+        await assert.rejects(tasks.completeTask(task.id, { status: 'done' }), { status: 400 });
+        await assert.rejects(tasks.acknowledgeTask('t-missing'), { status: 404 });
+    });
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { scratchKernel, readyFixture, relationFixture } from './fixtures.js';
+
+const { storage } = await scratchKernel();
+const fsm = await import('../fsm.js');
+const orchestrator = await import('../orchestrator.js');
+const { dryRun } = await import('../transaction.js');
+
+test('Transition Dry Runs', async (t) => {
+    await fsm.createIntent({ id: 'd-goal', title: 'Goal' });
+    await storage.create('intents', readyFixture('d-step', 'Step'));
+    await storage.create('relations', relationFixture('r-d', 'd-goal', 'd-step'));
+
+    await t.test('Plans the whole cascade and writes nothing', async () => {
+        const queued = (await orchestrator.getExecutionQueue()).length;
+        const logs = (await storage.listAll('mcp-logs')).length;
+        const { result, plan } = await dryRun(() => fsm.transitionState('d-step', 'DECISION', 'Decided'));
+
+        assert.strictEqual(result.stage, 'DECISION');
+        assert.deepStrictEqual(plan.stageChanges.map(c => [c.id, c.from, c.to]), [
+            ['d-step', 'REFINING', 'DECISION'],
+            ['d-goal', 'EXPLORATION', 'REFINING']
+        ]);
+        assert.ok(plan.confidenceChanges.some(c => c.id === 'd-goal' && c.to > c.from));
+        assert.strictEqual(plan.dispatches[0].intent_source_id, 'd-step');
+        assert.strictEqual(plan.logs[0].type, 'PROACTIVE_DISPATCH');
+
+        assert.strictEqual((await storage.getById('intents', 'd-step')).stage, 'REFINING');
+        assert.strictEqual((await storage.getById('intents', 'd-goal')).stage, 'EXPLORATION');
+        assert.strictEqual((await storage.listAll('mcp-logs')).length, logs);
+        assert.strictEqual((await orchestrator.getExecutionQueue()).length, queued);
+    });
+
+    await t.test('A refused transition fails the same way as for real', async () => {
+        await assert.rejects(dryRun(() => fsm.transitionState('d-goal', 'DECISION')), { status: 409 });
+    });
+});
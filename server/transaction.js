@@ -0,0 +1,207 @@
+/**
+ * Self Kernel — Transactions
+ *
+ * A transaction is an in-memory overlay over storage. Code run inside it
+ * (storage.runInTransaction) reads the kernel as the overlay has changed it
+ * and writes only to the overlay, so an operation and everything it sets off
+ * (FSM hooks, roll-ups, orchestrator logs) can be simulated end to end.
+ *
+ * Side effects outside storage, such as pushing to the orchestrator's outbox,
+ * go through afterCommit: inside a transaction they are recorded instead of
+ * run, and show up in the plan.
+ *
+ * A transaction is either thrown away (dryRun) or committed: every entity it
+ * touched is written in one go under their locks (storage.writeAll), after
+ * checking none of them changed underneath it, and then its deferred effects
+ * run. A write that fails puts the others back. Savepoints let a batch undo
+ * one failed item and carry on.
+ */
+
+import { randomUUID as uuidv4 } from 'crypto';
+import * as storage from './storage.js';
+import { assertValid } from './schema.js';
+import { KernelError } from './errors.js';
+
+function key(collection, id) {
+    return `${collection}/${id}`;
+}
+
+function matches(item, field, value) {
+    const found = item[field];
+    return Array.isArray(found) ? found.includes(value) : found === value;
+}
+
+export function createTransaction() {
+    let entities = new Map();     // "collection/id" -> { collection, id, item } (item null once deleted)
+    const log = [];               // every write in order: { collection, id, action, before, after }
+    const effects = [];           // deferred side effects: { type, ...details, run }
+    const versions = new Map();   // "collection/id" -> the stored version as first read, serialised (null: absent)
+
+    const base = fn => storage.outsideTransaction(fn);
+
+    async function read(collection, id) {
+        const k = key(collection, id);
+        if (entities.has(k)) return structuredClone(entities.get(k).item);
+        const item = await base(() => storage.getById(collection, id));
+        if (!versions.has(k)) versions.set(k, item ? JSON.stringify(item) : null);
+        return item;
+    }
+
+    function write(collection, id, action, before, after) {
+        entities.set(key(collection, id), { collection, id, item: structuredClone(after) });
+        log.push({ collection, id, action, before, after: structuredClone(after) });
+    }
+
+    /** The overlay's version of a collection */
+    async function merged(collection) {
+        const items = new Map((await base(() => storage.listAll(collection))).map(item => [item.id, item]));
+        for (const entry of entities.values()) {
+            if (entry.collection !== collection) continue;
+            if (entry.item) items.set(entry.id, structuredClone(entry.item));
+            else items.delete(entry.id);
+        }
+        return [...items.values()];
+    }
+
+    return {
+        log,
+        effects,
+        // IDs of intents whose confidence cascade is postponed to one pass (see joinCascade)
+        cascade: null,
+
+        /** A point to roll back to */
+        savepoint() {
+            return { entities: new Map(entities), log: log.length, effects: effects.length, cascade: this.cascade && new Set(this.cascade) };
+        },
+
+        /** Forget every write and effect since `savepoint` */
+        rollback(savepoint) {
+            entities = new Map(savepoint.entities);
+            log.length = savepoint.log;
+            effects.length = savepoint.effects;
+            this.cascade = savepoint.cascade;
+        },
+
+        /** Write everything to the store, unless something it read has changed since (409) */
+        async commit() {
+            const actions = new Map(log.map(entry => [key(entry.collection, entry.id), entry.action]));
+            const writes = [...entities].map(([k, { collection, id, item }]) => ({ collection, id, item, action: actions.get(k) }));
+            await base(() => storage.writeAll(writes, stored => {
+                const conflicts = [...stored.keys()].filter(k =>
+                    versions.has(k) && (stored.get(k) ? JSON.stringify(stored.get(k)) : null) !== versions.get(k));
+                if (conflicts.length > 0) {
+                    throw new KernelError(`Changed by another writer while the transaction ran: ${conflicts.join(', ')}`, 409, { conflicts });
+                }
+            }));
+            for (const effect of effects) await effect.run();
+        },
+
+        listAll: merged,
+        getById: read,
+
+        async findBy(collection, field, value) {
+            return (await merged(collection)).filter(item => matches(item, field, value));
+        },
+
+        async create(collection, data) {
+            const id = data.id || uuidv4();
+            const item = {
+                id,
+                ...data,
+                createdAt: data.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            assertValid(collection, item);
+            const before = await read(collection, id);
+            write(collection, id, before ? 'overwrite' : 'create', before, item);
+            return structuredClone(item);
+        },
+
+        async mutate(collection, id, fn, { touch = true } = {}) {
+            const existing = await read(collection, id);
+            if (!existing) return null;
+            const draft = structuredClone(existing);
+            const next = (await fn(draft)) || draft;
+            const updated = { ...next, id, updatedAt: touch ? new Date().toISOString() : existing.updatedAt };
+            assertValid(collection, updated);
+            write(collection, id, 'update', existing, updated);
+            return structuredClone(updated);
+        },
+
+        async remove(collection, id) {
+            const existing = await read(collection, id);
+            if (!existing) return false;
+            write(collection, id, 'delete', existing, null);
+            return true;
+        },
+
+        async put(collection, item, { action = 'import' } = {}) {
+            assertValid(collection, item);
+            write(collection, item.id, action, await read(collection, item.id), item);
+            return item;
+        }
+    };
+}
+
+/**
+ * Run `run` once the current transaction commits, or now outside of one.
+ * `effect` ({ type, ... }) describes it for plans.
+ */
+export async function afterCommit(effect, run) {
+    const tx = storage.activeTransaction();
+    if (tx) {
+        tx.effects.push({ ...effect, run });
+        return;
+    }
+    await run();
+}
+
+/**
+ * Inside a transaction that postpones cascades (a batch), add `intentIds` to
+ * its one combined confidence cascade and return true. Otherwise return false:
+ * the caller cascades right away.
+ */
+export function joinCascade(intentIds) {
+    const tx = storage.activeTransaction();
+    if (!tx?.cascade) return false;
+    for (const id of intentIds) tx.cascade.add(id);
+    return true;
+}
+
+/** What a transaction's writes and effects amount to, in the order they happened */
+export function describePlan(tx) {
+    const plan = { stageChanges: [], confidenceChanges: [], dispatches: [], logs: [], writes: [] };
+    for (const { collection, id, action, before, after } of tx.log) {
+        plan.writes.push({ collection, id, action });
+        if (collection === 'intents' && after) {
+            if (before?.stage !== after.stage) {
+                plan.stageChanges.push({
+                    id, title: after.title, from: before?.stage ?? null, to: after.stage,
+                    note: after.stageHistory?.at(-1)?.note ?? null
+                });
+            }
+            if ((before?.confidence ?? null) !== (after.confidence ?? null)) {
+                plan.confidenceChanges.push({
+                    id, title: after.title, from: before?.confidence ?? null, to: after.confidence ?? null,
+                    reason: after.confidenceHistory?.at(-1)?.reason ?? null
+                });
+            }
+        }
+        if (collection === 'mcp-logs' && action === 'create') plan.logs.push(after);
+    }
+    for (const { run, ...effect } of tx.effects) {
+        if (effect.type === 'dispatch') plan.dispatches.push(effect.payload);
+    }
+    return plan;
+}
+
+/**
+ * Run `fn` against a throwaway overlay and return { result, plan }: what it
+ * would have returned and everything it would have changed. Nothing is
+ * written and no deferred effect runs. Errors from `fn` propagate as usual.
+ */
+export async function dryRun(fn) {
+    const tx = createTransaction();
+    const result = await storage.runInTransaction(tx, fn);
+    return { result, plan: describePlan(tx) };
+}